@@ -0,0 +1,84 @@
+// === HEIGHTMAP TILER ===
+// Splits the 16-bit RAW crater heightmap into the files the browser streams:
+//
+//   manifest.json         grid layout, levels of detail and file paths
+//   overview.bin          the whole map at low resolution (loaded first, always resident)
+//   lod<N>/<cx>_<cz>.bin  one file per chunk and level; neighbouring chunks share edge samples
+//
+// Every .bin file is raw little-endian Uint16, row-major, row 0 at the world's -z edge,
+// the same layout and value range as the source.
+//
+// Usage: node scripts/tile-heightmap.mjs [input.raw] [outputDir] [--size=4033] [--chunks=16]
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const DEFAULT_INPUT = 'public/music/models/Moon_Craters_Height Map_4033x4033.raw';
+const DEFAULT_OUTPUT = 'public/music/models/terrain';
+const LEVEL_STEPS = [2, 4]; // Streamed levels, in source samples between vertices
+const OVERVIEW_STEP = 12;
+const WORLD_SIZE = 400;
+
+const args = process.argv.slice(2);
+const flags = Object.fromEntries(args.filter(a => a.startsWith('--')).map(a => a.slice(2).split('=')));
+const [input = DEFAULT_INPUT, output = DEFAULT_OUTPUT] = args.filter(a => !a.startsWith('--'));
+const sourceSize = Number(flags.size || 4033);
+const chunkCount = Number(flags.chunks || 16);
+const chunkCells = (sourceSize - 1) / chunkCount;
+
+const fail = (message) => {
+  console.error(`tile-heightmap: ${message}`);
+  process.exit(1);
+};
+
+if (!Number.isInteger(chunkCells)) fail(`${sourceSize - 1} cells do not split into ${chunkCount} chunks`);
+[...LEVEL_STEPS, OVERVIEW_STEP].forEach(step => {
+  if (chunkCells % step !== 0) fail(`chunk size ${chunkCells} is not a multiple of step ${step}`);
+});
+if (!fs.existsSync(input)) fail(`input not found: ${input}`);
+
+const source = fs.readFileSync(input);
+if (source.length !== sourceSize * sourceSize * 2) {
+  fail(`expected ${sourceSize}x${sourceSize} 16-bit samples (${sourceSize * sourceSize * 2} bytes), got ${source.length} bytes`);
+}
+const sampleAt = (column, row) => source.readUInt16LE((row * sourceSize + column) * 2);
+
+// Copies a (cells / step + 1)² block of samples starting at (column0, row0)
+const extract = (column0, row0, cells, step) => {
+  const samples = cells / step + 1;
+  const block = Buffer.alloc(samples * samples * 2);
+  for (let row = 0; row < samples; row++) {
+    for (let column = 0; column < samples; column++) {
+      block.writeUInt16LE(sampleAt(column0 + column * step, row0 + row * step), (row * samples + column) * 2);
+    }
+  }
+  return block;
+};
+
+fs.mkdirSync(output, { recursive: true });
+
+fs.writeFileSync(path.join(output, 'overview.bin'), extract(0, 0, sourceSize - 1, OVERVIEW_STEP));
+
+const levels = LEVEL_STEPS.map((step, level) => {
+  const directory = `lod${level}`;
+  fs.mkdirSync(path.join(output, directory), { recursive: true });
+  for (let cz = 0; cz < chunkCount; cz++) {
+    for (let cx = 0; cx < chunkCount; cx++) {
+      const block = extract(cx * chunkCells, cz * chunkCells, chunkCells, step);
+      fs.writeFileSync(path.join(output, directory, `${cx}_${cz}.bin`), block);
+    }
+  }
+  return { step, samples: chunkCells / step + 1, path: `${directory}/{cx}_{cz}.bin` };
+});
+
+const manifest = {
+  worldSize: WORLD_SIZE,
+  sourceSize,
+  chunkCount,
+  chunkCells,
+  overview: { step: OVERVIEW_STEP, samples: (sourceSize - 1) / OVERVIEW_STEP + 1, path: 'overview.bin' },
+  levels,
+};
+fs.writeFileSync(path.join(output, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+
+console.log(`tile-heightmap: wrote ${chunkCount}x${chunkCount} chunks x ${levels.length} levels to ${output}`);
@@ -1,10 +1,11 @@
 ﻿import React from 'react'
 import MoonRoverPortfolio from './MoonRoverPortfolio'
+import portfolio from './content/portfolio'
 
 export default function App() {
   return (
     <div className="w-full h-full">
-      <MoonRoverPortfolio />
+      <MoonRoverPortfolio content={portfolio} />
     </div>
   )
 }
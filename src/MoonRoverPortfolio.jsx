@@ -1,651 +1,494 @@
-﻿import React, { useEffect, useRef, useState } from 'react';
-import * as THREE from 'three';
-import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader';
+﻿import React, { forwardRef, useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import defaultContent from './content/portfolio';
+import { validateContent } from './content/validateContent';
+import { buildShareUrl } from './world/sessionState';
+import { downloadReplay, parseReplay } from './replay/replayLog';
+import { WAYPOINT_ID, createMoonRoverEngine } from './engine/moonRoverEngine';
+import ProjectPanel from './ui/ProjectPanel';
+import TouchControls from './ui/TouchControls';
+import BindingsPanel from './ui/BindingsPanel';
+import Minimap from './ui/Minimap';
+import AudioPanel from './ui/AudioPanel';
+import ContactPanel from './ui/ContactPanel';
+import SkyControls from './ui/SkyControls';
+import PortfolioContent from './ui/PortfolioContent';
+import LoadingScreen from './ui/LoadingScreen';
+import ReplayControls from './ui/ReplayControls';
+import { assetsSettled } from './assets/assetManager';
+import usePrefersReducedMotion from './ui/usePrefersReducedMotion';
+import { detectWebGL } from './render/webglSupport';
+import { QUALITY_LABELS, QUALITY_SETTINGS, loadQualitySetting, saveQualitySetting } from './render/quality';
+import { loadAudioSettings, saveAudioSettings } from './audio/audioSettings';
+import { TERRAIN_SIZE } from './terrain/heightfield';
+import { detectInputDevice } from './input/controls';
+import { CAMERA_MODE_LABELS } from './camera/cameraController';
+import { formatKeyCode, loadBindingOverrides, mergeBindings, rebindGamepadAxis, rebindGamepadButton, rebindKey, saveBindingOverrides } from './input/bindings';
 
 // === CONFIGURATION ===
-const ROVER_MODEL_OFFSET = { x: -Math.PI / 2, y: -Math.PI / 2, z: -Math.PI / 2 }; 
-
-const MoonRoverPortfolio = () => {
+const DWELL_RING_RADIUS = 26;
+const DWELL_RING_CIRCUMFERENCE = 2 * Math.PI * DWELL_RING_RADIUS;
+// HUD hints for touch and gamepad; keyboard hints are built from the visitor's bindings
+const CONTROL_HINTS = {
+  touch: { drive: 'Left Joystick - Move Rover', camera: 'Drag Right Side - Rotate Camera', cameraMode: 'Camera Button - Switch View', projects: 'Menu - Browse Projects' },
+  gamepad: { drive: 'Left Stick - Move Rover', brake: 'X - Brake', camera: 'Right Stick - Rotate Camera', zoom: 'D-Pad Up / Down - Zoom', cameraMode: 'Back - Switch Camera', interact: 'A - Open / B - Close', reset: 'Y - Reset Letters', projects: 'LB / RB - Browse Projects' },
+};
+const HINT_ORDER = ['drive', 'brake', 'camera', 'zoom', 'cameraMode', 'interact', 'reset'];
+const SHARE_NOTICE_MS = 2000;
+const CONTENT_ID = 'portfolio-content'; // Target of the skip link
+const REPLAY_BADGES = { recording: '🔴 REC', ghost: '👻 GHOST REPLAY', rerun: '▶️ RE-RUN' };
+
+/**
+ * The portfolio page around one engine (see engine/moonRoverEngine.js): loading screen, HUD,
+ * menus and panels. Callback props fire from inside the scene:
+ *   onReady()                          loading finished, the start prompt is showing
+ *   onStart()                          the visitor started driving
+ *   onDestinationReached(destination)  the rover parked on a platform long enough to open it
+ *   onCollision({ body, other, speed, position })  see the engine's onCollision
+ * The ref handle drives it from outside: teleportTo(destinationId | { x, z, yaw }),
+ * focusDestination(destinationId), reset(), pause() and resume().
+ */
+const MoonRoverPortfolio = forwardRef(({ content = defaultContent, onReady, onStart, onDestinationReached, onCollision }, ref) => {
   const containerRef = useRef(null);
-  const musicPlayerRef = useRef(null);
-  const engineSoundRef = useRef(null);
-  const requestRef = useRef(null);
-  
+  const engineRef = useRef(null);
+
   // State
-  const [loading, setLoading] = useState(true); 
-  const [roverLoaded, setRoverLoaded] = useState(false); 
-  const [terrainLoaded, setTerrainLoaded] = useState(false);
+  const [assets, setAssets] = useState([]); // Asset manager status, one entry per file group
   const [started, setStarted] = useState(false);
-  const [audioEnabled, setAudioEnabled] = useState(false);
+  const [audioSettings, setAudioSettings] = useState(loadAudioSettings); // { muted, volumes }
   const [showMenu, setShowMenu] = useState(false);
-  
+  const [activePlatform, setActivePlatform] = useState(null); // { label, ready }
+  const [activePanel, setActivePanel] = useState(null); // In-app panel id for '#anchor' links
+  const [activeExhibit, setActiveExhibit] = useState(null); // { id, source: 'proximity' | 'menu' }
+  const [inputDevice, setInputDevice] = useState(detectInputDevice); // 'keyboard' | 'touch' | 'gamepad'
+  const [bindings, setBindings] = useState(() => mergeBindings(loadBindingOverrides()));
+  const [keyboardLayout, setKeyboardLayout] = useState(null); // Printed key labels, where the browser shares them
+  const [cameraMode, setCameraMode] = useState('chase');
+  const [waypoint, setWaypoint] = useState(null); // World { x, z } set from the minimap
+  const [qualitySetting, setQualitySetting] = useState(loadQualitySetting); // 'auto' | 'low' | 'medium' | 'high'
+  const [activeQuality, setActiveQuality] = useState(null); // Preset actually in use
+  const [showStats, setShowStats] = useState(() => new URLSearchParams(window.location.search).has('stats'));
+  const [webglSupported, setWebglSupported] = useState(detectWebGL);
+  const [shareCopied, setShareCopied] = useState(false);
+  const [replayMode, setReplayMode] = useState('idle'); // 'idle' | 'recording' | 'ghost' | 'rerun'
+  const [replayLog, setReplayLog] = useState(null); // Last recorded or imported drive
+  const [replayError, setReplayError] = useState(null);
+  const [audioErrors, setAudioErrors] = useState({}); // Loop name -> why it couldn't load
+  const [audioBlocked, setAudioBlocked] = useState(false); // The browser held sound back at start
+  const [terrainError, setTerrainError] = useState(null); // Finer terrain data that failed to load
+  const [timeOfDay, setTimeOfDay] = useState(0); // 0..1 of a lunar day, reported by the engine
+  const [timeFrozen, setTimeFrozen] = useState(false);
+  const prefersReducedMotion = usePrefersReducedMotion();
+
   // Refs
-  const nameLettersRef = useRef([]);
-  const rocksRef = useRef([]);
-  const roverGroupRef = useRef(null);
-  const sceneRef = useRef(null);
-  const introGroupRef = useRef(null); 
-  const gameAssetsGroupRef = useRef(null); // Ref for objects that spawn later
   const startedRef = useRef(false);
-  const audioEnabledRef = useRef(false);
-  
-  // Controls
-  const roverYawRef = useRef(0); 
+  const settingsRef = useRef(null); // Latest settings, for an engine created after they changed
+  settingsRef.current = { quality: qualitySetting, audio: audioSettings, bindings, reducedMotion: prefersReducedMotion };
+  const callbacksRef = useRef(null); // Latest callback props; the engine outlives renders
+  callbacksRef.current = { onReady, onStart, onDestinationReached, onCollision };
+  const controlsRef = useRef(null); // The engine's input layer, for the touch joystick
+  const statsRef = useRef(null);
+
+  // Navigation HUD
+  const minimapRendererRef = useRef(null);
+  const edgeIndicatorRefs = useRef({}); // Destination id (or WAYPOINT_ID) -> indicator element
+
+  // Platform interaction
+  const activePanelRef = useRef(null);
+  const dwellRingRef = useRef(null);
+
+  // Exhibit interaction
+  const activeExhibitRef = useRef(null);
+  const dismissedExhibitRef = useRef(null); // Closed by hand; stays closed until the rover drives away
+
+  // Calls an engine method once there is an engine
+  const withEngine = (action) => {
+    if (engineRef.current) action(engineRef.current);
+  };
 
-  // Store height data for HIGH PERFORMANCE lookup
-  const heightMapDataRef = useRef(null);
+  // --- Imperative handle ---
+  useImperativeHandle(ref, () => ({
+    teleportTo: (target) => Boolean(engineRef.current && engineRef.current.teleportTo(target)),
+    focusDestination: (id) => Boolean(engineRef.current && engineRef.current.focusDestination(id)),
+    reset: () => withEngine(engine => engine.reset()),
+    pause: () => withEngine(engine => engine.pause()),
+    resume: () => withEngine(engine => engine.resume()),
+  }), []);
 
   // --- Reset Logic ---
-  const resetLetters = () => {
-    if (!nameLettersRef.current) return;
-    nameLettersRef.current.forEach(letter => {
-      const original = letter.userData.originalPosition;
-      letter.position.set(original.x, original.y, original.z);
-      letter.rotation.set(0, 0, 0); 
-      letter.userData.velocity.set(0, 0, 0);
-      letter.userData.angularVelocity.set(0, 0, 0);
-    });
+  const resetLetters = () => withEngine(engine => engine.resetLetters());
+  const returnToSpawn = () => withEngine(engine => engine.returnToSpawn());
+  // Letters, rocks and rover back where a first visit starts; the saved scene follows
+  const resetEverything = () => withEngine(engine => engine.reset());
+
+  // --- Sharing ---
+  // Copies a link that opens this exact scene; browsers without clipboard access get a prompt to copy from
+  const shareScene = () => {
+    if (!engineRef.current) return;
+    const url = buildShareUrl(engineRef.current.captureSession());
+    const showLink = () => window.prompt('Copy this link to share the scene:', url);
+    if (!navigator.clipboard) {
+      showLink();
+      return;
+    }
+    navigator.clipboard.writeText(url).then(() => {
+      setShareCopied(true);
+      setTimeout(() => setShareCopied(false), SHARE_NOTICE_MS);
+    }, showLink);
+  };
+
+  // --- Replay ---
+  const playReplay = (mode) => withEngine(engine => setReplayError(engine.playReplay(replayLog, mode)));
+
+  const importReplay = (file) => {
+    file.text().then(parseReplay).then((log) => {
+      setReplayLog(log);
+      setReplayError(null);
+    }).catch(error => setReplayError(`Couldn't import ${file.name}: ${error.message}`));
   };
 
+  // --- Key Bindings ---
+  const updateBindings = (next) => {
+    setBindings(next);
+    saveBindingOverrides(next);
+    withEngine(engine => engine.setBindings(next));
+  };
+  const rebind = (action, slot, code) => updateBindings(rebindKey(bindings, action, slot, code));
+  const rebindButton = (action, index) => updateBindings(rebindGamepadButton(bindings, action, index));
+  const rebindAxis = (name, index) => updateBindings(rebindGamepadAxis(bindings, name, index));
+  // While the bindings panel waits for a gamepad press, that press is only for the panel
+  const gamepadCaptureRef = useRef(false);
+  const setGamepadCapture = (capturing) => { gamepadCaptureRef.current = capturing; };
+  const resetBindings = () => updateBindings(mergeBindings());
+
   useEffect(() => {
-    if (!containerRef.current) return;
-
-    // --- Audio Context ---
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const playCollisionSound = (frequency = 440) => {
-      if (!audioEnabledRef.current || audioContext.state === 'suspended') return;
-      const oscillator = audioContext.createOscillator();
-      const gainNode = audioContext.createGain();
-      oscillator.connect(gainNode);
-      gainNode.connect(audioContext.destination);
-      oscillator.frequency.value = frequency;
-      oscillator.type = 'sine';
-      gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-      gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.2);
-      oscillator.start(audioContext.currentTime);
-      oscillator.stop(audioContext.currentTime + 0.2);
-    };
+    if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return;
+    navigator.keyboard.getLayoutMap().then(setKeyboardLayout).catch(() => {});
+  }, []);
+
+  // --- Audio ---
+  const updateAudioSettings = (next) => {
+    setAudioSettings(next);
+    saveAudioSettings(next);
+    withEngine(engine => engine.setAudioSettings(next));
+  };
 
-    // --- Scene Setup ---
-    const scene = new THREE.Scene();
-    sceneRef.current = scene;
-    
-    scene.background = new THREE.Color(0x1a0b2e); 
-    scene.fog = new THREE.Fog(0x1a0b2e, 20, 100);
-
-    const camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.set(8, 8, 8);
-    camera.lookAt(0, 0, 0);
-
-    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    containerRef.current.appendChild(renderer.domElement);
-
-    // --- Global Lighting ---
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.4);
-    scene.add(ambientLight);
-    const hemi = new THREE.HemisphereLight(0xffffff, 0x444444, 0.3);
-    scene.add(hemi);
-
-    // ==========================================
-    // 1. INTRO SETUP (CLEANER UI)
-    // ==========================================
-    const introGroup = new THREE.Group();
-    introGroupRef.current = introGroup;
-    scene.add(introGroup);
-
-    // Removed GridHelper and CircleGeometry to fix "Clunky" look
-    // Only keeping the spotlight to light up the rover
-    const introSpot = new THREE.SpotLight(0xffaaee, 5);
-    introSpot.position.set(5, 10, 5);
-    introSpot.angle = Math.PI / 6;
-    introSpot.penumbra = 1;
-    introSpot.castShadow = true;
-    introGroup.add(introSpot);
-
-    // ==========================================
-    // 2. GAME ASSETS SETUP (HIDDEN INITIALLY)
-    // ==========================================
-    // We create a group for rocks, letters, and platforms
-    const gameAssetsGroup = new THREE.Group();
-    gameAssetsGroup.visible = false; // <--- HIDDEN UNTIL START
-    gameAssetsGroupRef.current = gameAssetsGroup;
-    scene.add(gameAssetsGroup);
-    
-    // Sun
-    const sunLight = new THREE.DirectionalLight(0xffffff, 1.5);
-    sunLight.position.set(50, 100, 50);
-    sunLight.castShadow = true;
-    sunLight.shadow.mapSize.width = 2048;
-    sunLight.shadow.mapSize.height = 2048;
-    sunLight.shadow.camera.left = -200;
-    sunLight.shadow.camera.right = 200;
-    sunLight.shadow.camera.top = 200;
-    sunLight.shadow.camera.bottom = -200;
-    sunLight.shadow.bias = -0.0005;
-    scene.add(sunLight); // Sun is always visible
-
-    const sun = new THREE.Mesh(new THREE.SphereGeometry(15, 32, 32), new THREE.MeshBasicMaterial({ color: 0xffffee, fog: false }));
-    sun.position.set(100, 100, 100);
-    scene.add(sun);
-
-    const sunGlow = new THREE.Mesh(new THREE.SphereGeometry(20, 32, 32), new THREE.MeshBasicMaterial({ color: 0xffffaa, transparent: true, opacity: 0.2 }));
-    sunGlow.position.set(100, 100, 100);
-    scene.add(sunGlow);
-
-    // --- REAL HEIGHTMAP TERRAIN ---
-    const textureLoader = new THREE.TextureLoader();
-    const moonTexture = textureLoader.load('/music/models/moon_texture.jpg');
-    moonTexture.wrapS = THREE.RepeatWrapping;
-    moonTexture.wrapT = THREE.RepeatWrapping;
-    moonTexture.repeat.set(1, 1);
-
-    const groundGeometry = new THREE.PlaneGeometry(400, 400, 200, 200); 
-    const groundMaterial = new THREE.MeshStandardMaterial({ 
-        map: moonTexture,
-        color: 0x666666,
-        roughness: 0.9, 
-        metalness: 0.1,
-    });
+  // --- Graphics Quality ---
+  const changeQuality = (setting) => {
+    setQualitySetting(setting);
+    saveQualitySetting(setting);
+    withEngine(engine => engine.setQualitySetting(setting));
+  };
 
-    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-    ground.rotation.x = -Math.PI/2; 
-    ground.receiveShadow = true;
-    scene.add(ground); // Ground is visible in intro (looks better than void)
-
-    // === OPTIMIZATION: LOAD DATA ONCE ===
-    const fileLoader = new THREE.FileLoader();
-    fileLoader.setResponseType('arraybuffer');
-    fileLoader.load(
-        '/music/models/Moon_Craters_Height Map_4033x4033.raw',
-        (data) => {
-            const heightData = new Uint16Array(data);
-            const vertices = groundGeometry.attributes.position;
-            const rawWidth = 4033;
-            const rawHeight = 4033;
-
-            heightMapDataRef.current = { data: heightData, width: rawWidth, height: rawHeight };
-
-            for (let i = 0; i < vertices.count; i++) {
-                const x = vertices.getX(i);
-                const u = (x + 200) / 400; 
-                const v = (vertices.getY(i) + 200) / 400; 
-                const px = Math.floor(u * (rawWidth - 1));
-                const py = Math.floor((1 - v) * (rawHeight - 1));
-                const index = py * rawWidth + px;
-                
-                if (index >= 0 && index < heightData.length) {
-                    const rawValue = heightData[index];
-                    const worldHeight = (rawValue / 65535) * 25 - 5; 
-                    vertices.setZ(i, worldHeight);
-                }
-            }
-            groundGeometry.computeVertexNormals();
-            groundGeometry.attributes.position.needsUpdate = true;
-            groundGeometry.computeBoundingSphere();
-            groundGeometry.computeBoundingBox();
-
-            // Snap letters (if loaded)
-            if (nameLettersRef.current.length > 0) {
-                nameLettersRef.current.forEach(letter => {
-                    const lx = letter.position.x;
-                    const lz = letter.position.z;
-                    const u = Math.max(0, Math.min(1, (lx + 200) / 400));
-                    const v = Math.max(0, Math.min(1, (lz + 200) / 400));
-                    const px = Math.floor(u * (rawWidth - 1));
-                    const py = Math.floor(v * (rawHeight - 1)); 
-                    const idx = py * rawWidth + px;
-
-                    if (idx >= 0 && idx < heightData.length) {
-                        const rawValue = heightData[idx];
-                        const groundY = (rawValue / 65535) * 25 - 5;
-                        letter.position.y = groundY + 0.2; 
-                        letter.userData.originalPosition.y = groundY + 0.2;
-                    }
-                });
-            }
-            setTerrainLoaded(true);
-        }
-    );
+  // --- Waypoint ---
+  const setWaypointAt = (point) => withEngine(engine => engine.setWaypoint(point));
+  const clearWaypoint = () => setWaypointAt(null);
 
-    // === HIGH PERFORMANCE LOOKUP FUNCTIONS ===
-    const getTerrainHeight = (worldX, worldZ) => {
-        if (!heightMapDataRef.current) return 0;
-        const { data, width, height } = heightMapDataRef.current;
-        const u = Math.max(0, Math.min(1, (worldX + 200) / 400));
-        const v = Math.max(0, Math.min(1, (worldZ + 200) / 400));
-        const px = Math.floor(u * (width - 1));
-        const py = Math.floor(v * (height - 1));
-        const index = py * width + px;
-        if (index >= 0 && index < data.length) {
-             const rawValue = data[index];
-             return (rawValue / 65535) * 25 - 5;
-        }
-        return 0;
-    };
+  // --- Time of Day ---
+  const scrubTimeOfDay = (time) => {
+    setTimeOfDay(time);
+    withEngine(engine => engine.setTimeOfDay(time));
+  };
+  const toggleTimeFrozen = () => {
+    setTimeFrozen(!timeFrozen);
+    withEngine(engine => engine.setTimeFrozen(!timeFrozen));
+  };
 
-    const getTerrainNormal = (worldX, worldZ) => {
-        const offset = 1.0; 
-        const hL = getTerrainHeight(worldX - offset, worldZ);
-        const hR = getTerrainHeight(worldX + offset, worldZ);
-        const hD = getTerrainHeight(worldX, worldZ - offset);
-        const hU = getTerrainHeight(worldX, worldZ + offset);
-        const normal = new THREE.Vector3(hL - hR, 2.0 * offset, hD - hU);
-        normal.normalize();
-        return normal;
-    };
+  // --- Camera ---
+  const cycleCameraMode = () => withEngine(engine => engine.cycleCameraMode());
+  // From the "tap to enable sound" click, which counts as the gesture the browser wants
+  const enableAudio = () => withEngine(engine => engine.enableAudio());
 
-    const starGeometry = new THREE.BufferGeometry();
-    const starVertices = [];
-    for (let i = 0; i < 5000; i++) {
-      starVertices.push((Math.random() - 0.5) * 600, Math.random() * 200 + 50, (Math.random() - 0.5) * 600);
+  // --- Content ---
+  const contentErrors = useMemo(() => validateContent(content), [content]);
+  useEffect(() => {
+    if (contentErrors.length > 0) console.error('Invalid portfolio content:\n' + contentErrors.map(e => ` - ${e}`).join('\n'));
+  }, [contentErrors]);
+
+  // --- Destination Logic ---
+  // External URLs open in a new tab; panel destinations open in-app.
+  const openPanel = (panel) => {
+    activePanelRef.current = panel;
+    setActivePanel(panel);
+    withEngine(engine => engine.setDrivingEnabled(false));
+  };
+
+  const openDestination = (destination) => {
+    if (destination.panel) {
+      openPanel(destination.panel);
+    } else {
+      window.open(destination.url, '_blank', 'noopener,noreferrer');
     }
-    starGeometry.setAttribute('position', new THREE.Float32BufferAttribute(starVertices, 3));
-    const starMaterial = new THREE.PointsMaterial({ color: 0xffffff, size: 0.3, transparent: true, opacity: 0.9 });
-    const stars = new THREE.Points(starGeometry, starMaterial);
-    scene.add(stars); // Stars visible always
-
-    // --- ROVER (Game) ---
-    const roverGroup = new THREE.Group();
-    roverGroupRef.current = roverGroup; 
-    roverGroup.visible = false; // Hide Main Rover Initially
-    scene.add(roverGroup);
-
-    const loader = new FBXLoader();
-    loader.load(
-        '/music/models/moon_rover_color.fbx', 
-        (object) => {
-            const finalScale = 0.00375;
-            object.scale.set(finalScale, finalScale, finalScale); 
-
-            object.traverse((child) => {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
-            });
-
-            object.rotation.set(ROVER_MODEL_OFFSET.x, ROVER_MODEL_OFFSET.y, ROVER_MODEL_OFFSET.z);
-            
-            // Intro Rover (Visible initially)
-            const introRover = object.clone();
-            introRover.position.set(0, 0.5, 0); 
-            introGroup.add(introRover);
-
-            // Game Rover (Hidden initially)
-            roverGroup.add(object);
-            setRoverLoaded(true);
-        }
-    );
+  };
 
-    // --- Letters ---
-    const sharedBlockGeometry = new THREE.BoxGeometry(0.45, 0.45, 1.0);
-    const sharedBlockMaterial = new THREE.MeshStandardMaterial({ color: 0xdddddd, roughness: 0.7, metalness: 0.3 });
-    const createNameLetter = (letter, x, z) => {
-      const letterGroup = new THREE.Group();
-      const letterPatterns = {
-          'M': [[0,0],[0,1],[0,2],[0,3],[0,4], [1,1], [2,2], [3,1], [4,0],[4,1],[4,2],[4,3],[4,4]],
-          'O': [[1,0],[2,0],[3,0], [0,1],[0,2],[0,3], [4,1],[4,2],[4,3], [1,4],[2,4],[3,4]],
-          'S': [[1,0],[2,0],[3,0], [0,1], [1,2],[2,2],[3,2], [4,3], [1,4],[2,4],[3,4]],
-          'L': [[0,0],[0,1],[0,2],[0,3],[0,4], [1,4],[2,4],[3,4],[4,4]],
-          'U': [[0,0],[0,1],[0,2],[0,3], [4,0],[4,1],[4,2],[4,3], [1,4],[2,4],[3,4]],
-          'V': [[0,0],[0,1],[0,2], [1,3], [2,4], [3,3], [4,0],[4,1],[4,2]],
-          'A': [[2,0], [1,1],[3,1], [0,2],[4,2], [0,3],[1,3],[2,3],[3,3],[4,3], [0,4],[4,4]],
-          'N': [[0,0],[0,1],[0,2],[0,3],[0,4], [1,1], [2,2], [3,3], [4,0],[4,1],[4,2],[4,3],[4,4]],
-      };
-      
-      const pattern = letterPatterns[letter] || [[2,2]];
-      const spacing = 0.48;
-
-      pattern.forEach(([px, py]) => {
-        const block = new THREE.Mesh(sharedBlockGeometry, sharedBlockMaterial);
-        block.position.set(px * spacing, (4 - py) * spacing, 0); 
-        block.castShadow = true; block.receiveShadow = true;
-        letterGroup.add(block);
-      });
-
-      const box = new THREE.Box3().setFromObject(letterGroup);
-      const center = new THREE.Vector3();
-      box.getCenter(center);
-
-      letterGroup.children.forEach(child => {
-          child.position.x -= center.x;
-          child.position.y -= box.min.y; 
-          child.position.z -= center.z;
-      });
-
-      letterGroup.position.set(x, 0, z);
-      letterGroup.rotation.set(0, 0, 0);
-
-      letterGroup.userData = { 
-          type: 'nameLetter', letter, 
-          velocity: new THREE.Vector3(0,0,0), 
-          angularVelocity: new THREE.Vector3(0,0,0), 
-          mass: 5, radius: 2.5, 
-          originalPosition: { x, y: 0, z } 
-      };
-      return letterGroup;
-    };
+  // Driving picks up again with the keyboard focus back on the scene
+  const closePanel = () => {
+    activePanelRef.current = null;
+    setActivePanel(null);
+    withEngine((engine) => {
+      engine.setDrivingEnabled(true);
+      engine.focus();
+    });
+  };
 
-    const nameLetters = [];
-    const name = "MOSS LOUVAN";
-    const startX = -(name.length * 4.0) / 2;
-    for (let i = 0; i < name.length; i++) {
-      if (name[i] !== ' ') {
-        const letter = createNameLetter(name[i], startX + i * 4.0, 15);
-        // ADD TO GAME ASSETS GROUP
-        gameAssetsGroup.add(letter); 
-        nameLetters.push(letter);
-      }
-    }
-    nameLettersRef.current = nameLetters;
-
-    // --- Platforms ---
-    const createPlatform = (x, z, label, link) => {
-      const platformGroup = new THREE.Group();
-      const platformGeometry = new THREE.CylinderGeometry(4, 4, 0.3, 32);
-      const platformMaterial = new THREE.MeshStandardMaterial({ color: 0xff9a3d, roughness: 0.3, metalness: 0.5 });
-      const platform = new THREE.Mesh(platformGeometry, platformMaterial);
-      platform.castShadow = true; platformGroup.add(platform);
-      const rimGeometry = new THREE.TorusGeometry(4, 0.15, 16, 32);
-      const rimMaterial = new THREE.MeshStandardMaterial({ color: 0x6dd5ed, emissive: 0x6dd5ed, emissiveIntensity: 0.8 });
-      const rim = new THREE.Mesh(rimGeometry, rimMaterial);
-      rim.rotation.x = Math.PI / 2; rim.position.y = 0.15; platformGroup.add(rim);
-      const textGroup = new THREE.Group();
-      const blockGeometry = new THREE.BoxGeometry(0.8, 0.8, 0.8);
-      const blockMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff, emissive: 0xffffff, emissiveIntensity: 0.3 });
-      const labelStartX = -(label.length * 1) / 2;
-      for (let i = 0; i < label.length; i++) {
-        const block = new THREE.Mesh(blockGeometry, blockMaterial.clone());
-        block.position.x = labelStartX + i * 1; block.position.y = 2; block.userData = { letter: label[i] };
-        textGroup.add(block);
-      }
-      platformGroup.add(textGroup); platformGroup.position.set(x, 0.15, z); platformGroup.userData = { type: 'platform', label, link };
-      return platformGroup;
-    };
-    // ADD TO GAME ASSETS GROUP
-    gameAssetsGroup.add(createPlatform(-15, -20, 'LINKEDIN', 'https://linkedin.com'));
-    gameAssetsGroup.add(createPlatform(15, -20, 'GITHUB', 'https://github.com'));
-    gameAssetsGroup.add(createPlatform(0, -35, 'CONTACT', '#contact'));
-
-    // --- Rocks ---
-    const sharedRockMaterial = new THREE.MeshStandardMaterial({ color: 0x7a7a7a, roughness: 1, metalness: 0 });
-    const rockList = [];
-    const createRock = (x, z, size) => {
-      const rockGeometry = new THREE.DodecahedronGeometry(size, 0);
-      const rock = new THREE.Mesh(rockGeometry, sharedRockMaterial);
-      const initialY = getTerrainHeight(x, z) + size / 2; 
-      rock.position.set(x, initialY, z);
-      rock.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
-      rock.castShadow = true; rock.receiveShadow = true;
-      rock.userData = { type: 'rock', radius: size, velocity: new THREE.Vector3(0,0,0), angularVelocity: new THREE.Vector3(0,0,0), mass: size * 2 };
-      return rock;
-    };
-    for (let i = 0; i < 50; i++) {
-      const size = Math.random() * 1.5 + 0.3;
-      const rock = createRock((Math.random() - 0.5) * 120, (Math.random() - 0.5) * 120, size);
-      // ADD TO GAME ASSETS GROUP
-      gameAssetsGroup.add(rock); 
-      rockList.push(rock);
-    }
-    rocksRef.current = rockList;
-
-    // --- Controls ---
-    const keys = {};
-    const roverSpeed = 0.15;
-    const rotationSpeed = 0.03;
-    const handleKeyDown = (e) => { keys[e.key.toLowerCase()] = true; };
-    const handleKeyUp = (e) => { keys[e.key.toLowerCase()] = false; };
-    window.addEventListener('keydown', handleKeyDown);
-    window.addEventListener('keyup', handleKeyUp);
-    
-    let mouseDown = false;
-    let mouseX = 0;
-    const handleMouseDown = (e) => { if (e.button === 2) mouseDown = true; };
-    const handleMouseUp = () => { mouseDown = false; };
-    const handleMouseMove = (e) => { if (mouseDown) { mouseX = e.movementX; } };
-    const handleContextMenu = (e) => e.preventDefault();
-    window.addEventListener('mousedown', handleMouseDown);
-    window.addEventListener('mouseup', handleMouseUp);
-    window.addEventListener('mousemove', handleMouseMove);
-    window.addEventListener('contextmenu', handleContextMenu);
-
-
-    // === FAST PHYSICS LOGIC ===
-    const alignObjectToTerrain = (object, yOffset) => {
-        const targetHeight = getTerrainHeight(object.position.x, object.position.z) + yOffset;
-        
-        if (object.userData.type === 'rock' || object.userData.type === 'nameLetter') {
-            if(object.position.y < targetHeight) object.position.y = targetHeight;
-        } else {
-            object.position.y = targetHeight;
-        }
-
-        const normal = getTerrainNormal(object.position.x, object.position.z);
-        const up = new THREE.Vector3(0, 1, 0);
-        const targetOrientation = new THREE.Quaternion().setFromUnitVectors(up, normal);
-        
-        if (object === roverGroupRef.current) {
-            const yawQuaternion = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0,1,0), roverYawRef.current);
-            const finalQuaternion = targetOrientation.multiply(yawQuaternion);
-            object.quaternion.slerp(finalQuaternion, 0.15);
-        }
-    };
+  const confirmPlatform = () => {
+    const destination = engineRef.current && engineRef.current.confirmPlatform();
+    if (destination) openDestination(destination);
+  };
+
+  // --- Exhibit Logic ---
+  const projects = content.projects || [];
+
+  const openProject = (id, source) => {
+    activeExhibitRef.current = { id, source };
+    setActiveExhibit({ id, source });
+  };
 
-    const handleObjectPhysics = (objects) => {
-        if (!roverGroupRef.current) return;
-        objects.forEach(obj => {
-            const dist = roverGroupRef.current.position.distanceTo(obj.position);
-            const radius = obj.userData.radius || 1;
-            
-            if (dist < radius + 2.0) {
-                const pushDir = new THREE.Vector3().subVectors(obj.position, roverGroupRef.current.position).normalize();
-                pushDir.y = 0.5; 
-                const force = 0.2 / (obj.userData.mass || 1); 
-                obj.userData.velocity.add(pushDir.multiplyScalar(force));
-                obj.userData.angularVelocity.set((Math.random()-0.5)*0.1, (Math.random()-0.5)*0.1, (Math.random()-0.5)*0.1);
-                if (obj.userData.velocity.length() > 0.05) playCollisionSound(200 + Math.random() * 100);
-            }
-
-            obj.position.add(obj.userData.velocity);
-            obj.rotation.x += obj.userData.angularVelocity.x;
-            obj.rotation.y += obj.userData.angularVelocity.y;
-            obj.rotation.z += obj.userData.angularVelocity.z;
-            obj.userData.velocity.y -= 0.01; 
-            obj.userData.velocity.multiplyScalar(0.95); 
-            obj.userData.angularVelocity.multiplyScalar(0.95);
-            
-            alignObjectToTerrain(obj, 0); 
-        });
+  const closeProject = () => {
+    if (activeExhibitRef.current && activeExhibitRef.current.source === 'proximity') {
+      dismissedExhibitRef.current = activeExhibitRef.current.id;
     }
+    activeExhibitRef.current = null;
+    setActiveExhibit(null);
+  };
+
+  // Step through projects from the keyboard or the panel's PREV / NEXT buttons
+  const cycleProject = (step) => {
+    if (projects.length === 0) return;
+    const current = activeExhibitRef.current ? projects.findIndex(p => p.id === activeExhibitRef.current.id) : -1;
+    const next = current === -1 ? (step > 0 ? 0 : projects.length - 1) : (current + step + projects.length) % projects.length;
+    openProject(projects[next].id, 'menu');
+  };
 
-    // --- ANIMATION LOOP ---
-    let time = 0;
-    
-    const animate = () => {
-      requestRef.current = requestAnimationFrame(animate);
-      time += 0.01;
-
-      if (!startedRef.current) {
-        // INTRO ANIMATION
-        if (introGroupRef.current) {
-            introGroupRef.current.rotation.y = Math.sin(time * 0.2) * 0.1;
-        }
-        camera.position.x = Math.sin(time * 0.1) * 8;
-        camera.position.z = Math.cos(time * 0.1) * 8;
-        camera.position.y = 6;
-        camera.lookAt(0, 0, 0);
-      } else {
-        // GAME LOOP
-        const rGroup = roverGroupRef.current;
-        
-        if (rGroup && heightMapDataRef.current) { 
-            let isMoving = false;
-            
-            if (keys['a'] || keys['arrowleft']) { roverYawRef.current += rotationSpeed; }
-            if (keys['d'] || keys['arrowright']) { roverYawRef.current -= rotationSpeed; }
-            
-            const forward = new THREE.Vector3(0, 0, 1).applyAxisAngle(new THREE.Vector3(0, 1, 0), roverYawRef.current);
-            
-            if (keys['s'] || keys['arrowup']) {
-                rGroup.position.add(forward.multiplyScalar(roverSpeed));
-                isMoving = true;
-            }
-            if (keys['w'] || keys['arrowdown']) {
-                rGroup.position.sub(forward.multiplyScalar(roverSpeed));
-                isMoving = true;
-            }
-
-            alignObjectToTerrain(rGroup, 1.5);
-
-            if (engineSoundRef.current) {
-                engineSoundRef.current.volume = isMoving ? 0.5 : 0;
-            }
-
-            handleObjectPhysics(nameLettersRef.current);
-            handleObjectPhysics(rocksRef.current);
-
-            // Camera Follow
-            const cameraOffset = new THREE.Vector3(0, 12, 20);
-            cameraOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), roverYawRef.current);
-            
-            camera.position.lerp(rGroup.position.clone().add(cameraOffset), 0.1);
-            camera.lookAt(rGroup.position);
-
-            if (mouseDown) { 
-                camera.position.applyAxisAngle(new THREE.Vector3(0, 1, 0), -mouseX * 0.003); 
-                camera.lookAt(rGroup.position);
-                mouseX = 0; 
-            }
-        }
-
-        scene.children.forEach(child => {
-            if (child.userData.type === 'platform') {
-            child.children.forEach(mesh => { if (mesh.type === 'Mesh' && mesh.geometry.type === 'TorusGeometry') { mesh.material.emissiveIntensity = 0.5 + Math.sin(time * 2) * 0.3; } });
-            child.children.forEach(group => { if (group.type === 'Group') { group.children.forEach((block, i) => { block.position.y = 2 + Math.sin(time * 2 + i * 0.3) * 0.2; }); } });
-            }
-        });
+  // Driving up to an exhibit opens its panel; driving away closes it unless it came from the menu
+  const handleExhibitChange = (id) => {
+    if (dismissedExhibitRef.current !== id) dismissedExhibitRef.current = null;
+    const active = activeExhibitRef.current;
+    if (!id) {
+      if (active && active.source === 'proximity') {
+        activeExhibitRef.current = null;
+        setActiveExhibit(null);
       }
+      return;
+    }
+    if (id === dismissedExhibitRef.current || (active && active.id === id)) return;
+    openProject(id, 'proximity');
+  };
 
-      renderer.render(scene, camera);
-    };
+  // --- Controls ---
+  const handleAction = (action) => {
+    if (gamepadCaptureRef.current) return;
+    if (action === 'interact') confirmPlatform();
+    if (action === 'close') {
+      if (activePanelRef.current) closePanel();
+      else if (activeExhibitRef.current) closeProject();
+    }
+    if (startedRef.current && !activePanelRef.current) {
+      if (action === 'previousProject') cycleProject(-1);
+      if (action === 'nextProject') cycleProject(1);
+      if (action === 'reset') resetLetters();
+      if (action === 'cameraMode') cycleCameraMode();
+    }
+  };
 
-    animate();
+  // The engine keeps the events it was created with; going through the ref, actions always
+  // see this render's projects and panels
+  const handleActionRef = useRef(null);
+  handleActionRef.current = handleAction;
 
-    const handleResize = () => {
-      camera.aspect = window.innerWidth / window.innerHeight;
-      camera.updateProjectionMatrix();
-      renderer.setSize(window.innerWidth, window.innerHeight);
-    };
-    window.addEventListener('resize', handleResize);
+  useEffect(() => {
+    withEngine(engine => engine.setReducedMotion(prefersReducedMotion));
+  }, [prefersReducedMotion]);
 
-    setTimeout(() => setLoading(false), 2000);
+  // === ENGINE ===
+  useEffect(() => {
+    if (!containerRef.current || contentErrors.length > 0) return;
+
+    const engine = createMoonRoverEngine({
+      content,
+      settings: settingsRef.current,
+      hud: { minimapRenderer: minimapRendererRef, edgeIndicators: edgeIndicatorRefs, stats: statsRef },
+      events: {
+        onAssetsChange: setAssets,
+        onReady: () => { if (callbacksRef.current.onReady) callbacksRef.current.onReady(); },
+        onStart: () => { if (callbacksRef.current.onStart) callbacksRef.current.onStart(); },
+        onAction: (action) => handleActionRef.current(action),
+        onInputDeviceChange: setInputDevice,
+        onCameraModeChange: setCameraMode,
+        onQualityChange: setActiveQuality,
+        onTimeOfDayChange: setTimeOfDay,
+        onPlatformChange: setActivePlatform,
+        onDwellProgress: (progress) => {
+          if (dwellRingRef.current) dwellRingRef.current.style.strokeDashoffset = DWELL_RING_CIRCUMFERENCE * (1 - progress);
+        },
+        onDestinationReached: (destination) => {
+          if (callbacksRef.current.onDestinationReached) callbacksRef.current.onDestinationReached(destination);
+        },
+        onExhibitChange: handleExhibitChange,
+        onWaypointChange: setWaypoint,
+        onCollision: (event) => { if (callbacksRef.current.onCollision) callbacksRef.current.onCollision(event); },
+        onReplayChange: setReplayMode,
+        onReplayRecorded: setReplayLog,
+        onReplayDiverged: ({ step, distance }) => {
+          setReplayError(`The re-run left the recorded path at step ${step} (${distance.toFixed(3)} m off); different terrain detail may have been loaded`);
+        },
+        onAudioError: ({ loop, message }) => setAudioErrors(current => ({ ...current, [loop]: message })),
+        onAudioBlockedChange: setAudioBlocked,
+        onTerrainDetailError: setTerrainError,
+      },
+    });
+    engineRef.current = engine;
+
+    // StrictMode mounts, unmounts and remounts effects straight away in development; mounting
+    // a tick later means only the engine that stays creates an AudioContext and loaders
+    const mountTimer = setTimeout(() => {
+      if (!engine.mount(containerRef.current)) {
+        setWebglSupported(false);
+        return;
+      }
+      controlsRef.current = engine.controls;
+    });
 
     return () => {
-      window.removeEventListener('resize', handleResize);
-      window.removeEventListener('keydown', handleKeyDown);
-      window.removeEventListener('keyup', handleKeyUp);
-      window.removeEventListener('mousedown', handleMouseDown);
-      window.removeEventListener('mouseup', handleMouseUp);
-      window.removeEventListener('mousemove', handleMouseMove);
-      window.removeEventListener('contextmenu', handleContextMenu);
-      
-      if (requestRef.current) cancelAnimationFrame(requestRef.current);
-
-      if (musicPlayerRef.current) { musicPlayerRef.current.pause(); musicPlayerRef.current = null; }
-      if (engineSoundRef.current) { engineSoundRef.current.pause(); engineSoundRef.current = null; }
-      
-      if (sceneRef.current) {
-        sceneRef.current.traverse((object) => {
-          if (object.geometry) object.geometry.dispose();
-          if (object.material) {
-            if (Array.isArray(object.material)) object.material.forEach(m => m.dispose());
-            else object.material.dispose();
-          }
-          if (object.type === 'Mesh' && object.material.map) object.material.map.dispose();
-        });
-      }
-      if (containerRef.current && renderer.domElement) containerRef.current.removeChild(renderer.domElement);
-      renderer.dispose();
-      audioContext.close();
+      clearTimeout(mountTimer);
+      engine.dispose();
+      engineRef.current = null;
+      controlsRef.current = null;
     };
-  }, []); 
+  }, [content, contentErrors]);
 
   const handleStart = () => {
     startedRef.current = true;
-    audioEnabledRef.current = true;
-    
     setStarted(true);
-    setAudioEnabled(true);
-    
-    if (sceneRef.current) {
-        sceneRef.current.background = new THREE.Color(0x050505);
-        sceneRef.current.fog = new THREE.Fog(0x050505, 40, 250);
-    }
-    
-    // Switch Visibility Logic
-    if (introGroupRef.current) introGroupRef.current.visible = false;
-    if (gameAssetsGroupRef.current) gameAssetsGroupRef.current.visible = true;
-    if (roverGroupRef.current) roverGroupRef.current.visible = true;
-
-    const music = new Audio('/music/background.mp3'); music.loop = true; music.volume = 0.4;
-    music.play().catch(e => console.log('Music blocked:', e));
-    musicPlayerRef.current = music; 
-
-    const engine = new Audio('/music/insidecarnoise.mp3'); engine.loop = true; engine.volume = 0; 
-    engine.play().catch(e => console.log('Engine blocked:', e));
-    engineSoundRef.current = engine;
+    withEngine(engine => engine.start());
   };
 
-  const isReady = roverLoaded && terrainLoaded;
+  const loading = !assetsSettled(assets);
+
+  // Keyboard hints name whatever keys the visitor has bound, primary keys first
+  const keyNames = (actions, slot) => {
+    const codes = actions.map(action => bindings.keyboard[action][slot]);
+    return codes.every(Boolean) ? codes.map(code => formatKeyCode(code, keyboardLayout)).join(' ') : null;
+  };
+  const keyHint = (actions, text) => `${[keyNames(actions, 0), keyNames(actions, 1)].filter(Boolean).join(' / ') || 'Unbound'} - ${text}`;
+  const controlHints = inputDevice === 'keyboard' ? {
+    drive: keyHint(['forward', 'left', 'back', 'right'], 'Move Rover'),
+    brake: keyHint(['brake'], 'Brake'),
+    camera: `Right Click + Drag / ${keyHint(['orbitLeft', 'orbitRight'], 'Rotate Camera')}`,
+    zoom: `Wheel / ${keyHint(['zoomIn', 'zoomOut'], 'Zoom')}`,
+    cameraMode: keyHint(['cameraMode'], 'Switch Camera'),
+    interact: keyHint(['interact'], 'Open'),
+    reset: keyHint(['reset'], 'Reset Letters'),
+    projects: keyHint(['previousProject', 'nextProject'], 'Browse Projects'),
+  } : CONTROL_HINTS[inputDevice];
+
+  if (contentErrors.length === 0 && !webglSupported) {
+    return (
+      <div className="w-full h-full overflow-auto bg-gradient-to-b from-purple-900 to-black p-8">
+        <p role="note" className="max-w-3xl mx-auto mb-6 text-xs font-mono text-red-300">This browser can't show the 3D moon (WebGL is unavailable), so here is the portfolio in plain form.</p>
+        <PortfolioContent content={content} id={CONTENT_ID} className="max-w-3xl mx-auto" />
+      </div>
+    );
+  }
+
+  if (contentErrors.length > 0) {
+    return (
+      <div className="w-full h-screen flex items-center justify-center bg-black text-white font-mono p-8">
+        <div className="max-w-2xl border-2 border-red-500 rounded-xl p-6">
+          <p className="text-sm font-bold mb-3 text-red-500">INVALID PORTFOLIO CONTENT</p>
+          <ul className="text-xs space-y-1">
+            {contentErrors.map(error => <li key={error}>• {error}</li>)}
+          </ul>
+        </div>
+      </div>
+    );
+  }
 
   return (
     <div className="relative w-full h-screen overflow-hidden bg-black">
+      <a href={`#${CONTENT_ID}`} className="sr-only focus:not-sr-only focus:absolute focus:top-4 focus:left-4 focus:z-[70] focus:px-4 focus:py-2 focus:rounded-lg focus:bg-red-600 focus:text-white focus:font-mono focus:text-sm">
+        Skip to content
+      </a>
+
+      {/* Semantic copy of the world for screen readers; shows itself when keyboard focus enters it */}
+      <PortfolioContent
+        content={content}
+        id={CONTENT_ID}
+        onOpenPanel={started ? openPanel : undefined}
+        className="sr-only focus-within:not-sr-only focus-within:absolute focus-within:inset-8 focus-within:z-[60] focus-within:overflow-auto focus-within:p-8 focus-within:rounded-xl focus-within:border-2 focus-within:border-red-500 focus-within:bg-black focus-within:bg-opacity-90"
+      />
+
       {loading && (
-        <div className="absolute inset-0 flex items-center justify-center bg-gradient-to-b from-purple-900 via-indigo-900 to-black z-50">
-          <div className="text-white text-xl animate-pulse font-mono">LOADING ASSETS...</div>
-        </div>
+        <LoadingScreen
+          assets={assets}
+          onRetry={(id) => withEngine(engine => engine.retryAsset(id))}
+          onUseFallback={(id) => withEngine(engine => engine.useAssetFallback(id))}
+        />
       )}
 
       {!started && !loading && (
         <div className="absolute inset-0 pointer-events-none z-40 flex items-center justify-center">
              <div className="relative transform translate-x-24 -translate-y-12">
-                 {isReady ? (
-                    <div className="pointer-events-auto cursor-pointer group" onClick={handleStart}>
-                        <style>{`@import url('https://fonts.googleapis.com/css2?family=Amatic+SC:wght@700&display=swap');`}</style>
-                        <h1 className="text-white text-6xl tracking-widest drop-shadow-[0_5px_5px_rgba(255,0,255,0.5)]" style={{ fontFamily: "'Amatic SC', cursive", transform: 'rotate(-5deg)' }}>
-                            CLICK TO <br/> START
-                        </h1>
-                        <svg className="absolute -bottom-8 -left-8 w-12 h-12 text-white animate-bounce" fill="none" stroke="currentColor" viewBox="0 0 24 24" style={{transform: 'rotate(90deg)'}}>
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" />
-                        </svg>
-                        <div className="absolute top-10 -right-10 text-white animate-pulse">
-                            <svg className="w-8 h-8" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M9.383 3.076A1 1 0 0110 4v12a1 1 0 01-1.707.707L4.586 13H2a1 1 0 01-1-1V8a1 1 0 011-1h2.586l3.707-3.707a1 1 0 011.09-.217zM14.657 2.929a1 1 0 011.414 0A9.972 9.972 0 0119 10a9.972 9.972 0 01-2.929 7.071 1 1 0 01-1.414-1.414A7.971 7.971 0 0017 10c0-2.21-.894-4.208-2.343-5.657a1 1 0 010-1.414zm-2.829 2.828a1 1 0 011.415 0A5.983 5.983 0 0115 10a5.984 5.984 0 01-1.757 4.243 1 1 0 01-1.415-1.415A3.984 3.984 0 0013 10a3.983 3.983 0 00-1.172-2.828 1 1 0 010-1.414z" clipRule="evenodd" /></svg>
-                        </div>
-                    </div>
-                 ) : (
-                    <div className="text-white text-3xl font-mono animate-pulse">
-                        {!roverLoaded ? "ROVER LOADING..." : "TERRAIN LOADING..."}
-                    </div>
-                 )}
+                 <button type="button" data-native-keys className="relative pointer-events-auto cursor-pointer group text-left rounded-lg outline-none focus-visible:ring-4 focus-visible:ring-fuchsia-400" onClick={handleStart}>
+                     <style>{`@import url('https://fonts.googleapis.com/css2?family=Amatic+SC:wght@700&display=swap');`}</style>
+                     <span className="block text-white text-6xl tracking-widest drop-shadow-[0_5px_5px_rgba(255,0,255,0.5)]" style={{ fontFamily: "'Amatic SC', cursive", transform: 'rotate(-5deg)' }}>
+                         CLICK TO <br/> START
+                     </span>
+                     <svg aria-hidden="true" className="absolute -bottom-8 -left-8 w-12 h-12 text-white motion-safe:animate-bounce" fill="none" stroke="currentColor" viewBox="0 0 24 24" style={{transform: 'rotate(90deg)'}}>
+                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" />
+                     </svg>
+                     <span aria-hidden="true" className="absolute top-10 -right-10 text-white motion-safe:animate-pulse">
+                         <svg className="w-8 h-8" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M9.383 3.076A1 1 0 0110 4v12a1 1 0 01-1.707.707L4.586 13H2a1 1 0 01-1-1V8a1 1 0 011-1h2.586l3.707-3.707a1 1 0 011.09-.217zM14.657 2.929a1 1 0 011.414 0A9.972 9.972 0 0119 10a9.972 9.972 0 01-2.929 7.071 1 1 0 01-1.414-1.414A7.971 7.971 0 0017 10c0-2.21-.894-4.208-2.343-5.657a1 1 0 010-1.414zm-2.829 2.828a1 1 0 011.415 0A5.983 5.983 0 0115 10a5.984 5.984 0 01-1.757 4.243 1 1 0 01-1.415-1.415A3.984 3.984 0 0013 10a3.983 3.983 0 00-1.172-2.828 1 1 0 010-1.414z" clipRule="evenodd" /></svg>
+                     </span>
+                 </button>
              </div>
         </div>
       )}
 
-      <div ref={containerRef} className="w-full h-full bg-gradient-to-b from-purple-900 to-black" />
+      <div ref={containerRef} onClick={confirmPlatform} aria-hidden="true" className="w-full h-full bg-gradient-to-b from-purple-900 to-black" />
 
       {started && !loading && (
         <>
-          <div className="absolute bottom-8 left-8 bg-black bg-opacity-70 backdrop-blur-md text-white p-6 rounded-xl border-2 border-red-500 shadow-lg shadow-red-500/50">
+          <div className="absolute top-8 left-8 text-white font-mono">
+            <p className="text-lg font-bold tracking-widest">{content.name}</p>
+            <p className="text-xs text-red-400">{content.destinations.map(destination => destination.label).join(' · ')}</p>
+          </div>
+
+          {inputDevice === 'touch' && <TouchControls controlsRef={controlsRef} />}
+
+          {/* The joystick takes the bottom-left corner on touch screens */}
+          <div className={`absolute ${inputDevice === 'touch' ? 'top-24' : 'bottom-8'} left-8 bg-black bg-opacity-70 backdrop-blur-md text-white p-6 rounded-xl border-2 border-red-500 shadow-lg shadow-red-500/50`}>
             <p className="text-sm font-bold mb-3 text-red-500">🎮 CONTROLS</p>
-            <p className="text-xs mb-1">WASD / Arrow Keys - Move Rover</p>
-            <p className="text-xs mb-1">Right Click + Drag - Rotate Camera</p>
+            {HINT_ORDER.filter(hint => controlHints[hint]).map(hint => (
+              <p key={hint} className="text-xs mb-1">{controlHints[hint]}</p>
+            ))}
+            {projects.length > 0 && <p className="text-xs mb-1">{controlHints.projects}</p>}
             <p className="text-xs text-red-400 mb-3">💥 Push the letters AND ROCKS!</p>
             <button onClick={resetLetters} className="w-full mt-2 px-4 py-2 bg-gradient-to-r from-red-600 to-red-500 hover:from-red-700 hover:to-red-600 rounded-lg text-xs font-bold transition-all duration-300 transform hover:scale-105">🔄 RESET LETTERS</button>
+            <button onClick={cycleCameraMode} className="w-full mt-2 px-4 py-2 bg-gray-800 hover:bg-gray-700 rounded-lg text-xs font-bold">📷 CAMERA: {CAMERA_MODE_LABELS[cameraMode]}</button>
+            {inputDevice !== 'touch' && (
+              <button onClick={() => openPanel('bindings')} className="w-full mt-2 px-4 py-2 bg-gray-800 hover:bg-gray-700 rounded-lg text-xs font-bold">{inputDevice === 'gamepad' ? '🎮 GAMEPAD BINDINGS' : '⌨️ KEY BINDINGS'}</button>
+            )}
           </div>
 
+          <AudioPanel settings={audioSettings} errors={audioErrors} blocked={audioBlocked} onEnable={enableAudio} onChange={updateAudioSettings} />
+          <SkyControls timeOfDay={timeOfDay} latitude={content.world && content.world.sky ? content.world.sky.latitude : undefined} frozen={timeFrozen} onScrub={scrubTimeOfDay} onToggleFrozen={toggleTimeFrozen} />
+
+          {replayMode !== 'idle' && (
+            <div className="absolute top-8 left-1/2 -translate-x-1/2 px-3 py-1 rounded-full bg-black bg-opacity-70 border border-red-500 text-xs font-mono font-bold text-white pointer-events-none">
+              {REPLAY_BADGES[replayMode]}
+            </div>
+          )}
+
+          {terrainError && (
+            <p role="status" className="absolute top-20 left-1/2 -translate-x-1/2 max-w-md px-3 py-1 rounded-lg bg-black bg-opacity-70 border border-yellow-500 text-xs font-mono text-yellow-200 pointer-events-none">
+              ⚠️ {terrainError}; showing coarser ground until it comes in
+            </p>
+          )}
+
+          {showStats && (
+            <div ref={statsRef} aria-hidden="true" className="absolute bottom-2 left-1/2 -translate-x-1/2 px-2 py-1 bg-black bg-opacity-70 rounded text-xs text-green-400 font-mono pointer-events-none" />
+          )}
+
           <div className="absolute top-8 right-8">
             <button onClick={() => setShowMenu(v => !v)} aria-label="menu" className="w-14 h-14 bg-gradient-to-br from-red-500 to-red-700 rounded-xl flex flex-col items-center justify-center gap-1.5 hover:from-red-600 hover:to-red-800 transition-all duration-300 shadow-lg shadow-red-500/50 transform hover:scale-110">
               <div className="w-7 h-0.5 bg-white rounded-full"></div>
@@ -654,16 +497,120 @@ const MoonRoverPortfolio = () => {
             </button>
             {showMenu && (
               <div className="mt-2 w-48 bg-black bg-opacity-80 text-white rounded-lg border border-red-600 p-3 shadow-lg">
-                <a href="https://www.linkedin.com/in/moss-louvan-4614682a4" target="_blank" rel="noreferrer" className="block py-1 text-sm hover:text-red-300">LinkedIn</a>
-                <a href="https://github.com" target="_blank" rel="noreferrer" className="block py-1 text-sm hover:text-red-300">GitHub</a>
-                <a href="#contact" className="block py-1 text-sm hover:text-red-300">Contact</a>
+                {content.destinations.map(destination => destination.panel ? (
+                  <a key={destination.id} href={`#${destination.panel}`} onClick={(e) => { e.preventDefault(); setShowMenu(false); openDestination(destination); }} className="block py-1 text-sm hover:text-red-300">{destination.label}</a>
+                ) : (
+                  <a key={destination.id} href={destination.url} target="_blank" rel="noreferrer" className="block py-1 text-sm hover:text-red-300">{destination.label}</a>
+                ))}
+                {projects.length > 0 && (
+                  <>
+                    <p className="mt-2 pt-2 border-t border-red-800 text-xs font-bold text-red-400">PROJECTS</p>
+                    {projects.map(project => (
+                      <button key={project.id} onClick={() => { setShowMenu(false); openProject(project.id, 'menu'); }} className="block w-full text-left py-1 text-sm hover:text-red-300">{project.title}</button>
+                    ))}
+                  </>
+                )}
+                <p className="mt-2 pt-2 border-t border-red-800 text-xs font-bold text-red-400">SCENE</p>
+                <button onClick={() => { setShowMenu(false); returnToSpawn(); }} className="block w-full text-left py-1 text-sm hover:text-red-300">🏠 Return rover to spawn</button>
+                <button onClick={() => { setShowMenu(false); resetEverything(); }} className="block w-full text-left py-1 text-sm hover:text-red-300">🔄 Reset everything</button>
+                <button onClick={shareScene} className="block w-full text-left py-1 text-sm hover:text-red-300">{shareCopied ? '✅ Link copied' : '🔗 Copy share link'}</button>
+                <ReplayControls
+                  mode={replayMode}
+                  log={replayLog}
+                  error={replayError}
+                  onRecord={() => { setReplayError(null); withEngine(engine => engine.startRecording()); }}
+                  onStopRecording={() => withEngine(engine => engine.stopRecording())}
+                  onPlayGhost={() => playReplay('ghost')}
+                  onRerun={() => playReplay('rerun')}
+                  onStop={() => withEngine(engine => engine.stopReplay())}
+                  onExport={() => downloadReplay(replayLog)}
+                  onImport={importReplay}
+                />
+                <p className="mt-2 pt-2 border-t border-red-800 text-xs font-bold text-red-400">GRAPHICS</p>
+                <div className="grid grid-cols-2 gap-1 mt-1">
+                  {QUALITY_SETTINGS.map(setting => (
+                    <button key={setting} onClick={() => changeQuality(setting)} aria-pressed={qualitySetting === setting} className={`px-2 py-1 rounded text-xs font-bold ${qualitySetting === setting ? 'bg-red-600' : 'bg-gray-800 hover:bg-gray-700'}`}>
+                      {QUALITY_LABELS[setting]}{setting === 'auto' && qualitySetting === 'auto' && activeQuality ? ` (${QUALITY_LABELS[activeQuality]})` : ''}
+                    </button>
+                  ))}
+                </div>
+                <label className="flex items-center gap-2 mt-2 text-xs">
+                  <input type="checkbox" checked={showStats} onChange={(e) => setShowStats(e.target.checked)} className="accent-red-500" />
+                  Show FPS
+                </label>
               </div>
             )}
           </div>
+
+          <div aria-hidden="true" className="absolute inset-0 pointer-events-none font-mono">
+            {[...content.destinations, ...(waypoint ? [{ id: WAYPOINT_ID, label: 'WAYPOINT', color: '#facc15' }] : [])].map(target => (
+              <div key={target.id} ref={element => { edgeIndicatorRefs.current[target.id] = element; }} className="absolute left-0 top-0 flex-col items-center text-xs text-white" style={{ display: 'none' }}>
+                <span className="text-2xl leading-none" style={{ color: target.color }}>➤</span>
+                <span className="font-bold" style={{ color: target.color }}>{target.label}</span>
+                <span />
+              </div>
+            ))}
+          </div>
+
+          <Minimap
+            rendererRef={minimapRendererRef}
+            worldSize={TERRAIN_SIZE}
+            waypoint={waypoint}
+            onSetWaypoint={setWaypointAt}
+            onClearWaypoint={clearWaypoint}
+          />
+
+          {activePlatform && (
+            <button onClick={confirmPlatform} disabled={!activePlatform.ready} className="absolute bottom-8 left-1/2 transform -translate-x-1/2 flex items-center gap-4 bg-black bg-opacity-70 backdrop-blur-md text-white px-6 py-4 rounded-xl border-2 border-cyan-400 shadow-lg shadow-cyan-400/50">
+              <svg className="w-16 h-16 -rotate-90" viewBox="0 0 64 64">
+                <circle cx="32" cy="32" r={DWELL_RING_RADIUS} fill="none" stroke="rgba(255,255,255,0.2)" strokeWidth="4" />
+                <circle ref={dwellRingRef} cx="32" cy="32" r={DWELL_RING_RADIUS} fill="none" stroke="#6dd5ed" strokeWidth="4" strokeLinecap="round"
+                  strokeDasharray={DWELL_RING_CIRCUMFERENCE} style={{ strokeDashoffset: activePlatform.ready ? 0 : DWELL_RING_CIRCUMFERENCE }} />
+              </svg>
+              <div className="text-left font-mono">
+                <p className="text-sm font-bold text-cyan-300">{activePlatform.label}</p>
+                <p className="text-xs">{activePlatform.ready ? 'PRESS ENTER OR CLICK TO OPEN' : 'HOLD POSITION...'}</p>
+              </div>
+            </button>
+          )}
+
+          {activeExhibit && (() => {
+            const index = projects.findIndex(project => project.id === activeExhibit.id);
+            return (
+              <ProjectPanel
+                project={projects[index]}
+                index={index}
+                count={projects.length}
+                autoFocus={activeExhibit.source === 'menu'}
+                onClose={closeProject}
+                onPrevious={() => cycleProject(-1)}
+                onNext={() => cycleProject(1)}
+              />
+            );
+          })()}
+
+          {activePanel === 'bindings' && (
+            <BindingsPanel
+              bindings={bindings}
+              keyboardLayout={keyboardLayout}
+              onRebind={rebind}
+              onRebindGamepadButton={rebindButton}
+              onRebindGamepadAxis={rebindAxis}
+              onGamepadCapture={setGamepadCapture}
+              onResetDefaults={resetBindings}
+              onClose={closePanel}
+            />
+          )}
+
+          {activePanel === 'contact' && (
+            <ContactPanel config={content.contact} links={content.destinations.filter(destination => destination.url)} onClose={closePanel} />
+          )}
         </>
       )}
     </div>
   );
-};
+});
+
+MoonRoverPortfolio.displayName = 'MoonRoverPortfolio';
 
 export default MoonRoverPortfolio;
\ No newline at end of file
@@ -0,0 +1,124 @@
+import * as THREE from 'three';
+
+// === ASSET MANAGER ===
+// Tracks the files the scene needs before it can start. Every asset reports byte progress
+// and ends up in one of these states:
+//
+//   loading ─▶ loaded
+//      │
+//      └────▶ error ─▶ (retry) loading ...
+//                  └─▶ (useFallback) fallback
+//
+// Optional assets skip the error state and fall back straight away. A request that sends
+// nothing for STALL_TIMEOUT_MS counts as failed; whatever it delivers later is ignored.
+// All loaders share one THREE.LoadingManager, which is handed to each asset's `start`.
+
+const STALL_TIMEOUT_MS = 20000;
+
+// Loader errors are Errors, HTTP errors or bare events; turn them into one readable line
+const describeError = (error) => {
+  if (error instanceof Error && error.message) return error.message;
+  if (error && error.target && error.target.src) return `Couldn't fetch ${error.target.src}`;
+  return 'The network request failed';
+};
+
+/**
+ * `onChange(assets)` receives a fresh array of
+ * { id, label, status, loaded, total, error, fallbackLabel } after every change; `error`
+ * stays set on an asset that fell back, so the loading screen can say why.
+ */
+export const createAssetManager = ({ onChange, stallTimeoutMs = STALL_TIMEOUT_MS }) => {
+  const manager = new THREE.LoadingManager();
+  const assets = [];
+  let disposed = false;
+
+  const emit = () => {
+    if (disposed) return;
+    onChange(assets.map(({ id, label, status, loaded, total, error, fallbackLabel }) => ({ id, label, status, loaded, total, error, fallbackLabel })));
+  };
+
+  const find = (id) => assets.find(asset => asset.id === id);
+
+  const run = (asset) => {
+    asset.attempt++;
+    const attempt = asset.attempt;
+    Object.assign(asset, { status: 'loading', loaded: 0, total: 0, error: null });
+    const current = () => !disposed && asset.attempt === attempt && asset.status === 'loading';
+
+    const fail = (error) => {
+      if (!current()) return;
+      clearTimeout(asset.stallTimer);
+      asset.status = 'error';
+      asset.error = describeError(error);
+      if (asset.optional) useFallback(asset.id);
+      else emit();
+    };
+
+    const watchForStall = () => {
+      clearTimeout(asset.stallTimer);
+      asset.stallTimer = setTimeout(() => fail(new Error(`No response for ${Math.round(stallTimeoutMs / 1000)} seconds`)), stallTimeoutMs);
+    };
+
+    watchForStall();
+    emit();
+    asset.start({
+      manager,
+      // Assets made of several files report them one after another, so bytes add up per file
+      onProgress: (event) => {
+        if (!current()) return;
+        watchForStall();
+        if (event && event.lengthComputable) {
+          asset.loaded = event.loaded;
+          asset.total = event.total;
+        }
+        emit();
+      },
+      onLoad: () => {
+        if (!current()) return;
+        clearTimeout(asset.stallTimer);
+        asset.status = 'loaded';
+        asset.loaded = asset.total;
+        emit();
+      },
+      onError: fail,
+    });
+  };
+
+  /**
+   * Registers an asset and starts loading it.
+   * @param start          ({ manager, onProgress, onLoad, onError }) => void; may be called again on retry
+   * @param fallback       () => void, puts a stand-in in place of the asset
+   * @param fallbackLabel  what the stand-in is, for the "continue with ..." button
+   * @param optional       fall back without asking when loading fails
+   */
+  const add = (id, { label, start, fallback, fallbackLabel = null, optional = false }) => {
+    const asset = { id, label, start, fallback, fallbackLabel, optional, attempt: 0, stallTimer: null };
+    assets.push(asset);
+    run(asset);
+  };
+
+  const retry = (id) => {
+    const asset = find(id);
+    if (asset && asset.status === 'error') run(asset);
+  };
+
+  const useFallback = (id) => {
+    const asset = find(id);
+    if (!asset || asset.status === 'loaded' || asset.status === 'fallback') return;
+    clearTimeout(asset.stallTimer);
+    asset.attempt++; // Anything still in flight is ignored from now on
+    asset.status = 'fallback';
+    asset.fallback();
+    emit();
+  };
+
+  const dispose = () => {
+    disposed = true;
+    assets.forEach(asset => clearTimeout(asset.stallTimer));
+  };
+
+  return { manager, add, retry, useFallback, dispose };
+};
+
+// Loading screen is done once nothing is loading and nothing waits for a decision
+export const assetsSettled = (assets) => assets.length > 0 && assets.every(asset => asset.status === 'loaded' || asset.status === 'fallback');
@@ -0,0 +1,174 @@
+import { AUDIO_BUSES } from './audioSettings';
+
+// === AUDIO ENGINE ===
+// One Web Audio graph for everything the portfolio plays:
+//
+//   music loop  ─▶ music bus  ─┐
+//   impacts     ─▶ sfx bus    ─┼─▶ master (mute) ─▶ speakers
+//   engine loop ─▶ engine bus ─┘
+//
+// Browsers keep the context suspended until a user gesture, so `start()` belongs in a
+// click handler. Loops are fetched up front and begin as soon as both they and `start()`
+// have arrived.
+
+const RAMP_SECONDS = 0.05; // Smooths gain and pitch changes so they don't click
+const ENGINE_IDLE_GAIN = 0.08;
+const ENGINE_IDLE_RATE = 0.8;
+const ENGINE_TOP_RATE = 1.4;
+const MAX_IMPACT_VOICES = 8;
+const IMPACT_FULL_SPEED = 12; // Impact speed that plays at full volume
+const BLOCKED_CHECK_MS = 1000; // resume() may stay pending instead of failing when it isn't allowed
+
+// Rocks give a dull knock (filtered noise plus a low thump); letters ring like hollow metal
+const MATERIALS = {
+  rock: { noiseFilter: 900, thump: 90, ring: null, decay: 0.18 },
+  letter: { noiseFilter: 2500, thump: null, ring: 520, decay: 0.45 },
+};
+
+/**
+ * `onLoadError(loop, message)` reports a loop ('music' | 'engine') that couldn't be fetched
+ * or decoded; everything else keeps playing without it.
+ * `onBlockedChange(blocked)` says, once start() has been called, whether the browser is
+ * still holding sound back; calling start() again from a tap or click lets it through.
+ */
+export const createAudioEngine = ({ musicUrl, engineUrl, settings, onLoadError = () => {}, onBlockedChange = () => {} }) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  const master = context.createGain();
+  master.connect(context.destination);
+  const buses = {};
+  AUDIO_BUSES.forEach(bus => {
+    buses[bus] = context.createGain();
+    buses[bus].connect(master);
+  });
+
+  const engineGain = context.createGain(); // Speed-driven, under the engine bus volume
+  engineGain.gain.value = 0;
+  engineGain.connect(buses.engine);
+
+  let started = false;
+  let disposed = false;
+  let activeImpacts = 0;
+  let blocked = false;
+  const loops = {}; // name -> { buffer, source, destination }
+
+  // One second of white noise, reused by every impact
+  const noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+  const noiseData = noise.getChannelData(0);
+  for (let i = 0; i < noiseData.length; i++) noiseData[i] = Math.random() * 2 - 1;
+
+  const ramp = (param, value) => param.setTargetAtTime(value, context.currentTime, RAMP_SECONDS);
+
+  const applySettings = ({ muted, volumes }) => {
+    ramp(master.gain, muted ? 0 : 1);
+    AUDIO_BUSES.forEach(bus => ramp(buses[bus].gain, volumes[bus]));
+  };
+  applySettings(settings);
+
+  const startLoop = (name) => {
+    const loop = loops[name];
+    if (!started || !loop || !loop.buffer || loop.source || disposed) return;
+    loop.source = context.createBufferSource();
+    loop.source.buffer = loop.buffer;
+    loop.source.loop = true;
+    loop.source.connect(loop.destination);
+    loop.source.start();
+  };
+
+  const loadLoop = (name, url, destination) => {
+    loops[name] = { buffer: null, source: null, destination };
+    fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.arrayBuffer();
+      })
+      .then(data => context.decodeAudioData(data))
+      .then(buffer => {
+        loops[name].buffer = buffer;
+        startLoop(name);
+      })
+      .catch(error => {
+        if (!disposed) onLoadError(name, error && error.message ? error.message : `Couldn't fetch ${url}`);
+      });
+  };
+
+  loadLoop('music', musicUrl, buses.music);
+  loadLoop('engine', engineUrl, engineGain);
+
+  const checkBlocked = () => {
+    if (!started || disposed || blocked === (context.state === 'suspended')) return;
+    blocked = !blocked;
+    onBlockedChange(blocked);
+  };
+  context.addEventListener('statechange', checkBlocked);
+
+  // Call from a user gesture
+  const start = () => {
+    started = true;
+    context.resume().then(checkBlocked, checkBlocked);
+    setTimeout(checkBlocked, BLOCKED_CHECK_MS);
+    Object.keys(loops).forEach(startLoop);
+  };
+
+  // `load` in 0..1: 0 idles quietly at low pitch, 1 is full speed
+  const setEngineLoad = (load) => {
+    const clamped = Math.max(0, Math.min(1, load));
+    ramp(engineGain.gain, ENGINE_IDLE_GAIN + (1 - ENGINE_IDLE_GAIN) * clamped);
+    const engine = loops.engine;
+    if (engine && engine.source) ramp(engine.source.playbackRate, ENGINE_IDLE_RATE + (ENGINE_TOP_RATE - ENGINE_IDLE_RATE) * clamped);
+  };
+
+  /**
+   * Plays a collision. `material` is a MATERIALS key; `speed` is the closing speed, which
+   * sets the loudness (and, a little, the brightness).
+   */
+  const playImpact = ({ material, speed }) => {
+    const sound = MATERIALS[material];
+    if (!started || !sound || activeImpacts >= MAX_IMPACT_VOICES || context.state !== 'running') return;
+    const strength = Math.max(0.05, Math.min(1, speed / IMPACT_FULL_SPEED));
+    const now = context.currentTime;
+    const end = now + sound.decay;
+
+    const voice = context.createGain();
+    voice.gain.setValueAtTime(0.6 * strength, now);
+    voice.gain.exponentialRampToValueAtTime(0.001, end);
+    voice.connect(buses.sfx);
+
+    const sources = [];
+    const hit = context.createBufferSource();
+    hit.buffer = noise;
+    hit.playbackRate.value = 0.9 + Math.random() * 0.2;
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = sound.noiseFilter * (0.6 + strength * 0.6);
+    hit.connect(filter);
+    filter.connect(voice);
+    sources.push(hit);
+
+    const tone = sound.thump || sound.ring;
+    if (tone) {
+      const oscillator = context.createOscillator();
+      oscillator.type = sound.ring ? 'triangle' : 'sine';
+      oscillator.frequency.value = tone * (0.9 + Math.random() * 0.2);
+      oscillator.connect(voice);
+      sources.push(oscillator);
+    }
+
+    activeImpacts++;
+    sources.forEach(source => {
+      source.start(now);
+      source.stop(end);
+    });
+    sources[0].onended = () => {
+      activeImpacts--;
+      voice.disconnect();
+    };
+  };
+
+  const dispose = () => {
+    disposed = true;
+    context.close();
+  };
+
+  return { start, applySettings, setEngineLoad, playImpact, dispose };
+};
@@ -0,0 +1,27 @@
+import { readStoredJson, writeStoredJson } from '../storage/localStore';
+
+// === AUDIO SETTINGS ===
+// Bus volumes (0..1) and the mute toggle, kept in localStorage between visits.
+
+export const AUDIO_BUSES = ['music', 'sfx', 'engine'];
+export const AUDIO_BUS_LABELS = { music: 'Music', sfx: 'Effects', engine: 'Engine' };
+
+export const DEFAULT_AUDIO_SETTINGS = {
+  muted: false,
+  volumes: { music: 0.4, sfx: 0.8, engine: 0.6 },
+};
+
+const STORAGE_KEY = 'moonRover.audio';
+
+const clampVolume = (value) => Math.max(0, Math.min(1, value));
+
+export const loadAudioSettings = () => {
+  const stored = readStoredJson(STORAGE_KEY) || {};
+  const volumes = { ...DEFAULT_AUDIO_SETTINGS.volumes };
+  AUDIO_BUSES.forEach(bus => {
+    if (stored.volumes && typeof stored.volumes[bus] === 'number') volumes[bus] = clampVolume(stored.volumes[bus]);
+  });
+  return { muted: stored.muted === true, volumes };
+};
+
+export const saveAudioSettings = (settings) => writeStoredJson(STORAGE_KEY, settings);
@@ -0,0 +1,176 @@
+import * as THREE from 'three';
+
+// === CAMERA CONTROLLER ===
+// Follows the rover in one of several modes. Each frame a mode works out where the camera
+// wants to be and what it looks at; that pose is then pulled in front of terrain that blocks
+// the view, lifted above the ground, pushed out of rocks and letters, and eased towards.
+// Switching modes eases more slowly for a moment so the camera glides to the new view.
+
+export const CAMERA_MODES = ['chase', 'orbit', 'cockpit', 'topDown'];
+export const CAMERA_MODE_LABELS = { chase: 'CHASE', orbit: 'ORBIT', cockpit: 'COCKPIT', topDown: 'TOP-DOWN' };
+
+const MODES = {
+  // Behind and above the rover; orbiting swings it round for a look, then it drifts back
+  chase: { distance: 23, minDistance: 10, maxDistance: 45, pitch: 0.55, rate: 6 },
+  // Free orbit: yaw and pitch stay where the visitor leaves them
+  orbit: { distance: 25, minDistance: 6, maxDistance: 70, pitch: 0.5, rate: 10 },
+  // Driver's seat, looking along the heading; orbiting turns the head
+  cockpit: { eye: new THREE.Vector3(0, 1.1, 0.4), lookAhead: 12, rate: 30 },
+  // Map view, north up
+  topDown: { distance: 90, minDistance: 40, maxDistance: 160, rate: 5 },
+};
+
+const TRANSITION_SECONDS = 0.8;
+const TRANSITION_RATE = 2.5; // Easing rate at the start of a mode switch
+const LOOK_BACK_RATE = 1.5; // How fast chase and cockpit views drift back to the heading
+const MIN_PITCH = 0.1;
+const MAX_PITCH = 1.45;
+const GROUND_CLEARANCE = 1.5;
+const OBSTACLE_CLEARANCE = 1;
+const SIGHT_SAMPLES = 12; // Points checked along the line of sight for terrain in the way
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+/**
+ * @param camera     THREE.PerspectiveCamera to drive
+ * @param heightAt   (x, z) => terrain height
+ * @param obstacles  physics bodies ({ position, boundingRadius }) the camera must stay out of
+ */
+export const createCameraController = ({ camera, heightAt, obstacles = [], mode: initialMode = 'chase' }) => {
+  let mode = initialMode;
+  let yaw = 0; // Chase and cockpit: offset from the heading. Orbit: around world up
+  let pitch = MODES.orbit.pitch;
+  let transition = 1;
+  const distances = {};
+  Object.entries(MODES).forEach(([name, settings]) => { distances[name] = settings.distance; });
+
+  const lookTarget = new THREE.Vector3();
+  const desiredPosition = new THREE.Vector3();
+  const desiredLook = new THREE.Vector3();
+  const offset = new THREE.Vector3();
+  const sample = new THREE.Vector3();
+
+  const setMode = (next) => {
+    if (!MODES[next] || next === mode) return mode;
+    // Orbit picks up from wherever the camera is now, so the switch doesn't swing it round
+    if (next === 'orbit') {
+      offset.subVectors(camera.position, lookTarget);
+      yaw = Math.atan2(offset.x, offset.z);
+      pitch = THREE.MathUtils.clamp(Math.atan2(offset.y, Math.hypot(offset.x, offset.z)), MIN_PITCH, MAX_PITCH);
+    } else {
+      yaw = 0;
+    }
+    mode = next;
+    transition = 0;
+    return mode;
+  };
+
+  const cycleMode = (step = 1) => {
+    const index = CAMERA_MODES.indexOf(mode);
+    return setMode(CAMERA_MODES[(index + step + CAMERA_MODES.length) % CAMERA_MODES.length]);
+  };
+
+  // Pull the camera in front of the first terrain point that hides the target
+  const keepLineOfSight = () => {
+    for (let i = 1; i <= SIGHT_SAMPLES; i++) {
+      const t = i / SIGHT_SAMPLES;
+      sample.lerpVectors(desiredLook, desiredPosition, t);
+      if (heightAt(sample.x, sample.z) + GROUND_CLEARANCE > sample.y) {
+        desiredPosition.lerpVectors(desiredLook, desiredPosition, (i - 1) / SIGHT_SAMPLES);
+        return;
+      }
+    }
+  };
+
+  const keepClear = (position) => {
+    obstacles.forEach(obstacle => {
+      offset.subVectors(position, obstacle.position);
+      const clearance = obstacle.boundingRadius + OBSTACLE_CLEARANCE;
+      const distance = offset.length();
+      if (distance < clearance) {
+        if (distance < 1e-6) offset.set(0, 1, 0);
+        position.copy(obstacle.position).addScaledVector(offset.normalize(), clearance);
+      }
+    });
+    position.y = Math.max(position.y, heightAt(position.x, position.z) + GROUND_CLEARANCE);
+  };
+
+  const computeDesired = (target) => {
+    const settings = MODES[mode];
+    const distance = distances[mode];
+    if (mode === 'cockpit') {
+      offset.copy(settings.eye).applyQuaternion(target.quaternion);
+      desiredPosition.copy(target.position).add(offset);
+      offset.set(Math.sin(yaw), 0, Math.cos(yaw)).applyQuaternion(target.quaternion);
+      desiredLook.copy(desiredPosition).addScaledVector(offset, settings.lookAhead);
+      return;
+    }
+
+    desiredLook.copy(target.position);
+    if (mode === 'topDown') {
+      // A slight tilt keeps lookAt well defined straight above the rover
+      desiredPosition.set(target.position.x, target.position.y + distance, target.position.z - distance * 0.05);
+      return;
+    }
+
+    // Chase sits behind the heading (rover forward is +z); orbit uses its own yaw and pitch
+    const angle = mode === 'chase' ? target.yaw + Math.PI + yaw : yaw;
+    const elevation = mode === 'chase' ? settings.pitch : pitch;
+    offset.set(Math.sin(angle) * Math.cos(elevation), Math.sin(elevation), Math.cos(angle) * Math.cos(elevation));
+    desiredPosition.copy(target.position).addScaledVector(offset, distance);
+    keepLineOfSight();
+  };
+
+  /**
+   * Swings the view: yaw / pitch in radians, zoom as a log step (positive moves closer).
+   * Top-down ignores orbiting; the cockpit only turns its head.
+   */
+  const applyInput = ({ orbitYaw = 0, orbitPitch = 0, zoom = 0 }, delta) => {
+    if (mode !== 'topDown') yaw -= orbitYaw;
+    if (mode === 'orbit') pitch = THREE.MathUtils.clamp(pitch + orbitPitch, MIN_PITCH, MAX_PITCH);
+    if ((mode === 'chase' || mode === 'cockpit') && !orbitYaw) {
+      yaw *= Math.exp(-LOOK_BACK_RATE * delta);
+    }
+    if (mode === 'cockpit') yaw = THREE.MathUtils.clamp(yaw, -Math.PI * 0.75, Math.PI * 0.75);
+    const settings = MODES[mode];
+    if (zoom && settings.distance) {
+      distances[mode] = THREE.MathUtils.clamp(distances[mode] * Math.exp(-zoom), settings.minDistance, settings.maxDistance);
+    }
+  };
+
+  /**
+   * Call once per frame. `target` is the rover as drawn: { position, quaternion, yaw }.
+   */
+  const update = (delta, target, input = {}) => {
+    applyInput(input, delta);
+    computeDesired(target);
+    keepClear(desiredPosition);
+
+    transition = Math.min(1, transition + delta / TRANSITION_SECONDS);
+    const rate = THREE.MathUtils.lerp(TRANSITION_RATE, MODES[mode].rate, smoothstep(transition));
+    const ease = 1 - Math.exp(-rate * delta);
+    camera.position.lerp(desiredPosition, ease);
+    lookTarget.lerp(desiredLook, ease);
+    // Easing can cut corners through a rise or a rock even when both ends are clear
+    keepClear(camera.position);
+    camera.up.copy(Y_AXIS);
+    camera.lookAt(lookTarget);
+  };
+
+  // Jump straight to the current mode's view (spawn, teleports)
+  const snap = (target) => {
+    computeDesired(target);
+    keepClear(desiredPosition);
+    camera.position.copy(desiredPosition);
+    lookTarget.copy(desiredLook);
+    camera.lookAt(lookTarget);
+    transition = 1;
+  };
+
+  return {
+    update, snap, setMode, cycleMode,
+    get mode() { return mode; },
+    get lookTarget() { return lookTarget; },
+  };
+};
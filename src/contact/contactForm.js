@@ -0,0 +1,62 @@
+import { readStoredJson, writeStoredJson } from '../storage/localStore';
+
+// === CONTACT FORM ===
+// Checks for the CONTACT panel's form: field validation, the honeypot and a rate limit.
+// None of this stops a determined sender (anything in the browser can be bypassed); it keeps
+// form-filling bots and double submits out. A POST endpoint should check again.
+
+export const HONEYPOT_FIELD = 'website'; // Hidden from people, filled in by bots
+export const FIELD_LIMITS = { name: 100, email: 254, message: 5000 };
+const MIN_MESSAGE_LENGTH = 10;
+const MIN_INTERVAL_MS = 30 * 1000; // Between two messages
+const HOURLY_LIMIT = 5;
+const HOUR_MS = 60 * 60 * 1000;
+const STORAGE_KEY = 'moonRover.contact';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @param fields { name, email, message }
+ * @returns      field -> problem, for the fields that have one (empty when the form can be sent)
+ */
+export const validateContactForm = ({ name = '', email = '', message = '' }) => {
+  const errors = {};
+  if (!name.trim()) errors.name = 'Please tell me your name';
+  else if (name.length > FIELD_LIMITS.name) errors.name = `Keep it under ${FIELD_LIMITS.name} characters`;
+
+  if (!email.trim()) errors.email = 'I need an email address to reply to';
+  else if (email.length > FIELD_LIMITS.email || !EMAIL_PATTERN.test(email.trim())) errors.email = "That doesn't look like an email address";
+
+  if (message.trim().length < MIN_MESSAGE_LENGTH) errors.message = `Write at least ${MIN_MESSAGE_LENGTH} characters`;
+  else if (message.length > FIELD_LIMITS.message) errors.message = `Keep it under ${FIELD_LIMITS.message} characters`;
+  return errors;
+};
+
+// Only bots fill in a field nobody can see
+export const isLikelySpam = (fields) => Boolean(fields[HONEYPOT_FIELD]);
+
+// --- Rate limit ---
+// Send times from this browser, kept in localStorage so a reload doesn't reset them; this
+// visit's sends stand in when storage can't be read.
+let memorySendTimes = [];
+
+const loadSendTimes = (now) => {
+  const stored = readStoredJson(STORAGE_KEY);
+  const times = Array.isArray(stored) ? stored.filter(Number.isFinite) : memorySendTimes;
+  return times.filter(time => now - time < HOUR_MS);
+};
+
+/** Milliseconds until another message may be sent; 0 when it may be sent now. */
+export const contactRetryDelay = (now = Date.now()) => {
+  const times = loadSendTimes(now);
+  if (times.length === 0) return 0;
+  const sinceLast = now - Math.max(...times);
+  const untilInterval = Math.max(0, MIN_INTERVAL_MS - sinceLast);
+  const untilHourly = times.length >= HOURLY_LIMIT ? Math.min(...times) + HOUR_MS - now : 0;
+  return Math.max(untilInterval, untilHourly);
+};
+
+export const recordContactSent = (now = Date.now()) => {
+  memorySendTimes = [...loadSendTimes(now), now];
+  writeStoredJson(STORAGE_KEY, memorySendTimes);
+};
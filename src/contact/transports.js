@@ -0,0 +1,73 @@
+// === CONTACT TRANSPORTS ===
+// How the CONTACT panel's messages leave the page, picked by content.contact.transport:
+//
+//   'mailto'  opens the visitor's mail app with the message filled in; needs `email`
+//   'post'    sends { name, email, message } as JSON to `endpoint` (a form service or
+//             your own API); any 2xx answer counts as sent
+//   'mock'    accepts the message after a short delay without sending it, for development
+//
+// Every transport is { kind, send(message) -> Promise } and rejects with an Error whose
+// message can be shown to the visitor.
+
+export const CONTACT_TRANSPORTS = ['mailto', 'post', 'mock'];
+const MOCK_DELAY_MS = 600;
+const POST_TIMEOUT_MS = 15000;
+
+const createMailtoTransport = ({ email, subject = 'Hello from your portfolio' }) => ({
+  kind: 'mailto',
+  send: ({ name, email: replyTo, message }) => {
+    const body = `${message}\n\n${name} <${replyTo}>`;
+    window.location.href = `mailto:${email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    // The mail app takes over from here; there's no way to know whether it was sent
+    return Promise.resolve();
+  },
+});
+
+const createPostTransport = ({ endpoint, headers = {} }) => ({
+  kind: 'post',
+  send: (message) => {
+    const controller = typeof AbortController === 'undefined' ? null : new AbortController();
+    const timer = controller ? setTimeout(() => controller.abort(), POST_TIMEOUT_MS) : null;
+    return fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+      body: JSON.stringify(message),
+      signal: controller ? controller.signal : undefined,
+    }).then((response) => {
+      if (response.status === 429) throw new Error('Too many messages right now, please try again later');
+      if (!response.ok) throw new Error(`The message couldn't be sent (error ${response.status})`);
+    }, () => {
+      throw new Error("The message couldn't be sent; check your connection and try again");
+    }).finally(() => clearTimeout(timer));
+  },
+});
+
+// Production builds refuse, so a forgotten mock never swallows real messages
+const createMockTransport = () => ({
+  kind: 'mock',
+  send: (message) => new Promise((resolve, reject) => {
+    if (!import.meta.env.DEV) {
+      reject(new Error("This form isn't connected yet; please use one of the links instead"));
+      return;
+    }
+    setTimeout(() => resolve(message), MOCK_DELAY_MS);
+  }),
+});
+
+/**
+ * content.contact from the build environment (`.env` or the host's settings):
+ * VITE_CONTACT_ENDPOINT posts to that URL, otherwise VITE_CONTACT_EMAIL opens a mail to it.
+ * With neither set it's undefined, and the CONTACT panel shows just the links.
+ */
+export const contactConfigFromEnv = (env) => {
+  if (env.VITE_CONTACT_ENDPOINT) return { transport: 'post', endpoint: env.VITE_CONTACT_ENDPOINT };
+  if (env.VITE_CONTACT_EMAIL) return { transport: 'mailto', email: env.VITE_CONTACT_EMAIL };
+  return undefined;
+};
+
+/** @param config content.contact (see content/portfolio.js); checked by validateContent() */
+export const createContactTransport = (config) => {
+  if (config.transport === 'mailto') return createMailtoTransport(config);
+  if (config.transport === 'post') return createPostTransport(config);
+  return createMockTransport();
+};
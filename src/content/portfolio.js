@@ -0,0 +1,68 @@
+import { contactConfigFromEnv } from '../contact/transports';
+
+// === PORTFOLIO CONTENT ===
+// Everything visitors read in the world lives here: the name spelled out in blocks,
+// the destination platforms (also listed in the menu), the project entries and the contact form.
+// Checked at startup by validateContent().
+
+const portfolio = {
+  name: 'MOSS LOUVAN',
+
+  // Each destination needs either a `url` (opens in a new tab) or a `panel` (opens in-app).
+  // `position` is in world units on the 400x400 terrain (x: left/right, z: forward/back).
+  destinations: [
+    {
+      id: 'linkedin',
+      label: 'LINKEDIN',
+      url: 'https://www.linkedin.com/in/moss-louvan-4614682a4',
+      position: { x: -15, z: -20 },
+      color: '#ff9a3d',
+    },
+    {
+      id: 'github',
+      label: 'GITHUB',
+      url: 'https://github.com/MossLouvan',
+      position: { x: 15, z: -20 },
+      color: '#ff9a3d',
+    },
+    {
+      id: 'contact',
+      label: 'CONTACT',
+      panel: 'contact',
+      position: { x: 0, z: -35 },
+      color: '#ff9a3d',
+    },
+  ],
+
+  // Each project gets an exhibit on the terrain. `image`, `repo`, `demo` and `position` are optional;
+  // exhibits without a position are lined up behind the name.
+  projects: [
+    {
+      id: 'moon-rover-portfolio',
+      title: 'Moon Rover Portfolio',
+      description: 'This site: a drivable lunar rover built with React and Three.js on a real crater heightmap.',
+      tags: ['React', 'Three.js', 'WebGL'],
+      repo: 'https://github.com/MossLouvan/PortfolioMossLouvan',
+    },
+  ],
+
+  // The CONTACT panel's message form. `transport` decides where messages go:
+  //   'mailto' opens the visitor's mail app, addressed to `email`
+  //   'post'   sends JSON { name, email, message } to `endpoint` (e.g. a form service)
+  //   'mock'   pretends to send them, in development; production builds show an error instead
+  // By default it comes from VITE_CONTACT_ENDPOINT or VITE_CONTACT_EMAIL (see README); with
+  // neither set there's no form and the panel shows just the links.
+  contact: contactConfigFromEnv(import.meta.env),
+
+  // Scattered rocks and landmarks. The same seed always gives the same layout; `?seed=...`
+  // in the URL tries another one. `setPieces` may list 'lander' and 'flag'.
+  // `sky` sets the day: `dayLength` in seconds, `startTime` from 0 (midnight) to 1 and the
+  // `latitude` in degrees, which decides how high the sun climbs.
+  world: {
+    seed: 1969,
+    setPieces: ['lander', 'flag'],
+    sky: { dayLength: 600, startTime: 0.35, latitude: 25 },
+  },
+};
+
+export default portfolio;
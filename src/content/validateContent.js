@@ -0,0 +1,151 @@
+// === CONTENT VALIDATION ===
+// Returns a list of human-readable problems (empty when the content is usable),
+// so the component can show all of them at once instead of failing on the first.
+
+import { SET_PIECES } from '../world/worldGenerator';
+import { CONTACT_TRANSPORTS } from '../contact/transports';
+
+export const PANEL_IDS = ['contact'];
+export const WORLD_HALF_SIZE = 200;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isExternalUrl = (value) => /^(https?:\/\/|mailto:)\S+$/i.test(value);
+const isHexColor = (value) => /^#[0-9a-f]{6}$/i.test(value);
+
+const checkPosition = (position, path, errors) => {
+  if (!position || typeof position !== 'object') {
+    errors.push(`${path} must be an object like { x: 0, z: 0 }`);
+    return;
+  }
+  ['x', 'z'].forEach(axis => {
+    const value = position[axis];
+    if (!Number.isFinite(value)) {
+      errors.push(`${path}.${axis} must be a number`);
+    } else if (Math.abs(value) > WORLD_HALF_SIZE) {
+      errors.push(`${path}.${axis} must be between -${WORLD_HALF_SIZE} and ${WORLD_HALF_SIZE} (got ${value})`);
+    }
+  });
+};
+
+const checkOptionalUrl = (value, path, errors) => {
+  if (value !== undefined && !isExternalUrl(value)) {
+    errors.push(`${path} must start with http://, https:// or mailto: (got "${value}")`);
+  }
+};
+
+const checkUniqueIds = (items, path, errors) => {
+  const seen = new Set();
+  items.forEach((item, i) => {
+    if (!item || !isNonEmptyString(item.id)) return;
+    if (seen.has(item.id)) errors.push(`${path}[${i}].id "${item.id}" is used more than once`);
+    seen.add(item.id);
+  });
+};
+
+const validateDestination = (destination, path, errors) => {
+  if (!destination || typeof destination !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (!isNonEmptyString(destination.id)) errors.push(`${path}.id must be a non-empty string`);
+  if (!isNonEmptyString(destination.label)) errors.push(`${path}.label must be a non-empty string`);
+
+  const hasUrl = destination.url !== undefined;
+  const hasPanel = destination.panel !== undefined;
+  if (hasUrl === hasPanel) {
+    errors.push(`${path} must have exactly one of "url" or "panel"`);
+  } else if (hasUrl && !isExternalUrl(destination.url)) {
+    errors.push(`${path}.url must start with http://, https:// or mailto: (got "${destination.url}"); use "panel" for in-app pages`);
+  } else if (hasPanel && !PANEL_IDS.includes(destination.panel)) {
+    errors.push(`${path}.panel must be one of ${PANEL_IDS.join(', ')} (got "${destination.panel}")`);
+  }
+
+  checkPosition(destination.position, `${path}.position`, errors);
+  if (!isHexColor(destination.color)) errors.push(`${path}.color must be a hex color like "#ff9a3d"`);
+};
+
+const validateProject = (project, path, errors) => {
+  if (!project || typeof project !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (!isNonEmptyString(project.id)) errors.push(`${path}.id must be a non-empty string`);
+  if (!isNonEmptyString(project.title)) errors.push(`${path}.title must be a non-empty string`);
+  if (!isNonEmptyString(project.description)) errors.push(`${path}.description must be a non-empty string`);
+  if (project.tags !== undefined && (!Array.isArray(project.tags) || !project.tags.every(isNonEmptyString))) {
+    errors.push(`${path}.tags must be an array of strings`);
+  }
+  if (project.image !== undefined && !isNonEmptyString(project.image)) errors.push(`${path}.image must be a path or URL`);
+  if (project.position !== undefined) checkPosition(project.position, `${path}.position`, errors);
+  checkOptionalUrl(project.repo, `${path}.repo`, errors);
+  checkOptionalUrl(project.demo, `${path}.demo`, errors);
+};
+
+const validateWorld = (world, errors) => {
+  if (!world || typeof world !== 'object') {
+    errors.push('world must be an object');
+    return;
+  }
+  if (world.seed !== undefined && !Number.isFinite(world.seed) && !isNonEmptyString(world.seed)) {
+    errors.push('world.seed must be a number or a non-empty string');
+  }
+  if (world.setPieces !== undefined) {
+    const types = Object.keys(SET_PIECES);
+    if (!Array.isArray(world.setPieces) || !world.setPieces.every(type => types.includes(type))) {
+      errors.push(`world.setPieces must be an array of ${types.join(', ')}`);
+    }
+  }
+  if (world.sky !== undefined) {
+    const { sky } = world;
+    if (!sky || typeof sky !== 'object') {
+      errors.push('world.sky must be an object');
+      return;
+    }
+    if (sky.dayLength !== undefined && !(Number.isFinite(sky.dayLength) && sky.dayLength > 0)) errors.push('world.sky.dayLength must be a positive number of seconds');
+    if (sky.startTime !== undefined && !(Number.isFinite(sky.startTime) && sky.startTime >= 0 && sky.startTime < 1)) errors.push('world.sky.startTime must be between 0 (midnight) and 1');
+    if (sky.latitude !== undefined && !(Number.isFinite(sky.latitude) && Math.abs(sky.latitude) < 90)) errors.push('world.sky.latitude must be between -90 and 90 degrees');
+  }
+};
+
+const validateContact = (contact, errors) => {
+  if (!contact || typeof contact !== 'object') {
+    errors.push('contact must be an object');
+    return;
+  }
+  if (!CONTACT_TRANSPORTS.includes(contact.transport)) {
+    errors.push(`contact.transport must be one of ${CONTACT_TRANSPORTS.join(', ')} (got "${contact.transport}")`);
+  } else if (contact.transport === 'mailto' && !/^[^\s@]+@[^\s@]+$/.test(contact.email || '')) {
+    errors.push('contact.email must be an email address when contact.transport is "mailto"');
+  } else if (contact.transport === 'post' && !/^(https?:\/\/|\/)\S+$/i.test(contact.endpoint || '')) {
+    errors.push('contact.endpoint must be an http(s) URL or a path starting with / when contact.transport is "post"');
+  }
+  if (contact.subject !== undefined && !isNonEmptyString(contact.subject)) errors.push('contact.subject must be a non-empty string');
+};
+
+export const validateContent = (content) => {
+  const errors = [];
+  if (!content || typeof content !== 'object') return ['content must be an object'];
+
+  if (!isNonEmptyString(content.name)) errors.push('name must be a non-empty string');
+
+  if (!Array.isArray(content.destinations) || content.destinations.length === 0) {
+    errors.push('destinations must be a non-empty array');
+  } else {
+    content.destinations.forEach((destination, i) => validateDestination(destination, `destinations[${i}]`, errors));
+    checkUniqueIds(content.destinations, 'destinations', errors);
+  }
+
+  if (content.projects !== undefined) {
+    if (!Array.isArray(content.projects)) {
+      errors.push('projects must be an array');
+    } else {
+      content.projects.forEach((project, i) => validateProject(project, `projects[${i}]`, errors));
+      checkUniqueIds(content.projects, 'projects', errors);
+    }
+  }
+
+  if (content.world !== undefined) validateWorld(content.world, errors);
+  if (content.contact !== undefined) validateContact(content.contact, errors);
+
+  return errors;
+};
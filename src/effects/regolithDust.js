@@ -0,0 +1,186 @@
+import * as THREE from 'three';
+
+// === REGOLITH DUST ===
+// Dust thrown up by the wheels and puffs where rocks and letters hit something. With no air
+// on the Moon the grains don't billow or hang: each one flies a clean, slow ballistic arc
+// and is gone when it comes back down. Particles come from a fixed pool, so a busy moment
+// only drops the oldest grains early.
+
+const GRAVITY = 3; // Low, so arcs read as lunar next to the rover's speed
+const PARTICLE_LIFE = 1.6; // Seconds, at most
+const GRAINS_PER_UNIT = 6; // Per wheel per world unit driven, at full budget
+const MIN_DUST_SPEED = 1;
+const KICK_SPEED = 0.35; // Grain speed per unit of rover speed
+const PUFF_GRAINS = 18; // Per unit of impact speed, capped below
+const MAX_PUFF_GRAINS = 120;
+const PUFF_SPEED = 0.6;
+const GRAIN_SIZE = 0.18;
+
+const vertexShader = `
+  attribute float alpha;
+  uniform float size;
+  uniform float scale;
+  varying float vAlpha;
+  void main() {
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    vAlpha = alpha;
+    gl_PointSize = size * scale / -mvPosition.z;
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+const fragmentShader = `
+  uniform vec3 color;
+  varying float vAlpha;
+  void main() {
+    float fade = 1.0 - smoothstep(0.2, 0.5, length(gl_PointCoord - 0.5));
+    gl_FragColor = vec4(color, vAlpha * fade);
+  }
+`;
+
+/**
+ * @param heightAt   (x, z) => terrain height; grains vanish when they reach the ground
+ * @param capacity   size of the particle pool; setBudget() uses fewer
+ */
+export const createRegolithDust = ({ heightAt, capacity }) => {
+  const positions = new Float32Array(capacity * 3);
+  const alphas = new Float32Array(capacity);
+  const velocities = new Float32Array(capacity * 3);
+  const ages = new Float32Array(capacity).fill(PARTICLE_LIFE);
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+  geometry.setAttribute('alpha', new THREE.BufferAttribute(alphas, 1).setUsage(THREE.DynamicDrawUsage));
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      color: { value: new THREE.Color(0xb5ad9f) },
+      size: { value: GRAIN_SIZE },
+      scale: { value: 600 }, // Roughly the canvas height; only sets how big a grain looks
+    },
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false,
+  });
+  const points = new THREE.Points(geometry, material);
+  points.frustumCulled = false;
+
+  let budget = capacity;
+  let next = 0;
+  let alive = 0;
+  const wheelCarry = new Map(); // Wheel -> fraction of a grain owed from the last frame
+
+  const spawn = (x, y, z, vx, vy, vz, life) => {
+    if (budget === 0) return;
+    const i = next;
+    next = (next + 1) % budget;
+    positions.set([x, y, z], i * 3);
+    velocities.set([vx, vy, vz], i * 3);
+    ages[i] = PARTICLE_LIFE - life;
+    alive = Math.min(alive + 1, budget);
+  };
+
+  /** Grains off the grounded wheels of `vehicle` (physics/vehicle.js), more the faster it goes. */
+  const emitFromWheels = (vehicle, delta) => {
+    const speed = Math.abs(vehicle.speed);
+    if (budget === 0 || speed < MIN_DUST_SPEED) return;
+    const sin = Math.sin(vehicle.yaw);
+    const cos = Math.cos(vehicle.yaw);
+    const back = -Math.sign(vehicle.speed); // Thrown against the direction of travel
+    const share = budget / capacity;
+    vehicle.wheels.forEach(wheel => {
+      if (!wheel.grounded) return;
+      const owed = (wheelCarry.get(wheel) || 0) + speed * delta * GRAINS_PER_UNIT * share;
+      const count = Math.floor(owed);
+      wheelCarry.set(wheel, owed - count);
+      const x = vehicle.position.x + cos * wheel.offset.x + sin * wheel.offset.z;
+      const z = vehicle.position.z - sin * wheel.offset.x + cos * wheel.offset.z;
+      const y = heightAt(x, z) + 0.1;
+      for (let i = 0; i < count; i++) {
+        const kick = speed * KICK_SPEED * (0.5 + Math.random());
+        const spread = (Math.random() - 0.5) * kick;
+        spawn(
+          x, y, z,
+          sin * back * kick + cos * spread,
+          kick * (0.6 + Math.random() * 0.6),
+          cos * back * kick - sin * spread,
+          PARTICLE_LIFE * (0.6 + Math.random() * 0.4),
+        );
+      }
+    });
+  };
+
+  /** A ring of grains at `position` ({ x, y, z }), sized by the impact `speed`. */
+  const puff = (position, speed) => {
+    const count = Math.min(MAX_PUFF_GRAINS, Math.round(speed * PUFF_GRAINS * (budget / capacity)));
+    const ground = heightAt(position.x, position.z);
+    const y = Math.max(position.y, ground + 0.1);
+    for (let i = 0; i < count; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const outward = speed * PUFF_SPEED * (0.3 + Math.random() * 0.7);
+      spawn(position.x, y, position.z, Math.cos(angle) * outward, outward * (0.4 + Math.random()), Math.sin(angle) * outward, PARTICLE_LIFE * (0.5 + Math.random() * 0.5));
+    }
+  };
+
+  /** Moves every grain along its arc; call once per frame. */
+  const update = (delta) => {
+    if (alive === 0) return;
+    let living = 0;
+    for (let i = 0; i < budget; i++) {
+      if (ages[i] >= PARTICLE_LIFE) {
+        alphas[i] = 0;
+        continue;
+      }
+      const p = i * 3;
+      ages[i] += delta;
+      velocities[p + 1] -= GRAVITY * delta;
+      positions[p] += velocities[p] * delta;
+      positions[p + 1] += velocities[p + 1] * delta;
+      positions[p + 2] += velocities[p + 2] * delta;
+      if (velocities[p + 1] < 0 && positions[p + 1] < heightAt(positions[p], positions[p + 2])) ages[i] = PARTICLE_LIFE;
+      alphas[i] = ages[i] >= PARTICLE_LIFE ? 0 : 0.7 * (1 - ages[i] / PARTICLE_LIFE);
+      if (alphas[i] > 0) living++;
+    }
+    alive = living;
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.alpha.needsUpdate = true;
+    geometry.setDrawRange(0, budget);
+  };
+
+  const clear = () => {
+    ages.fill(PARTICLE_LIFE);
+    alphas.fill(0);
+    geometry.attributes.alpha.needsUpdate = true;
+    alive = 0;
+    next = 0;
+    wheelCarry.clear();
+  };
+
+  // Pool size in use (graphics quality); 0 turns the dust off. Grains in the air keep
+  // flying, moved to the front of the pool; a smaller pool drops the oldest.
+  const setBudget = (count) => {
+    const nextBudget = THREE.MathUtils.clamp(Math.round(count), 0, capacity);
+    if (nextBudget === budget) return;
+    const kept = Math.min(budget, nextBudget);
+    const previous = { positions: positions.slice(), velocities: velocities.slice(), ages: ages.slice(), alphas: alphas.slice() };
+    ages.fill(PARTICLE_LIFE);
+    alphas.fill(0);
+    for (let i = 0; i < kept; i++) {
+      const from = (next - kept + i + budget) % budget; // Oldest kept grain first
+      positions.set(previous.positions.subarray(from * 3, from * 3 + 3), i * 3);
+      velocities.set(previous.velocities.subarray(from * 3, from * 3 + 3), i * 3);
+      ages[i] = previous.ages[from];
+      alphas[i] = previous.alphas[from];
+    }
+    budget = nextBudget;
+    next = budget > 0 ? kept % budget : 0;
+    alive = ages.subarray(0, budget).filter(age => age < PARTICLE_LIFE).length;
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.alpha.needsUpdate = true;
+    geometry.setDrawRange(0, budget);
+  };
+
+  // Keeps grain sizes right when the canvas changes height
+  const setViewportHeight = (height) => { material.uniforms.scale.value = height; };
+
+  return { points, emitFromWheels, puff, update, clear, setBudget, setViewportHeight };
+};
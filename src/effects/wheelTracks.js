@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+
+// === WHEEL TRACKS ===
+// Marks pressed into the regolith behind each wheel. Every mark is one instance of a flat
+// quad lying on the terrain; they live in a ring buffer, so once it is full the oldest
+// mark makes way for the newest and memory never grows.
+
+const MARK_SPACING = 0.35; // World units a wheel travels between marks
+const MARK_SIZE = { width: 0.45, length: 0.5 };
+const SURFACE_OFFSET = 0.03; // Above the ground, against z-fighting with coarser terrain detail
+
+const _position = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _tilt = new THREE.Quaternion();
+const _heading = new THREE.Quaternion();
+const _quaternion = new THREE.Quaternion();
+const _matrix = new THREE.Matrix4();
+const _scale = new THREE.Vector3(1, 1, 1);
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * @param heightAt  (x, z) => terrain height
+ * @param normalAt  (x, z, target) => terrain normal
+ * @param capacity  most marks ever kept; setBudget() uses fewer
+ */
+export const createWheelTracks = ({ heightAt, normalAt, capacity }) => {
+  const geometry = new THREE.PlaneGeometry(MARK_SIZE.width, MARK_SIZE.length);
+  geometry.rotateX(-Math.PI / 2);
+  const material = new THREE.MeshStandardMaterial({
+    color: 0x2a2a2a,
+    roughness: 1,
+    transparent: true,
+    opacity: 0.45,
+    depthWrite: false,
+    polygonOffset: true,
+    polygonOffsetFactor: -2,
+  });
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.count = 0;
+  mesh.receiveShadow = true;
+  mesh.frustumCulled = false; // Marks are spread over the whole map; the bounding sphere would be stale anyway
+
+  let budget = capacity;
+  let next = 0; // Ring buffer slot the next mark goes into
+  let stamped = 0;
+  const lastMarks = new Map(); // Wheel -> { x, z } of its last mark
+
+  const stamp = (x, z, yaw) => {
+    normalAt(x, z, _normal);
+    _position.set(x, heightAt(x, z) + SURFACE_OFFSET, z);
+    _heading.setFromAxisAngle(UP, yaw);
+    _tilt.setFromUnitVectors(UP, _normal);
+    _quaternion.multiplyQuaternions(_tilt, _heading);
+    mesh.setMatrixAt(next, _matrix.compose(_position, _quaternion, _scale));
+    mesh.instanceMatrix.needsUpdate = true;
+    next = (next + 1) % budget;
+    stamped = Math.min(stamped + 1, budget);
+    mesh.count = stamped;
+  };
+
+  /**
+   * Leaves marks under the grounded wheels of `vehicle` (physics/vehicle.js) wherever they
+   * moved far enough since their last one. Call once per frame.
+   */
+  const update = (vehicle) => {
+    if (budget === 0) return;
+    const sin = Math.sin(vehicle.yaw);
+    const cos = Math.cos(vehicle.yaw);
+    vehicle.wheels.forEach(wheel => {
+      // Forward is (sin, 0, cos) and left is (cos, 0, -sin), as in the vehicle model
+      const x = vehicle.position.x + cos * wheel.offset.x + sin * wheel.offset.z;
+      const z = vehicle.position.z - sin * wheel.offset.x + cos * wheel.offset.z;
+      const last = lastMarks.get(wheel);
+      if (!wheel.grounded) {
+        lastMarks.delete(wheel);
+        return;
+      }
+      if (last && Math.hypot(x - last.x, z - last.z) < MARK_SPACING) return;
+      // A jump (teleport, reset) leaves no streak between the two places
+      if (!last || Math.hypot(x - last.x, z - last.z) < MARK_SPACING * 4) stamp(x, z, vehicle.yaw);
+      lastMarks.set(wheel, { x, z });
+    });
+  };
+
+  // Every mark gone, e.g. when the scene is reset
+  const clear = () => {
+    next = 0;
+    stamped = 0;
+    mesh.count = 0;
+    lastMarks.clear();
+  };
+
+  // Keeps at most `count` marks (graphics quality); 0 turns them off. The newest marks
+  // survive a change, moved to the front of the buffer oldest first; only a smaller budget
+  // drops any, and then the oldest.
+  const setBudget = (count) => {
+    const nextBudget = THREE.MathUtils.clamp(Math.round(count), 0, capacity);
+    if (nextBudget === budget) return;
+    const kept = Math.min(stamped, nextBudget);
+    const matrices = mesh.instanceMatrix.array;
+    const previous = matrices.slice(0, budget * 16);
+    for (let i = 0; i < kept; i++) {
+      const from = (next - kept + i + budget) % budget; // Oldest kept mark first
+      matrices.set(previous.subarray(from * 16, from * 16 + 16), i * 16);
+    }
+    mesh.instanceMatrix.needsUpdate = true;
+    budget = nextBudget;
+    stamped = kept;
+    next = budget > 0 ? kept % budget : 0;
+    mesh.count = stamped;
+  };
+
+  return { mesh, update, clear, setBudget };
+};
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { createWheelTracks } from './wheelTracks';
+
+const flat = {
+  heightAt: () => 0,
+  normalAt: (x, z, target = new THREE.Vector3()) => target.set(0, 1, 0),
+};
+
+// One wheel under the rover's center, driven straight along +z
+const createVehicle = () => ({
+  position: new THREE.Vector3(),
+  yaw: 0,
+  wheels: [{ offset: { x: 0, z: 0 }, grounded: true }],
+});
+
+const drive = (tracks, vehicle, marks) => {
+  for (let i = 0; i < marks; i++) {
+    vehicle.position.z += 0.5;
+    tracks.update(vehicle);
+  }
+};
+
+// z of every drawn mark, in buffer order
+const markPositions = (tracks) => {
+  const matrix = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  return Array.from({ length: tracks.mesh.count }, (_, i) => {
+    tracks.mesh.getMatrixAt(i, matrix);
+    return Math.round(position.setFromMatrixPosition(matrix).z * 10) / 10;
+  });
+};
+
+describe('wheel tracks', () => {
+  it('keeps only the newest marks once the ring buffer is full', () => {
+    const tracks = createWheelTracks({ ...flat, capacity: 4 });
+    drive(tracks, createVehicle(), 6);
+    expect([...markPositions(tracks)].sort((a, b) => a - b)).toEqual([1.5, 2, 2.5, 3]);
+  });
+
+  it('keeps the newest marks when the budget shrinks', () => {
+    const tracks = createWheelTracks({ ...flat, capacity: 8 });
+    drive(tracks, createVehicle(), 10);
+    tracks.setBudget(3);
+    expect(markPositions(tracks)).toEqual([4, 4.5, 5]);
+  });
+
+  it('keeps every mark when the budget grows, and adds after them', () => {
+    const tracks = createWheelTracks({ ...flat, capacity: 8 });
+    const vehicle = createVehicle();
+    tracks.setBudget(3);
+    drive(tracks, vehicle, 5);
+    tracks.setBudget(8);
+    expect(markPositions(tracks)).toEqual([1.5, 2, 2.5]);
+    drive(tracks, vehicle, 2);
+    expect(markPositions(tracks)).toEqual([1.5, 2, 2.5, 3, 3.5]);
+  });
+});
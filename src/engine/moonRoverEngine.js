@@ -0,0 +1,1057 @@
+import * as THREE from 'three';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader';
+import { GLYPH_ROWS, createGlyphBlocks, getGlyph, getGlyphBlockOffsets, layoutText } from '../world/voxelFont';
+import { ROCK_VARIANTS, createRockGeometry, createRockRotation, createRockShape } from '../world/rocks';
+import { createRandom, hashSeed } from '../world/random';
+import { generateWorld } from '../world/worldGenerator';
+import { createSetPiece } from '../world/setPieces';
+import { clearSessionHash, decodeSession, encodeSession, loadSession, readSessionHash, saveSession } from '../world/sessionState';
+import { EXHIBIT_RADIUS, animateExhibits, createExhibit, getExhibitPosition } from '../world/exhibits';
+import { PLACEHOLDER_RIDE_HEIGHT, createPlaceholderRover } from '../world/placeholderRover';
+import { createReplayPlayer, createReplayRecorder } from '../replay/replayLog';
+import { assetsSettled, createAssetManager } from '../assets/assetManager';
+import { createAudioEngine } from '../audio/audioEngine';
+import { createInstancedBatch } from '../render/instancedBatch';
+import { QUALITY_PRESETS, createQualityGovernor } from '../render/quality';
+import { getEdgeIndicator } from '../ui/edgeIndicator';
+import { TERRAIN_HALF_SIZE, snapToTerrain } from '../terrain/heightfield';
+import { createChunkedTerrain } from '../terrain/chunkedTerrain';
+import { createSky } from '../sky/sky';
+import { createWheelTracks } from '../effects/wheelTracks';
+import { createRegolithDust } from '../effects/regolithDust';
+import { PHYSICS_STEP, createFixedStepper } from '../physics/fixedStep';
+import { MAX_FORWARD_SPEED } from '../physics/vehicle';
+import { NAME_CELL_SIZE, SPAWN_POINT, createMoonRoverSimulation } from '../simulation/moonRoverSimulation';
+import { createControls, detectInputDevice } from '../input/controls';
+import { createCameraController } from '../camera/cameraController';
+
+// === MOON ROVER ENGINE ===
+// Everything behind the canvas: scene, terrain, physics, rover, camera, audio, replays and
+// the render loop. MoonRoverPortfolio wraps one engine per content config; another page can
+// drive one directly:
+//
+//   const engine = createMoonRoverEngine({ content, events: { onReady, onStart, ... } });
+//   engine.mount(element);  // builds the scene, starts loading; false when WebGL fails
+//   engine.start();         // from a click: intro -> game, audio on
+//   engine.dispose();       // stops the loop, frees GPU and audio resources
+//
+// Creating an engine does no work, so a wrapper can create one early and mount it later.
+// The loop pauses by itself while the tab is hidden or the element is scrolled out of view.
+
+// === CONFIGURATION ===
+const ROVER_MODEL_OFFSET = { x: -Math.PI / 2, y: -Math.PI / 2, z: -Math.PI / 2 };
+const TERRAIN_TILES_URL = '/music/models/terrain';
+const ROVER_MODEL_URL = '/music/models/moon_rover_color.fbx';
+const MOON_TEXTURE_URL = '/music/models/moon_texture.jpg';
+const ROVER_INTRO_HEIGHT = 0.5; // Model origin above the intro ground
+const MUSIC_URL = '/music/background.mp3';
+const ENGINE_SOUND_URL = '/music/insidecarnoise.mp3';
+const IMPACT_MATERIALS = { rock: 'rock', nameLetter: 'letter' }; // Body userData.type -> audio material
+const PLATFORM_RADIUS = 4;
+const PLATFORM_DWELL_SECONDS = 1.2; // How long the rover must sit on a platform before it can be opened
+const LABEL_CELL_SIZE = 0.2;
+const LABEL_MAX_WIDTH = 40; // In font cells, keeps labels about as wide as the platform
+const DEFAULT_WORLD_SEED = 1969; // Used when the content doesn't set world.seed
+const ROCK_COUNT = 800; // Pushable physics rocks
+const PEBBLE_COUNT = 3000; // Scenery only; the rover drives over them
+const SPAWN_CLEAR_RADIUS = 12; // No scenery this close to where the rover starts
+const CLEAR_ZONE_MARGIN = 3; // Extra room kept around platforms, letters and exhibits
+const FOG_VIEW_DISTANCE = 23; // Chase distance the fog band was tuned for; farther views push it back
+const MINIMAP_INTERVAL = 1 / 15; // Seconds between minimap redraws
+const WAYPOINT_REACHED_RADIUS = 5;
+const EDGE_INDICATOR_MARGIN = 48; // Pixels kept between edge arrows and the screen border
+const MAX_STARS = 5000;
+const MAX_TRACK_MARKS = 5000; // Wheel-track ring buffer at the highest quality
+const MAX_DUST_PARTICLES = 1500;
+const MIN_PUFF_SPEED = 1.5; // Softer impacts raise no dust
+const STATS_INTERVAL = 0.5; // Seconds between stats overlay updates
+const SESSION_SAVE_INTERVAL = 3; // Seconds between saves of the scene to localStorage
+const MAX_RECORDING_STEPS = 10 * 60 / PHYSICS_STEP; // Recording stops by itself after 10 minutes
+const REPLAY_DIVERGENCE = 0.02; // A re-run this far off the recorded poses no longer matches (poses are kept to 1 cm)
+
+export const WAYPOINT_ID = 'waypoint'; // Edge indicator key; destination ids are validated content ids
+
+/**
+ * @param content   validated portfolio content (see content/validateContent.js)
+ * @param settings  starting { quality, audio, bindings, reducedMotion }; change them later
+ *                  with the setters
+ * @param hud       refs to DOM the loop writes every frame, read when used so they can come
+ *                  and go: { minimapRenderer, edgeIndicators (id -> element), stats }
+ * @param events    optional callbacks:
+ *   onAssetsChange(assets)        loading progress, see assets/assetManager.js
+ *   onReady()                     everything loaded (or replaced by a stand-in), start() can run
+ *   onStart()                     the visitor left the intro
+ *   onAction(action)              a bound control was pressed ('interact', 'close', ...)
+ *   onInputDeviceChange(device)   'keyboard' | 'touch' | 'gamepad'
+ *   onCameraModeChange(mode)
+ *   onQualityChange(level)        preset in use, also while the setting is 'auto'
+ *   onTimeOfDayChange(time)       0..1 of a day (see sky/sunPath.js), once per clock minute
+ *   onPlatformChange(platform)    { label, ready } while the rover is on a platform, else null
+ *   onDwellProgress(progress)     0..1 every frame while the rover waits on a platform
+ *   onDestinationReached(destination)  the rover has waited long enough on a platform
+ *   onExhibitChange(projectId)    the exhibit the rover is at, or null
+ *   onWaypointChange(point)       { x, z } or null; cleared when the rover gets there
+ *   onCollision({ body, other, speed, position })  body and other are 'rock' | 'nameLetter',
+ *                                 other may also be 'rover' or 'terrain'
+ *   onReplayChange(mode)          'idle' | 'recording' | 'ghost' | 'rerun'
+ *   onReplayRecorded(log)         a finished recording, see replay/replayLog.js
+ *   onReplayDiverged({ step, distance })  a re-run left the recorded path (first time only)
+ *   onAudioError({ loop, message })  the 'music' or 'engine' loop couldn't load
+ *   onAudioBlockedChange(blocked)  the browser is holding sound back after start();
+ *                                 enableAudio() from a tap lets it play
+ *   onTerrainDetailError(message)  finer terrain data failed to load (retried by itself);
+ *                                 null once it has all arrived
+ */
+export const createMoonRoverEngine = ({ content, settings = {}, hud = {}, events = {} }) => {
+  const emit = (name, ...args) => {
+    if (events[name]) events[name](...args);
+  };
+
+  let game = null; // The mounted scene and everything that works on it
+  let teardown = null;
+  let started = false;
+  let pausedByCaller = false;
+  let drivingEnabled = true;
+  let waypoint = null;
+  let qualitySetting = settings.quality || 'auto';
+  let reducedMotion = Boolean(settings.reducedMotion);
+  let audioSettings = settings.audio;
+  let bindings = settings.bindings;
+
+  const mount = (container) => {
+    if (game || teardown) throw new Error('Engine is already mounted');
+
+    // Antialiasing can only be chosen here; the other quality settings change live (see applyQuality)
+    const initialQuality = qualitySetting === 'auto' ? 'medium' : qualitySetting;
+    let renderer;
+    try {
+      renderer = new THREE.WebGLRenderer({ antialias: initialQuality !== 'low', alpha: true });
+    } catch (error) {
+      // detectWebGL() passed but the context still couldn't be created (blocklisted GPU, too
+      // many contexts); the caller shows the static portfolio, which says why
+      return false;
+    }
+
+    // --- Assets ---
+    // Rover, terrain and texture are registered below, where the scene objects they fill exist
+    let ready = false;
+    const assetManager = createAssetManager({
+      onChange: (assets) => {
+        emit('onAssetsChange', assets);
+        if (ready || !assetsSettled(assets)) return;
+        ready = true;
+        emit('onReady');
+      },
+    });
+
+    // --- Audio ---
+    // Silent until start() calls audio.start() from the click
+    const audio = createAudioEngine({
+      musicUrl: MUSIC_URL,
+      engineUrl: ENGINE_SOUND_URL,
+      settings: audioSettings,
+      onLoadError: (loop, message) => emit('onAudioError', { loop, message }),
+      onBlockedChange: (blocked) => emit('onAudioBlockedChange', blocked),
+    });
+
+    // --- Scene Setup ---
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x1a0b2e);
+    scene.fog = new THREE.Fog(0x1a0b2e, 20, 100);
+
+    // A collapsed container (height 0, e.g. in a hidden tab panel) would make the aspect Infinity
+    const viewportAspect = () => container.clientWidth / Math.max(1, container.clientHeight);
+    const camera = new THREE.PerspectiveCamera(60, viewportAspect(), 0.1, 1000);
+    camera.position.set(8, 8, 8);
+    camera.lookAt(0, 0, 0);
+
+    renderer.setSize(container.clientWidth, container.clientHeight);
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    renderer.domElement.tabIndex = -1; // Focusable from script, so closing a dialog can hand focus back
+    container.appendChild(renderer.domElement);
+
+    // --- Global Lighting ---
+    // Dimmed at night by the sky
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.4);
+    const hemisphereLight = new THREE.HemisphereLight(0xffffff, 0x444444, 0.3);
+    scene.add(ambientLight, hemisphereLight);
+
+    // === INTRO ===
+    // Just the rover under a spotlight, turning slowly
+    const introGroup = new THREE.Group();
+    scene.add(introGroup);
+
+    const introSpot = new THREE.SpotLight(0xffaaee, 5);
+    introSpot.position.set(5, 10, 5);
+    introSpot.angle = Math.PI / 6;
+    introSpot.penumbra = 1;
+    introSpot.castShadow = true;
+    introGroup.add(introSpot);
+
+    // === GAME ASSETS ===
+    // Rocks, letters, platforms and exhibits; hidden until start()
+    const gameAssetsGroup = new THREE.Group();
+    gameAssetsGroup.visible = false;
+    scene.add(gameAssetsGroup);
+
+    // === SKY ===
+    // Sun, Earth and stars; the sun light and its shadows follow the time of day (see sky/sky.js)
+    const sunLight = new THREE.DirectionalLight(0xffffff, 1.5);
+    sunLight.castShadow = true;
+    sunLight.shadow.bias = -0.0005;
+    sunLight.shadow.normalBias = 0.05; // Keeps the terrain from shadowing itself in stripes under a low sun
+    scene.add(sunLight); // Sun is always visible
+    scene.add(sunLight.target);
+
+    const sky = createSky({
+      scene,
+      sunLight,
+      fillLights: [{ light: ambientLight, intensity: 0.4 }, { light: hemisphereLight, intensity: 0.3 }],
+      config: content.world && content.world.sky,
+      maxStars: MAX_STARS,
+    });
+    let reportedMinute = -1;
+
+    // === TERRAIN ===
+    const groundMaterial = new THREE.MeshStandardMaterial({ color: 0x666666, roughness: 0.9, metalness: 0.1 });
+    // The texture is a nice-to-have: without it the ground just stays plain grey
+    assetManager.add('moonTexture', {
+      label: 'Surface texture',
+      optional: true,
+      start: ({ manager, onLoad, onError }) => {
+        new THREE.TextureLoader(manager).load(MOON_TEXTURE_URL, (moonTexture) => {
+          moonTexture.wrapS = THREE.RepeatWrapping;
+          moonTexture.wrapT = THREE.RepeatWrapping;
+          moonTexture.repeat.set(1, 1);
+          groundMaterial.map = moonTexture;
+          groundMaterial.needsUpdate = true;
+          onLoad();
+        }, undefined, onError);
+      },
+      fallback: () => {},
+    });
+
+    // Streamed terrain (see terrain/chunkedTerrain.js); null until the overview arrives
+    let heightfield = null;
+
+    // Pre-tiled by scripts/tile-heightmap.mjs; the overview arrives first, detail streams in around the rover
+    const terrain = createChunkedTerrain({
+      baseUrl: TERRAIN_TILES_URL,
+      material: groundMaterial,
+      onReady: (field) => {
+        heightfield = field;
+
+        // Snap everything that was placed before the heights arrived
+        platforms.forEach(platform => snapToTerrain(field, platform, 0.15));
+        exhibits.forEach(exhibit => snapToTerrain(field, exhibit));
+        simulation.setTerrain(field);
+        populateScenery(field);
+        restoreSession();
+      },
+      // Finer heights arrived: re-seat the pebbles there and let resting bodies settle onto the new surface
+      onChunkRebuilt: ({ minX, minZ, size }) => {
+        const inside = ({ x, z }) => x >= minX && x <= minX + size && z >= minZ && z <= minZ + size;
+        pebbles.forEach(pebble => { if (inside(pebble.position)) snapToTerrain(heightfield, pebble, -pebble.sink); });
+        pebbleBatches.forEach(batch => batch.sync());
+        simulation.wakeArea(minX, minZ, size);
+      },
+      onDetailError: (message) => emit('onTerrainDetailError', message),
+    });
+    scene.add(terrain.group); // Ground is visible in intro (looks better than void)
+    assetManager.add('terrain', {
+      label: 'Moon terrain',
+      start: (callbacks) => terrain.load(callbacks),
+      fallback: () => terrain.useFlatGround(),
+      fallbackLabel: 'flat ground',
+    });
+
+    // === SIMULATION ===
+    // Rover, letters and rocks (see simulation/moonRoverSimulation.js); the scene only shows
+    // them, interpolated between the last two physics steps
+    const simulation = createMoonRoverSimulation({
+      name: content.name,
+      bounds: TERRAIN_HALF_SIZE,
+      onCollision: ({ body, other, speed }) => {
+        const otherIsBody = typeof other !== 'string';
+        if (other !== 'terrain') audio.playImpact({ material: IMPACT_MATERIALS[body.object.userData.type], speed });
+        if (!reducedMotion && speed >= MIN_PUFF_SPEED) dust.puff(body.position, speed);
+        if (events.onCollision) {
+          const { x, y, z } = body.position;
+          events.onCollision({ body: body.object.userData.type, other: otherIsBody ? other.object.userData.type : other, speed, position: { x, y, z } });
+        }
+      },
+    });
+    const { rover, physics, letters: nameLetters, rocks } = simulation;
+    const getTerrainHeight = simulation.heightAt;
+
+    // === SURFACE EFFECTS ===
+    // Wheel tracks and regolith dust (see effects/); sized by the graphics quality and left
+    // out entirely for visitors who ask for reduced motion
+    const tracks = createWheelTracks({ heightAt: simulation.heightAt, normalAt: simulation.normalAt, capacity: MAX_TRACK_MARKS });
+    const dust = createRegolithDust({ heightAt: simulation.heightAt, capacity: MAX_DUST_PARTICLES });
+    gameAssetsGroup.add(tracks.mesh, dust.points);
+    dust.setViewportHeight(container.clientHeight);
+    const updateSurfaceEffects = (delta) => {
+      tracks.mesh.visible = dust.points.visible = !reducedMotion;
+      if (reducedMotion) return;
+      tracks.update(rover);
+      dust.emitFromWheels(rover, delta);
+      dust.update(delta);
+    };
+
+    // === WAYPOINT BEACON ===
+    const waypointBeacon = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.3, 0.3, 40, 8, 1, true),
+      new THREE.MeshBasicMaterial({ color: 0xfacc15, transparent: true, opacity: 0.5, depthWrite: false }),
+    );
+    waypointBeacon.visible = false;
+    gameAssetsGroup.add(waypointBeacon);
+
+    // === CAMERA ===
+    const cameraController = createCameraController({
+      camera,
+      heightAt: getTerrainHeight,
+      obstacles: physics.bodies,
+    });
+
+    // --- ROVER (Game) ---
+    const roverGroup = new THREE.Group();
+    roverGroup.visible = false; // Hidden during the intro
+    scene.add(roverGroup);
+
+    // `introHeight` puts the model's wheels on the intro ground
+    const addRoverModel = (object, introHeight) => {
+      const introRover = object.clone();
+      introRover.position.set(0, introHeight, 0);
+      introGroup.add(introRover);
+      roverGroup.add(object);
+    };
+
+    assetManager.add('rover', {
+      label: 'Rover model',
+      start: ({ manager, onProgress, onLoad, onError }) => {
+        new FBXLoader(manager).load(ROVER_MODEL_URL, (object) => {
+          const finalScale = 0.00375;
+          object.scale.set(finalScale, finalScale, finalScale);
+
+          object.traverse((child) => {
+            if (child.isMesh) {
+              child.castShadow = true;
+              child.receiveShadow = true;
+            }
+          });
+
+          object.rotation.set(ROVER_MODEL_OFFSET.x, ROVER_MODEL_OFFSET.y, ROVER_MODEL_OFFSET.z);
+          addRoverModel(object, ROVER_INTRO_HEIGHT);
+          onLoad();
+        }, onProgress, onError);
+      },
+      fallback: () => addRoverModel(createPlaceholderRover(), PLACEHOLDER_RIDE_HEIGHT),
+      fallbackLabel: 'a simple rover',
+    });
+
+    // --- Letters ---
+    // Every block of every letter is one instance of letterBatch; the letters themselves are
+    // the simulation's bare Object3Ds
+    const letterBatch = createInstancedBatch({
+      geometry: new THREE.BoxGeometry(0.45, 0.45, 1.0),
+      material: new THREE.MeshStandardMaterial({ color: 0xdddddd, roughness: 0.7, metalness: 0.3 }),
+      capacity: nameLetters.reduce((total, letter) => total + getGlyph(letter.userData.letter).cells.length, 0),
+    });
+    gameAssetsGroup.add(letterBatch.mesh);
+    nameLetters.forEach(letter => {
+      const offsets = getGlyphBlockOffsets(getGlyph(letter.userData.letter), NAME_CELL_SIZE);
+      letterBatch.add(letter, offsets.map(offset => new THREE.Matrix4().makeTranslation(offset.x, offset.y, offset.z)));
+    });
+
+    // --- Platforms ---
+    const labelBlockGeometry = new THREE.BoxGeometry(LABEL_CELL_SIZE * 0.95, LABEL_CELL_SIZE * 0.95, LABEL_CELL_SIZE * 0.95);
+    const labelBlockMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff, emissive: 0xffffff, emissiveIntensity: 0.3 });
+    const createPlatform = (destination) => {
+      const { label, color, position: { x, z } } = destination;
+      const platformGroup = new THREE.Group();
+      const platform = new THREE.Mesh(
+        new THREE.CylinderGeometry(PLATFORM_RADIUS, PLATFORM_RADIUS, 0.3, 32),
+        new THREE.MeshStandardMaterial({ color: new THREE.Color(color), roughness: 0.3, metalness: 0.5 }),
+      );
+      platform.castShadow = true;
+      platformGroup.add(platform);
+      const rim = new THREE.Mesh(
+        new THREE.TorusGeometry(PLATFORM_RADIUS, 0.15, 16, 32),
+        new THREE.MeshStandardMaterial({ color: 0x6dd5ed, emissive: 0x6dd5ed, emissiveIntensity: 0.8 }),
+      );
+      rim.rotation.x = Math.PI / 2;
+      rim.position.y = 0.15;
+      platformGroup.add(rim);
+
+      // Label lines stack upward, the first line on top
+      const textGroup = new THREE.Group();
+      const labelLayout = layoutText(label, { maxWidth: LABEL_MAX_WIDTH });
+      const lineHeight = (GLYPH_ROWS + 2) * LABEL_CELL_SIZE;
+      labelLayout.glyphs.forEach(({ char, glyph, x: glyphX, line }) => {
+        const letterGroup = createGlyphBlocks(glyph, LABEL_CELL_SIZE, labelBlockGeometry, labelBlockMaterial);
+        const baseY = 2 + (labelLayout.lineCount - 1 - line) * lineHeight;
+        letterGroup.position.set((glyphX + glyph.width / 2) * LABEL_CELL_SIZE, baseY, 0);
+        letterGroup.userData = { letter: char, baseY };
+        textGroup.add(letterGroup);
+      });
+      platformGroup.add(textGroup);
+      platformGroup.position.set(x, 0.15, z);
+      platformGroup.userData = { type: 'platform', label, destination, radius: PLATFORM_RADIUS, rim, textGroup };
+      return platformGroup;
+    };
+    const platforms = content.destinations.map(createPlatform);
+    platforms.forEach(platform => gameAssetsGroup.add(platform));
+
+    // --- Project Exhibits ---
+    const projects = content.projects || [];
+    const exhibits = projects.map((project, i) => createExhibit(project, getExhibitPosition(project, i, projects.length)));
+    exhibits.forEach(exhibit => gameAssetsGroup.add(exhibit));
+
+    // --- Scenery ---
+    // Rocks (physics bodies), pebbles and set pieces are laid out by the seeded world generator
+    // once the terrain overview has arrived; see populateScenery(). Rocks and pebbles are drawn
+    // with one instanced mesh per rock shape.
+    const world = content.world || {};
+    const worldSeed = new URLSearchParams(window.location.search).get('seed') || (world.seed !== undefined ? world.seed : DEFAULT_WORLD_SEED);
+    const sharedRockMaterial = new THREE.MeshStandardMaterial({ color: 0x7a7a7a, roughness: 1, metalness: 0 });
+    const shapeRandom = createRandom(hashSeed(`${worldSeed}:shapes`));
+    const rockGeometries = Array.from({ length: ROCK_VARIANTS }, () => createRockGeometry(shapeRandom));
+    const rockBatches = rockGeometries.map(geometry => createInstancedBatch({ geometry, material: sharedRockMaterial, capacity: ROCK_COUNT }));
+    const pebbleBatches = rockGeometries.map(geometry => createInstancedBatch({ geometry, material: sharedRockMaterial, capacity: PEBBLE_COUNT, castShadow: false }));
+    [...rockBatches, ...pebbleBatches].forEach(batch => gameAssetsGroup.add(batch.mesh));
+    letterBatch.sync();
+
+    const clearZones = [
+      { x: SPAWN_POINT.x, z: SPAWN_POINT.z, radius: SPAWN_CLEAR_RADIUS },
+      ...content.destinations.map(({ position }) => ({ ...position, radius: PLATFORM_RADIUS + CLEAR_ZONE_MARGIN })),
+      ...nameLetters.map(letter => ({ x: letter.position.x, z: letter.position.z, radius: letter.userData.radius + CLEAR_ZONE_MARGIN })),
+      ...exhibits.map(exhibit => ({ x: exhibit.position.x, z: exhibit.position.z, radius: EXHIBIT_RADIUS })),
+    ];
+
+    const pebbles = []; // { position, quaternion, sink }
+    const populateScenery = (field) => {
+      const layout = generateWorld({
+        seed: worldSeed,
+        heightfield: field.overview,
+        clearZones,
+        setPieces: world.setPieces || [],
+        rockCount: ROCK_COUNT,
+        pebbleCount: PEBBLE_COUNT,
+      });
+
+      simulation.addRocks(layout.rocks).forEach((rock, i) => {
+        const { size, variant, stretch } = layout.rocks[i];
+        rockBatches[variant].add(rock, [createRockShape(size, stretch)]);
+      });
+
+      layout.pebbles.forEach(({ x, z, size, variant, stretch, rotation }) => {
+        const pebble = { position: new THREE.Vector3(x, 0, z), quaternion: createRockRotation(rotation), sink: size * 0.3 };
+        snapToTerrain(field, pebble, -pebble.sink);
+        pebbleBatches[variant].add(pebble, [createRockShape(size, stretch)]);
+        pebbles.push(pebble);
+      });
+      [...rockBatches, ...pebbleBatches].forEach(batch => batch.sync());
+
+      layout.setPieces.forEach(placement => {
+        const setPiece = createSetPiece(placement);
+        snapToTerrain(field, setPiece);
+        gameAssetsGroup.add(setPiece);
+      });
+    };
+
+    // --- Controls ---
+    const controls = createControls({
+      bindings,
+      onAction: (action) => emit('onAction', action),
+      onDeviceChange: (device) => emit('onInputDeviceChange', device),
+      initialDevice: detectInputDevice(),
+    });
+
+    // === SESSION ===
+    // Rover, pushed bodies and camera mode outlive the visit (see world/sessionState.js).
+    // A shared link (#state= or #at=) wins over the scene saved in this browser.
+    const sessionHash = readSessionHash(window.location.hash);
+    // Destinations, the name's letters and exhibits clear room around themselves, so changing
+    // them moves the rocks as much as a new seed does
+    const worldFingerprint = hashSeed(JSON.stringify({
+      seed: String(worldSeed),
+      setPieces: world.setPieces || [],
+      letters: nameLetters.map(letter => letter.userData.letter).join(''),
+      clearZones: clearZones.map(({ x, z, radius }) => [x, z, radius].map(value => Math.round(value * 100))),
+    }));
+
+    const captureSession = () => ({
+      world: worldFingerprint,
+      cameraMode: cameraController.mode,
+      ...simulation.captureState(),
+    });
+
+    const findPlatform = (destinationId) => platforms.find(platform => platform.userData.destination.id === destinationId);
+
+    // Runs once the terrain and the scenery are in place
+    const restoreSession = () => {
+      const platform = sessionHash && sessionHash.destinationId && findPlatform(sessionHash.destinationId);
+      if (platform) {
+        simulation.placeRover(platform.position.x, platform.position.z, SPAWN_POINT.yaw);
+        return;
+      }
+
+      const session = sessionHash && sessionHash.session ? sessionHash.session : loadSession();
+      if (session && session.world === worldFingerprint) applySession(session);
+      else simulation.placeRover(SPAWN_POINT.x, SPAWN_POINT.z, SPAWN_POINT.yaw);
+    };
+
+    // Letters, rocks and rover where `session` has them, then the camera
+    const applySession = (session) => {
+      simulation.applyState(session);
+      emit('onCameraModeChange', cameraController.setMode(session.cameraMode));
+    };
+
+    // Nothing is saved before the visitor starts, so an unplayed shared link isn't overwritten
+    const saveScene = () => {
+      if (!started) return;
+      saveSession(captureSession());
+      clearSessionHash();
+    };
+
+    // A teleport isn't something a replay log can hold, so it ends any recording or playback
+    const teleportRover = (x, z, yaw) => {
+      stopRecording();
+      stopPlayback();
+      simulation.placeRover(x, z, yaw);
+      cameraController.snap({ position: rover.position, quaternion: rover.quaternion, yaw: rover.yaw });
+    };
+
+    // === REPLAY ===
+    // Recording logs the input of every physics step plus rover poses (see
+    // replay/replayLog.js). A log plays back as a ghost rover driving through the live scene,
+    // or as a re-run: the scene goes back to where the recording began and the real rover is
+    // driven by the logged inputs, repeating the drive step for step.
+    let recorder = null;
+    let playback = null; // { mode, player, step, ghost, warned }
+    const ghostMaterial = new THREE.MeshBasicMaterial({ color: 0x6dd5ed, transparent: true, opacity: 0.35, depthWrite: false });
+
+    const createGhost = () => {
+      const ghost = new THREE.Group();
+      roverGroup.children.forEach(child => ghost.add(child.clone()));
+      ghost.traverse(object => {
+        if (!object.isMesh) return;
+        object.material = ghostMaterial;
+        object.castShadow = false;
+        object.receiveShadow = false;
+      });
+      gameAssetsGroup.add(ghost);
+      return ghost;
+    };
+
+    const stopPlayback = () => {
+      if (!playback) return;
+      if (playback.ghost) gameAssetsGroup.remove(playback.ghost);
+      playback = null;
+      emit('onReplayChange', 'idle');
+    };
+
+    const startRecording = () => {
+      stopPlayback();
+      // Start from the scene as the log stores it (rounded, everything at rest) so a re-run
+      // begins from exactly the same state
+      const start = encodeSession(captureSession());
+      applySession(decodeSession(start));
+      recorder = createReplayRecorder({ world: worldFingerprint, start, stepRate: 1 / stepper.step });
+      recorder.recordPose(rover.position, rover.quaternion);
+      emit('onReplayChange', 'recording');
+    };
+
+    const stopRecording = () => {
+      if (!recorder) return;
+      const log = recorder.finish(rover.position, rover.quaternion);
+      recorder = null;
+      emit('onReplayRecorded', log);
+      emit('onReplayChange', 'idle');
+    };
+
+    // Returns an error message, or null once playback has started
+    const playReplay = (log, mode) => {
+      if (recorder) return 'Stop recording first';
+      if (log.steps === 0) return 'This drive is empty';
+      if (mode === 'rerun') {
+        if (log.world !== worldFingerprint) return 'This drive was recorded in a different world (seed or layout), so it can only play as a ghost';
+        if (log.stepRate !== 1 / stepper.step) return `This drive was recorded at ${log.stepRate} steps per second, so it can only play as a ghost`;
+      }
+      stopPlayback();
+      playback = { mode, player: createReplayPlayer(log), step: 0, ghost: null, warned: false };
+      if (mode === 'rerun') applySession(decodeSession(log.start));
+      else playback.ghost = createGhost();
+      emit('onReplayChange', mode);
+      return null;
+    };
+
+    // Per physics step, with the input the visitor is giving
+    const replayInput = (input) => {
+      if (playback && playback.mode === 'rerun') return playback.player.inputAt(playback.step);
+      if (recorder) return recorder.recordInput(input);
+      return input;
+    };
+
+    const endReplayStep = () => {
+      if (recorder) {
+        recorder.endStep(rover.position, rover.quaternion);
+        if (recorder.steps >= MAX_RECORDING_STEPS) stopRecording();
+      }
+      if (!playback || playback.mode !== 'rerun') return;
+      playback.step++;
+      const pose = playback.player.recordedPoseAt(playback.step);
+      if (pose && !playback.warned) {
+        const distance = Math.hypot(pose[1] - rover.position.x, pose[2] - rover.position.y, pose[3] - rover.position.z);
+        if (distance > REPLAY_DIVERGENCE) {
+          playback.warned = true;
+          emit('onReplayDiverged', { step: playback.step, distance });
+        }
+      }
+      if (playback.step >= playback.player.steps) stopPlayback();
+    };
+
+    // Ghosts follow the clock rather than the physics steps
+    const updateGhost = (delta) => {
+      if (!playback || !playback.ghost) return;
+      playback.step += delta / stepper.step;
+      if (playback.step > playback.player.steps) {
+        stopPlayback();
+        return;
+      }
+      playback.player.poseAt(playback.step, playback.ghost.position, playback.ghost.quaternion);
+    };
+
+    // === PLATFORM & EXHIBIT PROXIMITY ===
+    // Ground-plane distance only, so terrain height differences don't matter
+    const findObjectAt = (objects, position) => objects.find(object => {
+      const dx = object.position.x - position.x;
+      const dz = object.position.z - position.z;
+      return Math.sqrt(dx * dx + dz * dz) < object.userData.radius;
+    });
+
+    let activePlatform = null; // { platform, dwell, ready, consumed }
+    const updatePlatformProximity = (roverPosition, delta) => {
+      const inside = findObjectAt(platforms, roverPosition);
+      if (!inside) {
+        if (activePlatform) {
+          activePlatform = null;
+          emit('onPlatformChange', null);
+        }
+        return;
+      }
+
+      if (!activePlatform || activePlatform.platform !== inside) {
+        activePlatform = { platform: inside, dwell: 0, ready: false, consumed: false };
+        emit('onPlatformChange', { label: inside.userData.label, ready: false });
+      }
+      if (activePlatform.ready || activePlatform.consumed) return;
+
+      activePlatform.dwell = Math.min(PLATFORM_DWELL_SECONDS, activePlatform.dwell + delta);
+      const progress = activePlatform.dwell / PLATFORM_DWELL_SECONDS;
+      emit('onDwellProgress', progress);
+      if (progress >= 1) {
+        activePlatform.ready = true;
+        emit('onPlatformChange', { label: inside.userData.label, ready: true });
+        emit('onDestinationReached', inside.userData.destination);
+      }
+    };
+
+    // The destination to open, once; null when the rover isn't parked on a ready platform
+    const confirmPlatform = () => {
+      if (!activePlatform || !activePlatform.ready || activePlatform.consumed) return null;
+      // Stay "consumed" until the rover leaves, so coming back from the new tab doesn't re-prompt
+      activePlatform.consumed = true;
+      emit('onPlatformChange', null);
+      return activePlatform.platform.userData.destination;
+    };
+
+    let exhibitInside = null;
+    const updateExhibitProximity = (roverPosition) => {
+      const inside = findObjectAt(exhibits, roverPosition);
+      const insideId = inside ? inside.userData.project.id : null;
+      if (insideId === exhibitInside) return;
+      exhibitInside = insideId;
+      emit('onExhibitChange', insideId);
+    };
+
+    // === NAVIGATION HUD ===
+    const setWaypoint = (point) => {
+      waypoint = point;
+      emit('onWaypointChange', point);
+    };
+
+    let minimapTimer = 0;
+    const updateNavigation = (roverPosition, delta) => {
+      if (waypoint && Math.hypot(waypoint.x - roverPosition.x, waypoint.z - roverPosition.z) < WAYPOINT_REACHED_RADIUS) {
+        setWaypoint(null);
+      }
+      waypointBeacon.visible = Boolean(waypoint);
+      if (waypoint) waypointBeacon.position.set(waypoint.x, getTerrainHeight(waypoint.x, waypoint.z) + 20, waypoint.z);
+
+      minimapTimer += delta;
+      const minimapRenderer = hud.minimapRenderer && hud.minimapRenderer.current;
+      if (minimapRenderer && minimapTimer >= MINIMAP_INTERVAL) {
+        minimapTimer = 0;
+        const toPoint = (object) => ({ x: object.position.x, z: object.position.z });
+        minimapRenderer.draw({
+          terrain: heightfield.overview,
+          rover: { x: roverPosition.x, z: roverPosition.z, yaw: rover.yaw },
+          platforms: platforms.map(platform => ({
+            ...toPoint(platform),
+            color: platform.userData.destination.color,
+            label: platform.userData.label,
+          })),
+          exhibits: exhibits.map(toPoint),
+          letters: nameLetters.map(toPoint),
+          rocks: rocks.map(toPoint),
+          waypoint,
+        });
+      }
+
+      // Arrows at the screen edge for destinations (and the waypoint) out of view
+      const indicators = hud.edgeIndicators ? hud.edgeIndicators.current : {};
+      const targets = platforms.map(platform => ({ id: platform.userData.destination.id, position: platform.position }));
+      if (waypoint) targets.push({ id: WAYPOINT_ID, position: waypointBeacon.position });
+      targets.forEach(({ id, position }) => {
+        const element = indicators[id];
+        if (!element) return;
+        const indicator = getEdgeIndicator(camera, position, container.clientWidth, container.clientHeight, EDGE_INDICATOR_MARGIN);
+        element.style.display = indicator.onScreen ? 'none' : 'flex';
+        if (indicator.onScreen) return;
+        element.style.transform = `translate(${indicator.x}px, ${indicator.y}px) translate(-50%, -50%)`;
+        element.firstChild.style.transform = `rotate(${indicator.angle}rad)`;
+        element.lastChild.textContent = `${Math.round(Math.hypot(position.x - roverPosition.x, position.z - roverPosition.z))}m`;
+      });
+    };
+
+    // === GRAPHICS QUALITY ===
+    let qualityPreset = QUALITY_PRESETS[initialQuality];
+    let qualityLevel = initialQuality;
+    const applyQuality = (level) => {
+      const preset = QUALITY_PRESETS[level];
+      qualityPreset = preset;
+      qualityLevel = level;
+      renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, preset.maxPixelRatio));
+      renderer.setSize(container.clientWidth, container.clientHeight);
+
+      sunLight.castShadow = preset.shadowMapSize > 0;
+      if (preset.shadowMapSize && sunLight.shadow.mapSize.width !== preset.shadowMapSize) {
+        sunLight.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+        // Reallocated at the new size on the next render
+        if (sunLight.shadow.map) { sunLight.shadow.map.dispose(); sunLight.shadow.map = null; }
+      }
+      const shadowCamera = sunLight.shadow.camera;
+      shadowCamera.left = shadowCamera.bottom = -preset.shadowExtent;
+      shadowCamera.right = shadowCamera.top = preset.shadowExtent;
+      shadowCamera.updateProjectionMatrix();
+
+      sky.setStarCount(preset.starCount);
+      terrain.setCastShadow(preset.terrainShadows);
+      rockBatches.forEach(batch => { batch.mesh.castShadow = preset.rockShadows; });
+      pebbleBatches.forEach(batch => batch.setDrawFraction(preset.pebbleDensity));
+      tracks.setBudget(preset.trackMarks);
+      dust.setBudget(preset.dustParticles);
+      terrain.setLodBias(preset.terrainLodBias);
+      emit('onQualityChange', level);
+    };
+    const qualityGovernor = createQualityGovernor({ level: initialQuality, onChange: applyQuality });
+    applyQuality(initialQuality);
+
+    // --- ANIMATION LOOP ---
+    // Physics runs in fixed steps; everything else scales with the real frame time
+    const stepper = createFixedStepper();
+    let time = 0;
+    let lastFrameTime = performance.now();
+    let frameRequest = null;
+    let statsTimer = 0;
+    let statsFrames = 0;
+    let sessionSaveTimer = 0;
+
+    const animate = () => {
+      frameRequest = requestAnimationFrame(animate);
+      const now = performance.now();
+      const delta = Math.min(0.1, (now - lastFrameTime) / 1000);
+      lastFrameTime = now;
+      time += delta * 0.6; // Same pace as the old 0.01 per frame at 60 Hz
+
+      if (!started) {
+        // INTRO ANIMATION (held still for visitors who ask for reduced motion)
+        const introTime = reducedMotion ? 0 : time;
+        introGroup.rotation.y = Math.sin(introTime * 0.2) * 0.1;
+        camera.position.x = Math.sin(introTime * 0.1) * 8;
+        camera.position.z = Math.cos(introTime * 0.1) * 8;
+        camera.position.y = 6;
+        camera.lookAt(0, 0, 0);
+      } else {
+        if (heightfield) {
+          const input = controls.poll(delta);
+          // Ignore driving input while an in-app panel is open
+          const driving = drivingEnabled ? input : {};
+          const alpha = stepper.advance(delta, (dt) => {
+            simulation.step(replayInput(driving), dt);
+            endReplayStep();
+          });
+          simulation.interpolate(alpha, roverGroup);
+          rockBatches.forEach(batch => batch.sync());
+          letterBatch.sync();
+          updateGhost(delta);
+          updateSurfaceEffects(delta);
+
+          updatePlatformProximity(roverGroup.position, delta);
+          updateExhibitProximity(roverGroup.position);
+          updateNavigation(roverGroup.position, delta);
+
+          audio.setEngineLoad(Math.abs(rover.speed) / MAX_FORWARD_SPEED);
+
+          cameraController.update(delta, { position: roverGroup.position, quaternion: roverGroup.quaternion, yaw: rover.yaw }, input);
+          // Hide the rover once the camera is inside it (cockpit view)
+          roverGroup.visible = camera.position.distanceTo(roverGroup.position) > 2.5;
+          // Keep the fog band around the rover however far out the camera is
+          const fogShift = Math.max(0, camera.position.distanceTo(cameraController.lookTarget) - FOG_VIEW_DISTANCE);
+          scene.fog.near = qualityPreset.fogNear + fogShift;
+          scene.fog.far = qualityPreset.fogFar + fogShift;
+
+          sessionSaveTimer += delta;
+          if (sessionSaveTimer >= SESSION_SAVE_INTERVAL) {
+            sessionSaveTimer = 0;
+            saveScene();
+          }
+        }
+
+        animateExhibits(exhibits, time);
+
+        platforms.forEach(platform => {
+          const { rim, textGroup } = platform.userData;
+          rim.material.emissiveIntensity = 0.5 + Math.sin(time * 2) * 0.3;
+          textGroup.children.forEach((letter, i) => { letter.position.y = letter.userData.baseY + Math.sin(time * 2 + i * 0.3) * 0.2; });
+        });
+      }
+
+      // Stream terrain detail around the rover (around spawn during the intro)
+      const terrainFocus = started ? roverGroup.position : SPAWN_POINT;
+      terrain.update(terrainFocus.x, terrainFocus.z);
+      sky.update(delta, camera, terrainFocus);
+      const minute = Math.floor(sky.timeOfDay * 24 * 60);
+      if (minute !== reportedMinute) {
+        reportedMinute = minute;
+        emit('onTimeOfDayChange', sky.timeOfDay);
+      }
+
+      renderer.render(scene, camera);
+
+      // Auto quality judges the game, not the lighter intro scene
+      if (started && qualitySetting === 'auto') {
+        qualityGovernor.sample(delta, (performance.now() - now) / 1000);
+      }
+
+      statsTimer += delta;
+      statsFrames++;
+      const stats = hud.stats && hud.stats.current;
+      if (stats && statsTimer >= STATS_INTERVAL) {
+        const { calls, triangles } = renderer.info.render;
+        stats.textContent = `${Math.round(statsFrames / statsTimer)} FPS · ${calls} draws · ${triangles} tris · ${qualityLevel.toUpperCase()}`;
+        statsTimer = 0;
+        statsFrames = 0;
+      }
+    };
+
+    // === PAUSING ===
+    // The loop only runs while the caller hasn't paused it, the tab is visible and the
+    // element is at least partly on screen
+    let onScreen = true;
+    const updateRunning = () => {
+      const running = !pausedByCaller && !document.hidden && onScreen;
+      if (running === (frameRequest !== null)) return;
+      if (running) {
+        lastFrameTime = performance.now(); // Don't count the paused time as one long frame
+        animate();
+      } else {
+        cancelAnimationFrame(frameRequest);
+        frameRequest = null;
+        audio.setEngineLoad(0);
+      }
+    };
+    document.addEventListener('visibilitychange', updateRunning);
+    const visibilityObserver = typeof IntersectionObserver === 'undefined' ? null : new IntersectionObserver((entries) => {
+      onScreen = entries[entries.length - 1].isIntersecting;
+      updateRunning();
+    });
+    if (visibilityObserver) visibilityObserver.observe(container);
+    updateRunning();
+
+    // Follows the element rather than the window, so it can sit anywhere in a page
+    const handleResize = () => {
+      camera.aspect = viewportAspect();
+      camera.updateProjectionMatrix();
+      renderer.setSize(container.clientWidth, container.clientHeight);
+      dust.setViewportHeight(container.clientHeight);
+    };
+    const resizeObserver = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(handleResize);
+    if (resizeObserver) resizeObserver.observe(container);
+    else window.addEventListener('resize', handleResize);
+    window.addEventListener('pagehide', saveScene);
+
+    game = {
+      start: () => {
+        scene.background = new THREE.Color(0x050505);
+        scene.fog = new THREE.Fog(0x050505, 40, 250);
+        introGroup.visible = false;
+        gameAssetsGroup.visible = true;
+        roverGroup.visible = true;
+        audio.start();
+      },
+      updateRunning,
+      teleportRover,
+      findPlatform,
+      captureSession,
+      saveScene,
+      confirmPlatform,
+      setWaypoint,
+      resetLetters: simulation.resetLetters,
+      resetAll: () => {
+        teleportRover(SPAWN_POINT.x, SPAWN_POINT.z, SPAWN_POINT.yaw);
+        simulation.resetLetters();
+        simulation.resetRocks();
+        tracks.clear();
+        dust.clear();
+        saveScene();
+      },
+      setQualitySetting: (setting) => {
+        // Auto carries on from whatever is showing now
+        if (setting === 'auto') qualityGovernor.reset(qualityLevel);
+        else applyQuality(setting);
+      },
+      cycleCameraMode: () => emit('onCameraModeChange', cameraController.cycleMode()),
+      startRecording,
+      stopRecording,
+      playReplay,
+      stopPlayback,
+      focus: () => renderer.domElement.focus({ preventScroll: true }),
+      setTimeOfDay: sky.setTimeOfDay,
+      setTimeFrozen: sky.setFrozen,
+      retryAsset: assetManager.retry,
+      useAssetFallback: assetManager.useFallback,
+      enableAudio: audio.start,
+      audio,
+      controls,
+    };
+
+    teardown = () => {
+      saveScene();
+      if (resizeObserver) resizeObserver.disconnect();
+      else window.removeEventListener('resize', handleResize);
+      window.removeEventListener('pagehide', saveScene);
+      document.removeEventListener('visibilitychange', updateRunning);
+      if (visibilityObserver) visibilityObserver.disconnect();
+      if (frameRequest !== null) cancelAnimationFrame(frameRequest);
+      controls.dispose();
+
+      scene.traverse((object) => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) {
+          if (Array.isArray(object.material)) object.material.forEach(m => m.dispose());
+          else object.material.dispose();
+        }
+        if (object.type === 'Mesh' && object.material.map) object.material.map.dispose();
+      });
+      ghostMaterial.dispose();
+      terrain.dispose();
+      if (renderer.domElement.parentNode === container) container.removeChild(renderer.domElement);
+      renderer.dispose();
+      audio.dispose();
+      assetManager.dispose();
+    };
+    return true;
+  };
+
+  const dispose = () => {
+    if (teardown) teardown();
+    teardown = null;
+    game = null;
+  };
+
+  // --- Lifecycle ---
+  const start = () => {
+    if (!game || started) return;
+    started = true;
+    game.start();
+    emit('onStart');
+  };
+
+  const pause = () => {
+    pausedByCaller = true;
+    if (game) game.updateRunning();
+  };
+
+  const resume = () => {
+    pausedByCaller = false;
+    if (game) game.updateRunning();
+  };
+
+  // --- Rover ---
+  /** Moves the rover to a destination (by id) or to { x, z, yaw }; false if there's no such place. */
+  const teleportTo = (target) => {
+    if (!game) return false;
+    if (typeof target === 'string') {
+      const platform = game.findPlatform(target);
+      if (!platform) return false;
+      game.teleportRover(platform.position.x, platform.position.z, SPAWN_POINT.yaw);
+      return true;
+    }
+    game.teleportRover(target.x, target.z, target.yaw || 0);
+    return true;
+  };
+
+  /** Points the waypoint (beacon, minimap marker, edge arrow) at a destination; false if unknown. */
+  const focusDestination = (destinationId) => {
+    if (!game) return false;
+    const platform = game.findPlatform(destinationId);
+    if (!platform) return false;
+    game.setWaypoint({ x: platform.position.x, z: platform.position.z });
+    return true;
+  };
+
+  const whenMounted = (name) => (...args) => (game ? game[name](...args) : null);
+
+  return {
+    mount, dispose, start, pause, resume,
+    teleportTo, focusDestination,
+    reset: whenMounted('resetAll'),
+    resetLetters: whenMounted('resetLetters'),
+    returnToSpawn: () => teleportTo(SPAWN_POINT),
+    confirmPlatform: whenMounted('confirmPlatform'),
+    cycleCameraMode: whenMounted('cycleCameraMode'),
+    setWaypoint: whenMounted('setWaypoint'),
+    captureSession: whenMounted('captureSession'),
+    focus: whenMounted('focus'),
+    setTimeOfDay: whenMounted('setTimeOfDay'),
+    setTimeFrozen: whenMounted('setTimeFrozen'),
+    retryAsset: whenMounted('retryAsset'),
+    useAssetFallback: whenMounted('useAssetFallback'),
+    enableAudio: whenMounted('enableAudio'),
+    startRecording: whenMounted('startRecording'),
+    stopRecording: whenMounted('stopRecording'),
+    playReplay: whenMounted('playReplay'),
+    stopReplay: whenMounted('stopPlayback'),
+    setQualitySetting: (setting) => {
+      qualitySetting = setting;
+      if (game) game.setQualitySetting(setting);
+    },
+    setAudioSettings: (next) => {
+      audioSettings = next;
+      if (game) game.audio.applySettings(next);
+    },
+    setBindings: (next) => {
+      bindings = next;
+      if (game) game.controls.setBindings(next);
+    },
+    setDrivingEnabled: (enabled) => { drivingEnabled = enabled; },
+    setReducedMotion: (enabled) => { reducedMotion = enabled; },
+    get controls() { return game ? game.controls : null; },
+    get started() { return started; },
+    get paused() { return pausedByCaller; },
+  };
+};
@@ -0,0 +1,196 @@
+import { readStoredJson, writeStoredJson } from '../storage/localStore';
+
+// === INPUT BINDINGS ===
+// Which keys and gamepad controls feed each action. Keys are `KeyboardEvent.code` values,
+// which name the physical key, so WASD stays in the same place on AZERTY or Dvorak layouts.
+// Gamepad indices follow the browser's "standard" mapping (0 = A / cross, 4 / 5 = bumpers).
+//
+// Held actions (driving, brake, camera orbit) are read every frame; the rest fire once per
+// press. Visitors can rebind keys, gamepad buttons and stick axes in the bindings panel, and
+// a page driving the engine directly can pass its own through setBindings().
+// saveBindingOverrides() keeps overrides of both devices in localStorage.
+
+export const PRESS_ACTIONS = ['interact', 'close', 'reset', 'cameraMode', 'previousProject', 'nextProject'];
+
+// Order and wording of the rebinding panel
+export const ACTION_LABELS = {
+  forward: 'Drive forward',
+  back: 'Drive back',
+  left: 'Turn left',
+  right: 'Turn right',
+  brake: 'Brake',
+  orbitLeft: 'Camera orbit left',
+  orbitRight: 'Camera orbit right',
+  zoomIn: 'Camera zoom in',
+  zoomOut: 'Camera zoom out',
+  cameraMode: 'Switch camera',
+  interact: 'Interact',
+  reset: 'Reset letters',
+  previousProject: 'Previous project',
+  nextProject: 'Next project',
+};
+
+export const DEFAULT_BINDINGS = {
+  keyboard: {
+    forward: ['KeyW', 'ArrowUp'],
+    back: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    brake: ['Space'],
+    orbitLeft: ['KeyQ'],
+    orbitRight: ['KeyE'],
+    zoomIn: ['Equal', 'NumpadAdd'],
+    zoomOut: ['Minus', 'NumpadSubtract'],
+    cameraMode: ['KeyC'],
+    interact: ['Enter', 'NumpadEnter'],
+    close: ['Escape'],
+    reset: ['KeyR'],
+    previousProject: ['BracketLeft'],
+    nextProject: ['BracketRight'],
+  },
+  gamepad: {
+    axes: { driveX: 0, driveY: 1, orbitX: 2, orbitY: 3 },
+    buttons: {
+      brake: [2],
+      interact: [0],
+      close: [1],
+      reset: [3],
+      cameraMode: [8],
+      zoomIn: [12],
+      zoomOut: [13],
+      previousProject: [4],
+      nextProject: [5],
+    },
+  },
+};
+
+// Gamepad rows of the rebinding panel: stick axes, then buttons in DEFAULT_BINDINGS order
+export const GAMEPAD_AXIS_LABELS = {
+  driveY: 'Drive forward / back',
+  driveX: 'Steer',
+  orbitX: 'Camera orbit',
+  orbitY: 'Camera tilt',
+};
+export const GAMEPAD_BUTTON_LABELS = Object.fromEntries(
+  Object.keys(DEFAULT_BINDINGS.gamepad.buttons).map(action => [action, ACTION_LABELS[action] || 'Close panels']),
+);
+
+const STORAGE_KEY = 'moonRover.bindings';
+
+// Overrides only need the entries they change
+export const mergeBindings = (overrides = {}) => {
+  const gamepad = overrides.gamepad || {};
+  return {
+    keyboard: { ...DEFAULT_BINDINGS.keyboard, ...overrides.keyboard },
+    gamepad: {
+      axes: { ...DEFAULT_BINDINGS.gamepad.axes, ...gamepad.axes },
+      buttons: { ...DEFAULT_BINDINGS.gamepad.buttons, ...gamepad.buttons },
+    },
+  };
+};
+
+/**
+ * Binds `code` to `action` in the given slot, taking it off any other action so one key
+ * never drives two things. Returns new bindings.
+ */
+export const rebindKey = (bindings, action, slot, code) => {
+  const keyboard = {};
+  Object.entries(bindings.keyboard).forEach(([name, codes]) => {
+    keyboard[name] = codes.filter(existing => existing !== code);
+  });
+  const codes = [...keyboard[action]];
+  if (slot < codes.length) codes[slot] = code;
+  else codes.push(code);
+  keyboard[action] = codes;
+  return { ...bindings, keyboard };
+};
+
+/** Binds gamepad button `index` to `action`, taking it off any other action like rebindKey(). */
+export const rebindGamepadButton = (bindings, action, index) => {
+  const buttons = {};
+  Object.entries(bindings.gamepad.buttons).forEach(([name, indices]) => {
+    buttons[name] = indices.filter(existing => existing !== index);
+  });
+  buttons[action] = [index, ...buttons[action].slice(1)];
+  return { ...bindings, gamepad: { ...bindings.gamepad, buttons } };
+};
+
+/**
+ * Reads stick input `name` (a GAMEPAD_AXIS_LABELS key) from axis `index`. Every input needs
+ * an axis, so one that had `index` swaps over to the axis `name` used before.
+ */
+export const rebindGamepadAxis = (bindings, name, index) => {
+  const axes = { ...bindings.gamepad.axes };
+  Object.keys(axes).forEach(other => {
+    if (axes[other] === index) axes[other] = bindings.gamepad.axes[name];
+  });
+  axes[name] = index;
+  return { ...bindings, gamepad: { ...bindings.gamepad, axes } };
+};
+
+const isIndex = (value) => Number.isInteger(value) && value >= 0;
+
+// Entries of `stored` whose name `defaults` knows and whose value passes `isValid`; skips
+// anything a newer or older version wrote that this one doesn't understand
+const knownEntries = (stored, defaults, isValid) => {
+  const entries = {};
+  Object.entries(stored || {}).forEach(([name, value]) => {
+    if (defaults[name] !== undefined && isValid(value)) entries[name] = value;
+  });
+  return entries;
+};
+
+// Entries of `current` that differ from `defaults`
+const changedEntries = (current, defaults) => {
+  const entries = {};
+  Object.entries(current).forEach(([name, value]) => {
+    if (String(value) !== String(defaults[name])) entries[name] = value;
+  });
+  return entries;
+};
+
+export const loadBindingOverrides = () => {
+  const stored = readStoredJson(STORAGE_KEY) || {};
+  const gamepad = stored.gamepad || {};
+  return {
+    keyboard: knownEntries(stored.keyboard, DEFAULT_BINDINGS.keyboard, codes => Array.isArray(codes) && codes.every(code => typeof code === 'string')),
+    gamepad: {
+      axes: knownEntries(gamepad.axes, DEFAULT_BINDINGS.gamepad.axes, isIndex),
+      buttons: knownEntries(gamepad.buttons, DEFAULT_BINDINGS.gamepad.buttons, indices => Array.isArray(indices) && indices.every(isIndex)),
+    },
+  };
+};
+
+export const saveBindingOverrides = (bindings) => {
+  const keyboard = changedEntries(bindings.keyboard, DEFAULT_BINDINGS.keyboard);
+  const axes = changedEntries(bindings.gamepad.axes, DEFAULT_BINDINGS.gamepad.axes);
+  const buttons = changedEntries(bindings.gamepad.buttons, DEFAULT_BINDINGS.gamepad.buttons);
+  const overrides = {};
+  if (Object.keys(keyboard).length) overrides.keyboard = keyboard;
+  if (Object.keys(axes).length || Object.keys(buttons).length) overrides.gamepad = { axes, buttons };
+  writeStoredJson(STORAGE_KEY, Object.keys(overrides).length ? overrides : null);
+};
+
+const CODE_NAMES = {
+  Space: 'Space', Enter: 'Enter', NumpadEnter: 'Num Enter', Escape: 'Esc',
+  ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+  BracketLeft: '[', BracketRight: ']', Equal: '=', Minus: '-', NumpadAdd: 'Num +', NumpadSubtract: 'Num -',
+};
+
+// Names under the "standard" mapping, Xbox style
+const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+const AXIS_NAMES = ['Left stick ↔', 'Left stick ↕', 'Right stick ↔', 'Right stick ↕'];
+
+export const formatGamepadButton = (index) => BUTTON_NAMES[index] || `Button ${index}`;
+export const formatGamepadAxis = (index) => AXIS_NAMES[index] || `Axis ${index}`;
+
+/**
+ * Display name for a key code. `layoutMap` (from navigator.keyboard.getLayoutMap(), where
+ * supported) gives the character the visitor's own layout prints on that key.
+ */
+export const formatKeyCode = (code, layoutMap) => {
+  const printed = layoutMap && layoutMap.get(code);
+  if (printed && printed.trim()) return printed.toUpperCase();
+  if (CODE_NAMES[code]) return CODE_NAMES[code];
+  return code.replace(/^(Key|Digit)/, '');
+};
@@ -0,0 +1,192 @@
+import { DEFAULT_BINDINGS, PRESS_ACTIONS } from './bindings';
+
+// === CONTROLS ===
+// Merges the keyboard (plus right-mouse camera drag and wheel zoom), the on-screen touch controls and the
+// first connected gamepad into one driving state. Whichever device was used last is the
+// "active" one, so the HUD can show matching hints.
+
+const STICK_DEADZONE = 0.15;
+const DRAG_ORBIT_SPEED = 0.003; // Radians per dragged pixel
+const GAMEPAD_ORBIT_SPEED = 2.5; // Radians per second at full right stick
+const KEY_ORBIT_SPEED = 1.5; // Radians per second while an orbit key is held
+const WHEEL_ZOOM_SPEED = 0.001; // Zoom steps per wheel delta pixel
+const HELD_ZOOM_SPEED = 1.5; // Zoom steps per second while a zoom key or button is held
+// Held keys that would otherwise scroll the page or press the focused button
+const NO_DEFAULT_ACTIONS = ['forward', 'back', 'left', 'right', 'brake', 'orbitLeft', 'orbitRight'];
+
+export const INPUT_DEVICES = ['keyboard', 'touch', 'gamepad'];
+
+// Touch-first devices start with the on-screen controls showing
+export const detectInputDevice = () => (
+  window.matchMedia && window.matchMedia('(pointer: coarse)').matches ? 'touch' : 'keyboard'
+);
+
+const deadzone = (value) => (Math.abs(value) < STICK_DEADZONE ? 0 : value);
+const clampUnit = (value) => Math.max(-1, Math.min(1, value));
+
+/**
+ * `onAction(name)` fires for press actions (see PRESS_ACTIONS); `onDeviceChange(device)` when
+ * the active device switches. Call `poll(delta)` once per frame for
+ * `{ throttle, steer, brake, orbitYaw, orbitPitch, zoom }`: throttle and steer in [-1, 1]
+ * (forward, left), orbit in radians to swing the camera this frame, zoom in log steps
+ * (positive = closer).
+ */
+export const createControls = ({ bindings = DEFAULT_BINDINGS, onAction, onDeviceChange, initialDevice = 'keyboard' }) => {
+  let device = initialDevice;
+  let keyActions = {}; // KeyboardEvent.code -> actions bound to it
+  let currentBindings = null;
+
+  const heldKeys = new Set();
+  const touchDrive = { x: 0, y: 0 };
+  const dragPixels = { x: 0, y: 0 };
+  let wheelZoom = 0;
+  let mouseDragging = false;
+  let previousButtons = {};
+
+  const setDevice = (next) => {
+    if (next === device) return;
+    device = next;
+    if (onDeviceChange) onDeviceChange(next);
+  };
+
+  const setBindings = (next) => {
+    currentBindings = next;
+    keyActions = {};
+    Object.entries(next.keyboard).forEach(([action, codes]) => {
+      codes.forEach(code => { keyActions[code] = [...(keyActions[code] || []), action]; });
+    });
+  };
+  setBindings(bindings);
+
+  const keyHeld = (action) => (currentBindings.keyboard[action] || []).some(code => heldKeys.has(code));
+
+  // --- Keyboard & mouse ---
+  const handleKeyDown = (e) => {
+    const actions = keyActions[e.code] || [];
+    setDevice('keyboard');
+    // Keys typed into dialogs, fields and [data-native-keys] areas (the start button, the
+    // accessible content) belong to them; only closing still works there, and not from a
+    // character key while typing into a field
+    if (e.target.closest && e.target.closest('[role="dialog"], [data-native-keys], input, textarea, select')) {
+      const typing = e.key && e.key.length === 1 && e.target.closest('input, textarea, select');
+      if (!e.repeat && onAction && actions.includes('close') && !typing) onAction('close');
+      return;
+    }
+    heldKeys.add(e.code);
+    if (actions.some(action => NO_DEFAULT_ACTIONS.includes(action))) e.preventDefault();
+    if (e.repeat || !onAction) return;
+    actions.filter(action => PRESS_ACTIONS.includes(action)).forEach(onAction);
+  };
+  const handleKeyUp = (e) => { heldKeys.delete(e.code); };
+  const handleMouseDown = (e) => {
+    if (e.button !== 2) return;
+    mouseDragging = true;
+    setDevice('keyboard');
+  };
+  const handleMouseUp = () => { mouseDragging = false; };
+  const handleMouseMove = (e) => {
+    if (!mouseDragging) return;
+    dragPixels.x += e.movementX;
+    dragPixels.y += e.movementY;
+  };
+  const handleWheel = (e) => {
+    // Let panels scroll themselves
+    if (e.target.closest && e.target.closest('[role="dialog"], [role="region"]')) return;
+    wheelZoom -= e.deltaY * WHEEL_ZOOM_SPEED;
+  };
+  const handleContextMenu = (e) => e.preventDefault();
+  const handleTouchStart = () => setDevice('touch');
+
+  // Opening a destination in a new tab steals focus before keyup fires; drop held input so the rover waits where it was
+  const clear = () => {
+    heldKeys.clear();
+    touchDrive.x = 0;
+    touchDrive.y = 0;
+    mouseDragging = false;
+  };
+
+  const listeners = [
+    ['keydown', handleKeyDown], ['keyup', handleKeyUp], ['blur', clear],
+    ['mousedown', handleMouseDown], ['mouseup', handleMouseUp], ['mousemove', handleMouseMove],
+    ['contextmenu', handleContextMenu], ['touchstart', handleTouchStart], ['wheel', handleWheel],
+  ];
+  listeners.forEach(([type, listener]) => window.addEventListener(type, listener));
+
+  // --- Touch (fed by ui/TouchControls) ---
+  // x / y in [-1, 1] with y down, as the joystick knob is dragged on screen
+  const setTouchDrive = (x, y) => {
+    touchDrive.x = x;
+    touchDrive.y = y;
+    setDevice('touch');
+  };
+  const addTouchOrbit = (x, y) => {
+    dragPixels.x += x;
+    dragPixels.y += y;
+    setDevice('touch');
+  };
+
+  // --- Gamepad ---
+  const readGamepad = () => {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const pad = Array.from(pads).find(candidate => candidate && candidate.connected);
+    if (!pad) return null;
+
+    const { axes, buttons } = currentBindings.gamepad;
+    const axis = (index) => deadzone(pad.axes[index] || 0);
+    const pressed = (action) => buttons[action].some(index => pad.buttons[index] && pad.buttons[index].pressed);
+    const state = {
+      driveX: axis(axes.driveX),
+      driveY: axis(axes.driveY),
+      orbitX: axis(axes.orbitX),
+      orbitY: axis(axes.orbitY),
+      brake: pressed('brake'),
+      zoom: (pressed('zoomIn') ? 1 : 0) - (pressed('zoomOut') ? 1 : 0),
+    };
+
+    const pressedNow = {};
+    PRESS_ACTIONS.forEach(action => {
+      pressedNow[action] = pressed(action);
+      if (pressedNow[action] && !previousButtons[action] && onAction) onAction(action);
+    });
+    const active = state.driveX || state.driveY || state.orbitX || state.orbitY || state.brake || state.zoom || PRESS_ACTIONS.some(action => pressedNow[action]);
+    previousButtons = pressedNow;
+    if (active) setDevice('gamepad');
+    return state;
+  };
+
+  const poll = (delta) => {
+    const pad = readGamepad();
+    let throttle = (keyHeld('forward') ? 1 : 0) - (keyHeld('back') ? 1 : 0) - touchDrive.y;
+    let steer = (keyHeld('left') ? 1 : 0) - (keyHeld('right') ? 1 : 0) - touchDrive.x;
+    let orbitYaw = dragPixels.x * DRAG_ORBIT_SPEED + ((keyHeld('orbitRight') ? 1 : 0) - (keyHeld('orbitLeft') ? 1 : 0)) * KEY_ORBIT_SPEED * delta;
+    let orbitPitch = dragPixels.y * DRAG_ORBIT_SPEED;
+    let zoom = wheelZoom + ((keyHeld('zoomIn') ? 1 : 0) - (keyHeld('zoomOut') ? 1 : 0)) * HELD_ZOOM_SPEED * delta;
+    dragPixels.x = 0;
+    dragPixels.y = 0;
+    wheelZoom = 0;
+    if (pad) {
+      throttle -= pad.driveY;
+      steer -= pad.driveX;
+      orbitYaw += pad.orbitX * GAMEPAD_ORBIT_SPEED * delta;
+      orbitPitch += pad.orbitY * GAMEPAD_ORBIT_SPEED * delta;
+      zoom += pad.zoom * HELD_ZOOM_SPEED * delta;
+    }
+    return {
+      throttle: clampUnit(throttle),
+      steer: clampUnit(steer),
+      brake: keyHeld('brake') || Boolean(pad && pad.brake),
+      orbitYaw,
+      orbitPitch,
+      zoom,
+    };
+  };
+
+  const dispose = () => {
+    listeners.forEach(([type, listener]) => window.removeEventListener(type, listener));
+  };
+
+  return {
+    poll, clear, setBindings, setTouchDrive, addTouchOrbit, dispose,
+    get device() { return device; },
+  };
+};
@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+
+// === COLLISION TESTS ===
+// Narrow-phase tests between spheres and oriented boxes. Each returns null when the shapes
+// are apart, or { normal, depth } with `normal` pointing from the first shape to the second.
+// Shapes: { type: 'sphere', center, radius } or { type: 'box', center, quaternion, halfExtents }.
+
+const EPSILON = 1e-6;
+const _axes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+const _otherAxes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+const _delta = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _local = new THREE.Vector3();
+const _inverse = new THREE.Quaternion();
+
+const boxAxes = (box, target) => {
+  target[0].set(1, 0, 0).applyQuaternion(box.quaternion);
+  target[1].set(0, 1, 0).applyQuaternion(box.quaternion);
+  target[2].set(0, 0, 1).applyQuaternion(box.quaternion);
+  return target;
+};
+
+// Half-length of the box's shadow on a unit axis
+const projectBox = (box, axes, axis) => (
+  box.halfExtents.x * Math.abs(axes[0].dot(axis)) +
+  box.halfExtents.y * Math.abs(axes[1].dot(axis)) +
+  box.halfExtents.z * Math.abs(axes[2].dot(axis))
+);
+
+export const sphereSphere = (a, b) => {
+  _delta.subVectors(b.center, a.center);
+  const distance = _delta.length();
+  const depth = a.radius + b.radius - distance;
+  if (depth <= 0) return null;
+  const normal = distance > EPSILON ? _delta.clone().divideScalar(distance) : new THREE.Vector3(0, 1, 0);
+  return { normal, depth };
+};
+
+export const sphereBox = (sphere, box) => {
+  // Closest point on the box to the sphere center, found in the box's local frame
+  _inverse.copy(box.quaternion).invert();
+  _local.subVectors(sphere.center, box.center).applyQuaternion(_inverse);
+  const { x: hx, y: hy, z: hz } = box.halfExtents;
+  const closest = new THREE.Vector3(
+    THREE.MathUtils.clamp(_local.x, -hx, hx),
+    THREE.MathUtils.clamp(_local.y, -hy, hy),
+    THREE.MathUtils.clamp(_local.z, -hz, hz)
+  );
+  const offset = _local.clone().sub(closest);
+  const distance = offset.length();
+
+  if (distance > EPSILON) {
+    const depth = sphere.radius - distance;
+    if (depth <= 0) return null;
+    // Sphere -> box is the opposite of closest point -> sphere center
+    const normal = offset.divideScalar(-distance).applyQuaternion(box.quaternion);
+    return { normal, depth };
+  }
+
+  // Center inside the box: push out through the nearest face
+  const faces = [
+    { depth: hx - Math.abs(_local.x), normal: new THREE.Vector3(-Math.sign(_local.x) || -1, 0, 0) },
+    { depth: hy - Math.abs(_local.y), normal: new THREE.Vector3(0, -Math.sign(_local.y) || -1, 0) },
+    { depth: hz - Math.abs(_local.z), normal: new THREE.Vector3(0, 0, -Math.sign(_local.z) || -1) },
+  ];
+  const nearest = faces.reduce((best, face) => (face.depth < best.depth ? face : best));
+  return { normal: nearest.normal.applyQuaternion(box.quaternion), depth: nearest.depth + sphere.radius };
+};
+
+// Separating axis test over the 3 + 3 face axes and 9 edge cross products
+export const boxBox = (a, b) => {
+  const axesA = boxAxes(a, _axes);
+  const axesB = boxAxes(b, _otherAxes);
+  _delta.subVectors(b.center, a.center);
+
+  let best = null;
+  const testAxis = (axis) => {
+    const lengthSq = axis.lengthSq();
+    if (lengthSq < EPSILON) return true; // Parallel edges: covered by the face axes
+    _axis.copy(axis).divideScalar(Math.sqrt(lengthSq));
+    const distance = _delta.dot(_axis);
+    const depth = projectBox(a, axesA, _axis) + projectBox(b, axesB, _axis) - Math.abs(distance);
+    if (depth <= 0) return false;
+    if (!best || depth < best.depth) {
+      best = { normal: _axis.clone().multiplyScalar(distance < 0 ? -1 : 1), depth };
+    }
+    return true;
+  };
+
+  const cross = new THREE.Vector3();
+  for (let i = 0; i < 3; i++) if (!testAxis(axesA[i])) return null;
+  for (let i = 0; i < 3; i++) if (!testAxis(axesB[i])) return null;
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      if (!testAxis(cross.crossVectors(axesA[i], axesB[j]))) return null;
+    }
+  }
+  return best;
+};
+
+export const collideShapes = (a, b) => {
+  if (a.type === 'sphere' && b.type === 'sphere') return sphereSphere(a, b);
+  if (a.type === 'sphere' && b.type === 'box') return sphereBox(a, b);
+  if (a.type === 'box' && b.type === 'sphere') {
+    const hit = sphereBox(b, a);
+    if (hit) hit.normal.negate();
+    return hit;
+  }
+  return boxBox(a, b);
+};
+
+// How far below its center a shape reaches along -y (what touches the ground first)
+export const lowestPointDepth = (shape) => {
+  if (shape.type === 'sphere') return shape.radius;
+  const axes = boxAxes(shape, _axes);
+  return shape.halfExtents.x * Math.abs(axes[0].y) + shape.halfExtents.y * Math.abs(axes[1].y) + shape.halfExtents.z * Math.abs(axes[2].y);
+};
@@ -0,0 +1,24 @@
+// === FIXED TIMESTEP ===
+// Runs the simulation in constant steps no matter the display refresh rate, and returns
+// how far the leftover time is into the next step so rendering can interpolate.
+
+export const PHYSICS_STEP = 1 / 60;
+const MAX_STEPS_PER_FRAME = 5; // After a long stall, drop time instead of spiraling
+
+export const createFixedStepper = ({ step = PHYSICS_STEP, maxSteps = MAX_STEPS_PER_FRAME } = {}) => {
+  let accumulator = 0;
+
+  // Calls stepFn(step) zero or more times; returns the interpolation factor in [0, 1)
+  const advance = (frameDelta, stepFn) => {
+    accumulator += Math.min(frameDelta, step * maxSteps);
+    while (accumulator >= step) {
+      stepFn(step);
+      accumulator -= step;
+    }
+    return accumulator / step;
+  };
+
+  const reset = () => { accumulator = 0; };
+
+  return { step, advance, reset };
+};
@@ -0,0 +1,208 @@
+import * as THREE from 'three';
+
+// === ROVER VEHICLE MODEL ===
+// Plain-JS vehicle: throttle and brakes change a forward speed with momentum, four wheel
+// contact points sample the terrain, and a spring-damper per wheel drives the chassis
+// height, pitch and roll. Steep crater walls cut traction so the rover slips back down.
+//
+// Local frame: +z forward and +x to the rover's left (yaw grows when turning left).
+// Positive pitch lifts the nose, positive roll lifts the +x side. Rates are per second.
+
+const GRAVITY = 20;
+const RIDE_HEIGHT = 1.5; // Chassis origin above the ground at rest, matching the old fixed offset
+const WHEEL_OFFSETS = [
+  { x: -0.8, z: 1.1 }, { x: 0.8, z: 1.1 }, // Front right, front left
+  { x: -0.8, z: -1.1 }, { x: 0.8, z: -1.1 }, // Rear right, rear left
+];
+const SPRING_STIFFNESS = 100; // Per wheel, for a chassis of mass 1
+const SPRING_DAMPING = 8;
+const MAX_COMPRESSION = 0.6; // Bump stop: the chassis is never pushed further into a wheel
+const PITCH_INERTIA = 1.2;
+const ROLL_INERTIA = 0.7;
+
+const ENGINE_ACCELERATION = 14;
+const BRAKE_DECELERATION = 24;
+const ROLLING_RESISTANCE = 5; // Also holds the rover on gentle slopes when coasting
+export const MAX_FORWARD_SPEED = 12;
+const MAX_REVERSE_SPEED = 5;
+const TURN_RATE = 1.8; // Radians per second at full steer
+const TURN_IN_PLACE = 0.4; // Share of the turn rate available when standing still
+const FULL_TURN_SPEED = 6;
+
+// Traction falls off between these slope angles; past the upper one the rover mostly slides
+const GRIP_SLOPE = THREE.MathUtils.degToRad(20);
+const NO_GRIP_SLOPE = THREE.MathUtils.degToRad(40);
+const MIN_TRACTION = 0.15;
+const SLIDE_GRIP = 4; // How quickly sideways sliding is caught again when traction returns
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+/**
+ * @param heightAt (x, z) => terrain height
+ * @param normalAt (x, z, target) => terrain normal
+ * @param bounds   half size of the square the rover is kept inside
+ */
+export const createRoverVehicle = ({ heightAt, normalAt, bounds = Infinity }) => {
+  const vehicle = {
+    position: new THREE.Vector3(),
+    quaternion: new THREE.Quaternion(),
+    previousPosition: new THREE.Vector3(),
+    previousQuaternion: new THREE.Quaternion(),
+    velocity: new THREE.Vector3(), // World-space, for pushing bodies around
+    yaw: 0,
+    speed: 0, // Along the heading; negative when reversing
+    traction: 1,
+    grounded: true,
+    wheels: WHEEL_OFFSETS.map(offset => ({ offset, compression: 0, grounded: true })),
+  };
+
+  let verticalSpeed = 0;
+  let pitch = 0;
+  let pitchRate = 0;
+  let roll = 0;
+  let rollRate = 0;
+  const slide = new THREE.Vector3();
+  const forward = new THREE.Vector3();
+  const left = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  const yawQuaternion = new THREE.Quaternion();
+  const pitchQuaternion = new THREE.Quaternion();
+  const rollQuaternion = new THREE.Quaternion();
+
+  const updateQuaternion = () => {
+    yawQuaternion.setFromAxisAngle(Y_AXIS, vehicle.yaw);
+    pitchQuaternion.setFromAxisAngle(X_AXIS, -pitch);
+    rollQuaternion.setFromAxisAngle(Z_AXIS, roll);
+    vehicle.quaternion.copy(yawQuaternion).multiply(pitchQuaternion).multiply(rollQuaternion);
+  };
+
+  const wheelGround = (wheel) => {
+    const x = vehicle.position.x + left.x * wheel.offset.x + forward.x * wheel.offset.z;
+    const z = vehicle.position.z + left.z * wheel.offset.x + forward.z * wheel.offset.z;
+    return heightAt(x, z);
+  };
+
+  // Puts the rover at rest on the ground (spawn, teleports, resets)
+  const place = (x, z, yaw = vehicle.yaw) => {
+    vehicle.yaw = yaw;
+    vehicle.speed = 0;
+    verticalSpeed = pitchRate = rollRate = 0;
+    slide.set(0, 0, 0);
+    vehicle.velocity.set(0, 0, 0);
+    vehicle.position.set(x, 0, z);
+    forward.set(Math.sin(yaw), 0, Math.cos(yaw));
+    left.set(forward.z, 0, -forward.x);
+
+    // Start level with the ground under the wheels so the springs don't kick on spawn
+    const [frontRight, frontLeft, rearRight, rearLeft] = vehicle.wheels.map(wheelGround);
+    const { x: track, z: wheelbase } = WHEEL_OFFSETS[1];
+    pitch = Math.atan2(frontLeft + frontRight - rearLeft - rearRight, 4 * wheelbase);
+    roll = Math.atan2(frontLeft + rearLeft - frontRight - rearRight, 4 * track);
+    vehicle.position.y = (frontLeft + frontRight + rearLeft + rearRight) / 4 + RIDE_HEIGHT;
+    vehicle.wheels.forEach(wheel => { wheel.compression = 0; wheel.grounded = true; });
+    updateQuaternion();
+    vehicle.previousPosition.copy(vehicle.position);
+    vehicle.previousQuaternion.copy(vehicle.quaternion);
+  };
+
+  const stepSuspension = (dt) => {
+    let heave = 0;
+    let pitchTorque = 0;
+    let rollTorque = 0;
+    let groundedWheels = 0;
+
+    vehicle.wheels.forEach(wheel => {
+      const { x: ox, z: oz } = wheel.offset;
+      const chassisHeight = vehicle.position.y + oz * Math.sin(pitch) + ox * Math.sin(roll);
+      const compression = wheelGround(wheel) + RIDE_HEIGHT - chassisHeight;
+      const compressionRate = (compression - wheel.compression) / dt;
+      wheel.compression = compression;
+      wheel.grounded = compression > 0;
+      if (!wheel.grounded) return;
+
+      groundedWheels++;
+      const force = Math.max(0, SPRING_STIFFNESS * compression + SPRING_DAMPING * compressionRate);
+      heave += force;
+      pitchTorque += force * oz;
+      rollTorque += force * ox;
+    });
+
+    verticalSpeed += (heave - GRAVITY) * dt;
+    pitchRate += (pitchTorque / PITCH_INERTIA) * dt;
+    rollRate += (rollTorque / ROLL_INERTIA) * dt;
+    vehicle.position.y += verticalSpeed * dt;
+    pitch += pitchRate * dt;
+    roll += rollRate * dt;
+
+    // Bump stops: never sink further than the springs allow
+    const lowest = Math.max(...vehicle.wheels.map(wheel => wheelGround(wheel))) + RIDE_HEIGHT - MAX_COMPRESSION;
+    if (vehicle.position.y < lowest) {
+      vehicle.position.y = lowest;
+      verticalSpeed = Math.max(0, verticalSpeed);
+    }
+    pitch = THREE.MathUtils.clamp(pitch, -0.8, 0.8);
+    roll = THREE.MathUtils.clamp(roll, -0.8, 0.8);
+    vehicle.grounded = groundedWheels > 0;
+  };
+
+  /**
+   * Advances the rover by `dt`. `throttle` and `steer` are in [-1, 1] (positive = forward,
+   * left); pushing against the current direction of travel brakes, as does `brake`.
+   */
+  const step = (dt, { throttle = 0, steer = 0, brake = false } = {}) => {
+    vehicle.previousPosition.copy(vehicle.position);
+    vehicle.previousQuaternion.copy(vehicle.quaternion);
+
+    forward.set(Math.sin(vehicle.yaw), 0, Math.cos(vehicle.yaw));
+    left.set(forward.z, 0, -forward.x);
+
+    // Traction from the ground slope under the rover
+    normalAt(vehicle.position.x, vehicle.position.z, normal);
+    const slope = Math.acos(THREE.MathUtils.clamp(normal.y, -1, 1));
+    const grip = 1 - THREE.MathUtils.clamp((slope - GRIP_SLOPE) / (NO_GRIP_SLOPE - GRIP_SLOPE), 0, 1);
+    vehicle.traction = vehicle.grounded ? MIN_TRACTION + (1 - MIN_TRACTION) * grip : 0;
+
+    // Longitudinal: engine and the slope pulling downhill, then brakes or rolling resistance,
+    // which only ever bring the speed towards zero
+    const braking = brake || (throttle !== 0 && vehicle.speed !== 0 && Math.sign(throttle) !== Math.sign(vehicle.speed));
+    let acceleration = braking ? 0 : throttle * ENGINE_ACCELERATION * vehicle.traction;
+    if (vehicle.grounded) acceleration -= GRAVITY * Math.sin(pitch);
+    vehicle.speed += acceleration * dt;
+
+    const resistance = braking ? BRAKE_DECELERATION * vehicle.traction : (throttle === 0 && vehicle.grounded ? ROLLING_RESISTANCE : 0);
+    vehicle.speed = Math.abs(vehicle.speed) <= resistance * dt ? 0 : vehicle.speed - Math.sign(vehicle.speed) * resistance * dt;
+    vehicle.speed = THREE.MathUtils.clamp(vehicle.speed, -MAX_REVERSE_SPEED, MAX_FORWARD_SPEED);
+
+    // Steering needs grip; some turning is possible on the spot
+    const turnShare = TURN_IN_PLACE + (1 - TURN_IN_PLACE) * Math.min(1, Math.abs(vehicle.speed) / FULL_TURN_SPEED);
+    vehicle.yaw += steer * TURN_RATE * turnShare * vehicle.traction * dt;
+
+    // Sideways sliding on steep walls: gravity across the heading, caught again by grip
+    if (vehicle.grounded) {
+      slide.x += normal.x * GRAVITY * (1 - vehicle.traction) * dt;
+      slide.z += normal.z * GRAVITY * (1 - vehicle.traction) * dt;
+    }
+    slide.addScaledVector(forward, -slide.dot(forward));
+    slide.multiplyScalar(Math.exp(-SLIDE_GRIP * vehicle.traction * dt));
+
+    vehicle.velocity.copy(forward).multiplyScalar(vehicle.speed).add(slide);
+    vehicle.position.x += vehicle.velocity.x * dt;
+    vehicle.position.z += vehicle.velocity.z * dt;
+    if (Number.isFinite(bounds)) {
+      vehicle.position.x = THREE.MathUtils.clamp(vehicle.position.x, -bounds, bounds);
+      vehicle.position.z = THREE.MathUtils.clamp(vehicle.position.z, -bounds, bounds);
+    }
+
+    forward.set(Math.sin(vehicle.yaw), 0, Math.cos(vehicle.yaw));
+    left.set(forward.z, 0, -forward.x);
+    const heightBefore = vehicle.position.y;
+    stepSuspension(dt);
+    vehicle.velocity.y = (vehicle.position.y - heightBefore) / dt;
+    updateQuaternion();
+  };
+
+  updateQuaternion();
+  return Object.assign(vehicle, { step, place });
+};
@@ -0,0 +1,321 @@
+import * as THREE from 'three';
+import { collideShapes, lowestPointDepth } from './collisions';
+
+// === PHYSICS WORLD ===
+// Rigid bodies (rocks as spheres, letters as boxes) stepped at a fixed rate against the
+// terrain, each other and kinematic pushers such as the rover. Bodies keep their own
+// position/quaternion; the scene objects only receive interpolated copies in interpolate().
+//
+// All rates are per second. The constants were tuned at 60 steps per second to match
+// the original per-frame feel (0.01 gravity, 0.95 damping per frame).
+
+const GRAVITY = 36;
+const LINEAR_DAMPING = 0.95; // Velocity kept per 1/60 s
+const ANGULAR_DAMPING = 0.95;
+const GROUNDED_ANGULAR_DAMPING = 0.85;
+const RESTITUTION = 0.3; // Body vs body
+const GROUND_RESTITUTION = 0.2;
+const BOUNCE_SPEED = 2; // Slower landings don't bounce, so resting bodies stay put
+const FRICTION = 0.6; // Static friction coefficient: slopes steeper than atan(0.6) ≈ 31° always slide
+const STATIC_SPEED = 0.6; // Below this tangential speed a body on a gentle slope sticks
+const SETTLE_RATE = 0.1; // How fast a resting box rolls onto its nearest face
+const PENETRATION_CORRECTION = 0.8;
+const PUSHER_LIFT = 0.5; // Rover hits also kick bodies up a little
+const PUSHER_IMPULSE = 12; // Minimum speed a rover hit gives a body of mass 1
+const SPIN_FROM_IMPACT = 0.3;
+const SLEEP_SPEED = 0.05;
+const SLEEP_STEPS = 30;
+const GRID_CELL = 4; // Broadphase cell size in world units, a bit over the largest rock
+
+const damp = (factor, dt) => Math.pow(factor, dt * 60);
+
+const _center = new THREE.Vector3();
+const _otherCenter = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _tangent = new THREE.Vector3();
+const _relative = new THREE.Vector3();
+const _spin = new THREE.Quaternion();
+const _up = new THREE.Vector3();
+const _settle = new THREE.Quaternion();
+const _identity = new THREE.Quaternion();
+
+/**
+ * @param heightAt  (x, z) => terrain height
+ * @param normalAt  (x, z, target) => terrain normal
+ * @param bounds    half size of the square bodies are kept inside
+ * @param onCollision ({ body, other, speed }) called once per impact; `other` is a body,
+ *                    a pusher or 'terrain'
+ */
+export const createPhysicsWorld = ({ heightAt, normalAt, bounds = Infinity, onCollision = () => {} }) => {
+  const bodies = [];
+  const cells = new Map(); // Broadphase grid: cell key -> bodies whose reach overlaps it, refilled every step
+
+  /**
+   * Registers a scene object. `shape` is { type: 'sphere', radius } or
+   * { type: 'box', halfExtents }; `centerOffset` is the shape center in the object's local
+   * frame; `sink` lets the shape settle partly into the ground (rocks look half buried).
+   */
+  const addBody = (object, { shape, mass = 1, centerOffset = new THREE.Vector3(), sink = 0 }) => {
+    const body = {
+      object,
+      shape,
+      mass,
+      inverseMass: 1 / mass,
+      centerOffset,
+      sink,
+      boundingRadius: shape.type === 'sphere' ? shape.radius : shape.halfExtents.length(),
+      reach: 0, // Around `position` rather than the shape center; set below
+      position: object.position.clone(),
+      quaternion: object.quaternion.clone(),
+      previousPosition: object.position.clone(),
+      previousQuaternion: object.quaternion.clone(),
+      velocity: new THREE.Vector3(),
+      angularVelocity: new THREE.Vector3(),
+      grounded: false,
+      sleeping: false,
+      stillSteps: 0,
+      lastImpactTime: -Infinity,
+      index: bodies.length,
+      pairCheck: 0, // Broadphase bookkeeping
+    };
+    body.reach = body.boundingRadius + centerOffset.length();
+    bodies.push(body);
+    return body;
+  };
+
+  const wake = (body) => {
+    body.sleeping = false;
+    body.stillSteps = 0;
+  };
+
+  // Moves a body without simulating the path in between (resets, snapping, loading a scene)
+  const teleport = (body, position, quaternion = body.quaternion) => {
+    body.position.copy(position);
+    body.quaternion.copy(quaternion);
+    body.previousPosition.copy(position);
+    body.previousQuaternion.copy(quaternion);
+    body.velocity.set(0, 0, 0);
+    body.angularVelocity.set(0, 0, 0);
+    body.object.position.copy(position);
+    body.object.quaternion.copy(quaternion);
+    wake(body);
+  };
+
+  const shapeOf = (body, center) => ({
+    ...body.shape,
+    center: center.copy(body.centerOffset).applyQuaternion(body.quaternion).add(body.position),
+    quaternion: body.quaternion,
+  });
+
+  const reportImpact = (body, other, speed, time) => {
+    // One report per body per short window, so resting contacts don't fire every step
+    if (time - body.lastImpactTime < 0.15) return;
+    body.lastImpactTime = time;
+    onCollision({ body, other, speed });
+  };
+
+  const integrate = (body, dt) => {
+    body.velocity.y -= GRAVITY * dt;
+    body.velocity.multiplyScalar(damp(LINEAR_DAMPING, dt));
+    body.angularVelocity.multiplyScalar(damp(body.grounded ? GROUNDED_ANGULAR_DAMPING : ANGULAR_DAMPING, dt));
+    body.position.addScaledVector(body.velocity, dt);
+
+    const spinSpeed = body.angularVelocity.length();
+    if (spinSpeed > 1e-6) {
+      _spin.setFromAxisAngle(_tangent.copy(body.angularVelocity).divideScalar(spinSpeed), spinSpeed * dt);
+      body.quaternion.premultiply(_spin).normalize();
+    }
+
+    if (Number.isFinite(bounds)) {
+      const limit = bounds - body.boundingRadius;
+      body.position.x = THREE.MathUtils.clamp(body.position.x, -limit, limit);
+      body.position.z = THREE.MathUtils.clamp(body.position.z, -limit, limit);
+    }
+  };
+
+  const collideWithTerrain = (body, dt, time) => {
+    const shape = shapeOf(body, _center);
+    const ground = heightAt(shape.center.x, shape.center.z);
+    const penetration = ground - (shape.center.y - (lowestPointDepth(shape) - body.sink));
+    body.grounded = penetration > -0.01;
+    if (penetration <= 0) return;
+
+    body.position.y += penetration;
+    normalAt(shape.center.x, shape.center.z, _normal);
+
+    // Bounce off the slope, not off a flat floor
+    const intoGround = body.velocity.dot(_normal);
+    if (intoGround < 0) {
+      if (-intoGround > 3) reportImpact(body, 'terrain', -intoGround, time);
+      const restitution = -intoGround > BOUNCE_SPEED ? GROUND_RESTITUTION : 0;
+      body.velocity.addScaledVector(_normal, -intoGround * (1 + restitution));
+    }
+
+    // Friction along the slope: stick on gentle slopes, slow down on steep ones
+    _tangent.copy(body.velocity).addScaledVector(_normal, -body.velocity.dot(_normal));
+    const tangentSpeed = _tangent.length();
+    const slope = Math.sqrt(Math.max(0, 1 - _normal.y * _normal.y)) / _normal.y;
+    if (slope < FRICTION && tangentSpeed < STATIC_SPEED) {
+      body.velocity.sub(_tangent);
+    } else if (tangentSpeed > 1e-6) {
+      const slowdown = Math.min(tangentSpeed, FRICTION * GRAVITY * _normal.y * dt);
+      body.velocity.addScaledVector(_tangent, -slowdown / tangentSpeed);
+    }
+
+    // Boxes roll onto whichever face is closest to lying flat on the slope
+    if (body.shape.type === 'box' && body.velocity.lengthSq() < STATIC_SPEED * STATIC_SPEED) {
+      let bestAxis = null;
+      let bestDot = 0;
+      [[1, 0, 0], [0, 1, 0], [0, 0, 1]].forEach(axis => {
+        _up.fromArray(axis).applyQuaternion(body.quaternion);
+        const dot = _up.dot(_normal);
+        if (Math.abs(dot) > Math.abs(bestDot)) {
+          bestDot = dot;
+          bestAxis = _up.clone().multiplyScalar(Math.sign(dot));
+        }
+      });
+      _settle.setFromUnitVectors(bestAxis, _normal);
+      body.quaternion.premultiply(_settle.slerp(_identity, 1 - SETTLE_RATE)).normalize();
+    }
+  };
+
+  const resolveContact = (a, b, hit, time) => {
+    const totalInverse = a.inverseMass + b.inverseMass;
+    const correction = (hit.depth * PENETRATION_CORRECTION) / totalInverse;
+    a.position.addScaledVector(hit.normal, -correction * a.inverseMass);
+    b.position.addScaledVector(hit.normal, correction * b.inverseMass);
+
+    _relative.subVectors(b.velocity, a.velocity);
+    const closing = _relative.dot(hit.normal);
+    if (closing >= 0) return;
+
+    const impulse = (-(1 + RESTITUTION) * closing) / totalInverse;
+    a.velocity.addScaledVector(hit.normal, -impulse * a.inverseMass);
+    b.velocity.addScaledVector(hit.normal, impulse * b.inverseMass);
+
+    // Glancing hits set bodies spinning
+    _tangent.copy(_relative).addScaledVector(hit.normal, -closing);
+    _normal.crossVectors(hit.normal, _tangent);
+    a.angularVelocity.addScaledVector(_normal, -SPIN_FROM_IMPACT / a.boundingRadius);
+    b.angularVelocity.addScaledVector(_normal, SPIN_FROM_IMPACT / b.boundingRadius);
+
+    wake(a);
+    wake(b);
+    if (-closing > 1) {
+      reportImpact(a, b, -closing, time);
+      reportImpact(b, a, -closing, time);
+    }
+  };
+
+  // Kinematic pushers (the rover) shove bodies out of the way but are never pushed back
+  const pushBody = (body, pusher, time) => {
+    const reach = pusher.radius + body.reach;
+    if (body.position.distanceToSquared(pusher.position) > reach * reach) return;
+    const shape = shapeOf(body, _center);
+    const hit = collideShapes({ type: 'sphere', center: pusher.position, radius: pusher.radius }, shape);
+    if (!hit) return;
+
+    body.position.addScaledVector(hit.normal, hit.depth);
+    _normal.set(hit.normal.x, 0, hit.normal.z).normalize();
+    _normal.y = PUSHER_LIFT;
+    _normal.normalize();
+
+    const pusherSpeed = Math.max(0, pusher.velocity.dot(_normal));
+    const targetSpeed = Math.max(pusherSpeed * (1 + RESTITUTION), PUSHER_IMPULSE * body.inverseMass);
+    const currentSpeed = body.velocity.dot(_normal);
+    if (currentSpeed < targetSpeed) {
+      body.velocity.addScaledVector(_normal, targetSpeed - currentSpeed);
+      _tangent.crossVectors(_up.set(0, 1, 0), _normal);
+      body.angularVelocity.addScaledVector(_tangent, (targetSpeed - currentSpeed) * SPIN_FROM_IMPACT);
+      reportImpact(body, pusher, targetSpeed - currentSpeed, time);
+    }
+    wake(body);
+  };
+
+  const updateSleep = (body) => {
+    const still = body.grounded && body.velocity.length() < SLEEP_SPEED && body.angularVelocity.length() < SLEEP_SPEED;
+    body.stillSteps = still ? body.stillSteps + 1 : 0;
+    if (body.stillSteps > SLEEP_STEPS) {
+      body.sleeping = true;
+      body.velocity.set(0, 0, 0);
+      body.angularVelocity.set(0, 0, 0);
+    }
+  };
+
+  // Cells are keyed by packing both grid coordinates into one number
+  const forEachCell = (body, callback) => {
+    const minX = Math.floor((body.position.x - body.reach) / GRID_CELL);
+    const maxX = Math.floor((body.position.x + body.reach) / GRID_CELL);
+    const minZ = Math.floor((body.position.z - body.reach) / GRID_CELL);
+    const maxZ = Math.floor((body.position.z + body.reach) / GRID_CELL);
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) callback((cx + 32768) * 65536 + cz + 32768);
+    }
+  };
+
+  const fillGrid = () => {
+    cells.forEach(cell => { cell.length = 0; });
+    bodies.forEach(body => forEachCell(body, key => {
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(body);
+    }));
+  };
+
+  // Body vs body. Only awake bodies look for partners, through the grid cells they touch;
+  // two awake bodies are paired from the lower index, and `pairCheck` skips a partner
+  // already seen in another cell. A bounding-sphere check runs before the exact test.
+  let pairStamp = 0;
+  const collideBodies = (time) => {
+    if (bodies.every(body => body.sleeping)) return;
+    fillGrid();
+    bodies.forEach(a => {
+      if (a.sleeping) return;
+      pairStamp++;
+      // `a` may have been pushed into a cell nobody was in when the grid was filled
+      forEachCell(a, key => (cells.get(key) || []).forEach(b => {
+        if (b === a || b.pairCheck === pairStamp || (!b.sleeping && b.index < a.index)) return;
+        b.pairCheck = pairStamp;
+        const reach = a.boundingRadius + b.boundingRadius;
+        const shapeA = shapeOf(a, _center);
+        const shapeB = shapeOf(b, _otherCenter);
+        if (shapeA.center.distanceToSquared(shapeB.center) > reach * reach) return;
+        const hit = collideShapes(shapeA, shapeB);
+        if (hit) resolveContact(a, b, hit, time);
+      }));
+    });
+  };
+
+  let elapsed = 0;
+
+  /** Advances every body by `dt`. `pushers`: [{ position, velocity, radius }]. */
+  const step = (dt, pushers = []) => {
+    elapsed += dt;
+    bodies.forEach(body => {
+      body.previousPosition.copy(body.position);
+      body.previousQuaternion.copy(body.quaternion);
+    });
+
+    bodies.forEach(body => {
+      pushers.forEach(pusher => pushBody(body, pusher, elapsed));
+      if (!body.sleeping) integrate(body, dt);
+    });
+
+    collideBodies(elapsed);
+
+    bodies.forEach(body => {
+      if (body.sleeping) return;
+      collideWithTerrain(body, dt, elapsed);
+      updateSleep(body);
+    });
+  };
+
+  // Writes the state `alpha` of the way from the previous step to the current one into the scene
+  const interpolate = (alpha) => {
+    bodies.forEach(body => {
+      body.object.position.lerpVectors(body.previousPosition, body.position, alpha);
+      body.object.quaternion.slerpQuaternions(body.previousQuaternion, body.quaternion, alpha);
+    });
+  };
+
+  return { bodies, addBody, teleport, wake, step, interpolate };
+};
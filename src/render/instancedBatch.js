@@ -0,0 +1,61 @@
+import * as THREE from 'three';
+
+// === INSTANCED BATCH ===
+// Draws many copies of one geometry in a single call. Each added object (anything with a
+// `position` and `quaternion`, e.g. a physics body's proxy) owns one instance per "part";
+// parts are local matrices, so a letter made of blocks is one object with a part per block.
+//
+// Objects are moved the usual way (physics interpolation, teleports, terrain snapping);
+// `sync()` copies whatever changed since the last call into the instance matrices.
+
+const _objectMatrix = new THREE.Matrix4();
+const _instanceMatrix = new THREE.Matrix4();
+const _unitScale = new THREE.Vector3(1, 1, 1);
+const IDENTITY_PARTS = [new THREE.Matrix4()];
+
+export const createInstancedBatch = ({ geometry, material, capacity, castShadow = true, receiveShadow = true }) => {
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.count = 0;
+  mesh.castShadow = castShadow;
+  mesh.receiveShadow = receiveShadow;
+  const entries = [];
+  let size = 0; // Instances in use; `mesh.count` may draw fewer (see setDrawFraction)
+  let drawFraction = 1;
+
+  const updateCount = () => { mesh.count = Math.round(size * drawFraction); };
+
+  const add = (object, parts = IDENTITY_PARTS) => {
+    if (size + parts.length > capacity) throw new Error(`Instanced batch is full (${capacity} instances)`);
+    entries.push({ object, parts, start: size, position: new THREE.Vector3(NaN, 0, 0), quaternion: new THREE.Quaternion() });
+    size += parts.length;
+    updateCount();
+  };
+
+  const sync = () => {
+    let changed = false;
+    entries.forEach(entry => {
+      const { object } = entry;
+      if (entry.position.equals(object.position) && entry.quaternion.equals(object.quaternion)) return;
+      entry.position.copy(object.position);
+      entry.quaternion.copy(object.quaternion);
+      _objectMatrix.compose(object.position, object.quaternion, _unitScale);
+      entry.parts.forEach((part, i) => {
+        mesh.setMatrixAt(entry.start + i, _instanceMatrix.multiplyMatrices(_objectMatrix, part));
+      });
+      changed = true;
+    });
+    if (changed) {
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.boundingSphere = null; // Recomputed from the instances before the next culling test
+    }
+  };
+
+  // Draws only the first `fraction` of the instances, now and as more are added; objects
+  // should be added in random order
+  const setDrawFraction = (fraction) => {
+    drawFraction = THREE.MathUtils.clamp(fraction, 0, 1);
+    updateCount();
+  };
+
+  return { mesh, add, sync, setDrawFraction, get size() { return size; } };
+};
@@ -0,0 +1,128 @@
+import { readStored, writeStored } from '../storage/localStore';
+
+// === GRAPHICS QUALITY ===
+// Presets trade looks for frame rate. "auto" starts at medium and lets the governor below
+// step between presets based on measured frame times. The choice is kept in localStorage.
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high'];
+export const QUALITY_SETTINGS = ['auto', ...QUALITY_LEVELS];
+export const QUALITY_LABELS = { auto: 'AUTO', low: 'LOW', medium: 'MEDIUM', high: 'HIGH' };
+
+export const QUALITY_PRESETS = {
+  low: {
+    maxPixelRatio: 1,
+    shadowMapSize: 0, // No sun shadows at all
+    shadowExtent: 0,
+    rockShadows: false,
+    terrainShadows: false, // Crater walls shading the ground
+    pebbleDensity: 0.25, // Share of the scattered pebbles drawn
+    starCount: 1500,
+    fogNear: 30,
+    fogFar: 150,
+    terrainLodBias: 2, // Chunks use the detail of rings this much farther out
+    trackMarks: 500, // Wheel-track marks kept before the oldest fade out
+    dustParticles: 0, // Regolith dust off the wheels and impacts
+  },
+  medium: {
+    maxPixelRatio: 1.5,
+    shadowMapSize: 1024,
+    shadowExtent: 60, // Half-size of the shadowed square, which follows the rover
+    rockShadows: false,
+    terrainShadows: true,
+    pebbleDensity: 0.6,
+    starCount: 3000,
+    fogNear: 40,
+    fogFar: 200,
+    terrainLodBias: 1,
+    trackMarks: 2000,
+    dustParticles: 600,
+  },
+  high: {
+    maxPixelRatio: 2,
+    shadowMapSize: 2048,
+    shadowExtent: 120,
+    rockShadows: true,
+    terrainShadows: true,
+    pebbleDensity: 1,
+    starCount: 5000,
+    fogNear: 40,
+    fogFar: 250,
+    terrainLodBias: 0,
+    trackMarks: 5000,
+    dustParticles: 1500,
+  },
+};
+
+const STORAGE_KEY = 'moonRover.quality';
+
+export const loadQualitySetting = () => {
+  const stored = readStored(STORAGE_KEY);
+  return QUALITY_SETTINGS.includes(stored) ? stored : 'auto';
+};
+
+export const saveQualitySetting = (setting) => writeStored(STORAGE_KEY, setting);
+
+// Frame pacing is capped by the display, so stepping up looks at the time spent on each
+// frame's own work instead: lots of spare time means the next preset should fit.
+const SAMPLE_SECONDS = 2;
+const SLOW_FRAME = 1 / 45; // Average frame interval that counts as stuttering
+const LIGHT_WORK = 0.006; // Average work per frame that leaves room for more detail
+const UPGRADE_SAMPLES = 3; // Consecutive light samples before stepping up
+const COOLDOWN_SECONDS = 4; // Let a change settle (shader compiles, shadow maps) before judging again
+
+/**
+ * Call `sample(frameDelta, workSeconds)` every frame; `onChange(level)` fires when the
+ * level should move. Only used in "auto".
+ */
+export const createQualityGovernor = ({ level: initialLevel = 'medium', onChange }) => {
+  let level = initialLevel;
+  let elapsed = 0;
+  let frames = 0;
+  let frameTime = 0;
+  let workTime = 0;
+  let lightSamples = 0;
+  let cooldown = COOLDOWN_SECONDS;
+
+  const move = (step) => {
+    const next = QUALITY_LEVELS[QUALITY_LEVELS.indexOf(level) + step];
+    if (!next) return;
+    level = next;
+    cooldown = COOLDOWN_SECONDS;
+    lightSamples = 0;
+    onChange(level);
+  };
+
+  const sample = (frameDelta, workSeconds) => {
+    if (cooldown > 0) {
+      cooldown -= frameDelta;
+      return;
+    }
+    elapsed += frameDelta;
+    frames++;
+    frameTime += frameDelta;
+    workTime += workSeconds;
+    if (elapsed < SAMPLE_SECONDS) return;
+
+    const averageFrame = frameTime / frames;
+    const averageWork = workTime / frames;
+    elapsed = frames = frameTime = workTime = 0;
+
+    if (averageFrame > SLOW_FRAME) {
+      move(-1);
+    } else if (averageWork < LIGHT_WORK) {
+      lightSamples++;
+      if (lightSamples >= UPGRADE_SAMPLES) move(1);
+    } else {
+      lightSamples = 0;
+    }
+  };
+
+  // Starting over from a given level, e.g. when the visitor switches back to auto
+  const reset = (next) => {
+    level = next;
+    elapsed = frames = frameTime = workTime = lightSamples = 0;
+    cooldown = COOLDOWN_SECONDS;
+  };
+
+  return { sample, reset, get level() { return level; } };
+};
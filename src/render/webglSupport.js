@@ -0,0 +1,16 @@
+// === WEBGL SUPPORT ===
+// Checked once before the 3D scene is built; without it the static portfolio is shown.
+
+export const detectWebGL = () => {
+  try {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('webgl2') || canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+    if (!context) return false;
+    // Hand the context back right away; browsers only allow a few at once
+    const loseContext = context.getExtension('WEBGL_lose_context');
+    if (loseContext) loseContext.loseContext();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
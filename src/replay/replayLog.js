@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+import { decodeSession } from '../world/sessionState';
+
+// === REPLAY LOG ===
+// A recorded drive, as plain JSON so it can be saved to a file and loaded back:
+//
+//   {
+//     format: 'moon-rover-replay', version: 1, recordedAt, world, stepRate, steps,
+//     start:   session text (world/sessionState.js): the scene when recording began
+//     inputs:  [[stepCount, throttle, steer, brake]]  one run per unchanged input
+//     poses:   [[step, x, y, z, qx, qy, qz, qw]]      rover pose every POSE_STEPS steps
+//   }
+//
+// Inputs are logged for every physics step, so feeding them back to the same scene
+// reproduces the drive step for step, collisions included; poses are enough to draw a
+// ghost rover. A re-run only
+// matches while the same terrain detail is loaded, which streams in around the rover.
+
+export const REPLAY_FORMAT = 'moon-rover-replay';
+const VERSION = 1;
+const POSE_STEPS = 6; // 10 poses per second at 60 steps per second
+const INPUT_SCALE = 1000;
+const POSITION_SCALE = 100;
+const QUATERNION_SCALE = 10000;
+const REVOKE_DELAY_MS = 10 * 1000;
+
+const quantize = (value, scale) => Math.round(value * scale) / scale;
+
+// Last entry whose step is at or before `step` (entries sorted by their first number)
+const findEntry = (entries, step) => {
+  let low = 0;
+  let high = entries.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (entries[middle][0] <= step) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+};
+
+/**
+ * Collects one drive. Per physics step: recordInput() before the step (drive with what it
+ * returns, so the live run sees the same rounded input a replay will), endStep() after it.
+ * @param world  fingerprint of the world being recorded (seed and layout)
+ * @param start  session text the scene was reset to when recording began
+ */
+export const createReplayRecorder = ({ world, start, stepRate }) => {
+  const inputs = [];
+  const poses = [];
+  let step = 0;
+
+  const recordInput = ({ throttle = 0, steer = 0, brake = false }) => {
+    const entry = [1, quantize(throttle, INPUT_SCALE), quantize(steer, INPUT_SCALE), brake ? 1 : 0];
+    const last = inputs[inputs.length - 1];
+    if (last && last[1] === entry[1] && last[2] === entry[2] && last[3] === entry[3]) last[0]++;
+    else inputs.push(entry);
+    return { throttle: entry[1], steer: entry[2], brake: entry[3] === 1 };
+  };
+
+  const recordPose = (position, quaternion) => {
+    if (poses.length > 0 && poses[poses.length - 1][0] === step) return;
+    poses.push([
+      step,
+      ...position.toArray().map(value => quantize(value, POSITION_SCALE)),
+      ...quaternion.toArray().map(value => quantize(value, QUATERNION_SCALE)),
+    ]);
+  };
+
+  const endStep = (position, quaternion) => {
+    step++;
+    if (step % POSE_STEPS === 0) recordPose(position, quaternion);
+  };
+
+  // The finished log; `position`/`quaternion` close it with the final pose
+  const finish = (position, quaternion) => {
+    recordPose(position, quaternion);
+    return {
+      format: REPLAY_FORMAT,
+      version: VERSION,
+      recordedAt: new Date().toISOString(),
+      world, stepRate, steps: step, start,
+      inputs, poses,
+    };
+  };
+
+  return { recordInput, recordPose, endStep, finish, get steps() { return step; } };
+};
+
+const _from = new THREE.Quaternion();
+const _to = new THREE.Quaternion();
+
+export const createReplayPlayer = (log) => {
+  const inputStarts = [];
+  let total = 0;
+  log.inputs.forEach(([count]) => {
+    inputStarts.push([total]);
+    total += count;
+  });
+
+  // The input that drove step `step`
+  const inputAt = (step) => {
+    const [, throttle, steer, brake] = log.inputs[findEntry(inputStarts, step)];
+    return { throttle, steer, brake: brake === 1 };
+  };
+
+  // Rover pose at a (fractional) step, eased between the recorded poses
+  const poseAt = (step, position, quaternion) => {
+    const index = findEntry(log.poses, step);
+    const from = log.poses[index];
+    const to = log.poses[Math.min(index + 1, log.poses.length - 1)];
+    const t = to[0] > from[0] ? THREE.MathUtils.clamp((step - from[0]) / (to[0] - from[0]), 0, 1) : 0;
+    position.set(
+      THREE.MathUtils.lerp(from[1], to[1], t),
+      THREE.MathUtils.lerp(from[2], to[2], t),
+      THREE.MathUtils.lerp(from[3], to[3], t),
+    );
+    quaternion.slerpQuaternions(_from.fromArray(from, 4), _to.fromArray(to, 4), t);
+  };
+
+  // The pose logged exactly at `step`, or null; for checking a re-run against the recording
+  const recordedPoseAt = (step) => {
+    const pose = log.poses[findEntry(log.poses, step)];
+    return pose[0] === step ? pose : null;
+  };
+
+  return { inputAt, poseAt, recordedPoseAt, steps: log.steps, duration: log.steps / log.stepRate };
+};
+
+const isNumberArray = (entry, length) => Array.isArray(entry) && entry.length === length && entry.every(value => typeof value === 'number' && Number.isFinite(value));
+const isInput = (entry) => isNumberArray(entry, 4)
+  && Number.isInteger(entry[0]) && entry[0] > 0
+  && Math.abs(entry[1]) <= 1 && Math.abs(entry[2]) <= 1
+  && (entry[3] === 0 || entry[3] === 1);
+
+/** Reads a replay file's text; throws an Error saying what's wrong with it. */
+export const parseReplay = (text) => {
+  let log;
+  try {
+    log = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file isn't JSON");
+  }
+  if (!log || log.format !== REPLAY_FORMAT) throw new Error("The file isn't a Moon Rover replay");
+  if (log.version !== VERSION) throw new Error(`Replay version ${log.version} isn't supported (expected ${VERSION})`);
+  if (typeof log.stepRate !== 'number' || log.stepRate <= 0) throw new Error('stepRate must be a positive number');
+  if (!Number.isInteger(log.steps) || log.steps < 0) throw new Error('steps must be a whole number');
+  if (typeof log.world !== 'number') throw new Error('world must be a number');
+  if (typeof log.start !== 'string' || !decodeSession(log.start)) throw new Error('start is not a valid scene');
+  if (!Array.isArray(log.inputs) || !log.inputs.every(isInput)) throw new Error('inputs must be [count, throttle, steer, brake] entries, with a positive whole count, throttle and steer in -1..1 and brake 0 or 1');
+  if (log.inputs.reduce((sum, [count]) => sum + count, 0) !== log.steps) throw new Error("inputs don't cover every step");
+  if (!Array.isArray(log.poses) || log.poses.length === 0 || !log.poses.every(entry => isNumberArray(entry, 8))) throw new Error('poses must be [step, x, y, z, qx, qy, qz, qw] entries');
+  // Playback looks poses up by step, so they must be in order and inside the drive
+  if (!log.poses.every(([step], i) => Number.isInteger(step) && step >= 0 && step <= log.steps && (i === 0 || step > log.poses[i - 1][0]))) {
+    throw new Error('pose steps must be whole, increasing and within the drive');
+  }
+  return log;
+};
+
+export const downloadReplay = (log) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(log)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `moon-rover-replay-${log.recordedAt.replace(/[:.]/g, '-')}.json`;
+  // Firefox only follows links that are in the document
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right after click() can cancel the download before it starts
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
@@ -0,0 +1,58 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import * as THREE from 'three';
+import { encodeSession } from '../world/sessionState';
+import { createReplayRecorder, parseReplay } from './replayLog';
+
+// A short drive: a second of throttle, then braking
+const recordDrive = () => {
+  const start = encodeSession({ world: 7, cameraMode: 'chase', rover: { x: 1, z: 2, yaw: 0 }, letters: [], rocks: [] });
+  const recorder = createReplayRecorder({ world: 7, start, stepRate: 60 });
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  for (let i = 0; i < 90; i++) {
+    recorder.recordInput(i < 60 ? { throttle: 1, steer: 0.25 } : { brake: true });
+    position.z += 0.1;
+    recorder.endStep(position, quaternion);
+  }
+  return recorder.finish(position, quaternion);
+};
+
+// The recorded log with `change` applied, as file text
+const edited = (change) => {
+  const log = recordDrive();
+  change(log);
+  return JSON.stringify(log);
+};
+
+beforeEach(() => {
+  // Session text is base64url; Node has btoa/atob but no window
+  vi.stubGlobal('window', globalThis);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('parseReplay', () => {
+  it('reads back what the recorder wrote', () => {
+    const log = recordDrive();
+    expect(log.inputs).toEqual([[60, 1, 0.25, 0], [30, 0, 0, 1]]);
+    expect(parseReplay(JSON.stringify(log))).toEqual(log);
+  });
+
+  it('rejects input counts that are not positive whole numbers', () => {
+    expect(() => parseReplay(edited(log => { log.inputs = [[60, 1, 0.25, 0], [0, 0, 0, 0], [30, 0, 0, 1]]; }))).toThrow(/positive whole count/);
+    expect(() => parseReplay(edited(log => { log.inputs = [[59.5, 1, 0.25, 0], [30.5, 0, 0, 1]]; }))).toThrow(/positive whole count/);
+    expect(() => parseReplay(edited(log => { log.inputs = [[100, 1, 0.25, 0], [-10, 0, 0, 1]]; }))).toThrow(/positive whole count/);
+  });
+
+  it('rejects inputs outside what a driver can give', () => {
+    expect(() => parseReplay(edited(log => { log.inputs[0][1] = 2; }))).toThrow(/throttle and steer/);
+    expect(() => parseReplay(edited(log => { log.inputs[1][3] = 0.5; }))).toThrow(/brake 0 or 1/);
+  });
+
+  it('rejects poses out of order or past the end of the drive', () => {
+    expect(() => parseReplay(edited(log => { log.poses.reverse(); }))).toThrow(/increasing/);
+    expect(() => parseReplay(edited(log => { log.poses[log.poses.length - 1][0] = log.steps + 1; }))).toThrow(/within the drive/);
+  });
+});
@@ -0,0 +1,198 @@
+import * as THREE from 'three';
+import { GLYPH_ROWS, getGlyph, layoutText } from '../world/voxelFont';
+import { createRockRotation } from '../world/rocks';
+import { movedBodies } from '../world/sessionState';
+import { TERRAIN_HALF_SIZE } from '../terrain/heightfield';
+import { PHYSICS_STEP } from '../physics/fixedStep';
+import { createPhysicsWorld } from '../physics/world';
+import { createRoverVehicle } from '../physics/vehicle';
+
+// === MOON ROVER SIMULATION ===
+// The world without the pictures: rover, name letters, rocks and the terrain they stand
+// on, stepped at a fixed rate. Nothing here touches the DOM, WebGL or the clock, so the
+// same inputs on the same terrain give the same result, in the browser or headless under
+// Node (imports are resolved the Vite way, so run it through Vite or vitest, as the tests do):
+//
+//   const simulation = createMoonRoverSimulation({ name: 'Ada Lovelace' });
+//   simulation.setTerrain(createHeightfield(new Uint16Array(buffer), 257, 257));
+//   simulation.placeRover(0, 0, 0);
+//   for (let i = 0; i < 60; i++) simulation.step({ throttle: 1 });
+//
+// Letters and rocks are bare Object3Ds whose userData holds their physics body; the engine
+// draws them through instanced batches after interpolate() has moved them.
+
+export const SPAWN_POINT = { x: 0, z: 0, yaw: 0 };
+export const NAME_CELL_SIZE = 0.48;
+const NAME_ANCHOR = { x: 0, z: 15 }; // Center of the name text block
+const NAME_MAX_WIDTH = 100; // In font cells (~48 world units) before wrapping to a new line
+const NAME_LINE_DEPTH = 6; // World units between name lines
+const LETTER_MASS = 5;
+const LETTER_LIFT = 0.2; // Letters rest this far above the ground
+const ROVER_PUSH_RADIUS = 2; // Rover footprint when it shoves rocks and letters
+
+// Stands in until setTerrain() is called
+const FLAT_TERRAIN = {
+  heightAt: () => 0,
+  normalAt: (x, z, target = new THREE.Vector3()) => target.set(0, 1, 0),
+};
+
+/**
+ * @param name         text laid out as pushable letters in front of the spawn point
+ * @param terrain      anything with heightAt(x, z) and normalAt(x, z, target), such as a
+ *                     heightfield (terrain/heightfield.js) or the chunked terrain; flat
+ *                     ground until one is set
+ * @param bounds       half size of the square everything is kept inside
+ * @param onCollision  ({ body, other, speed }) per impact; `body` is a physics body,
+ *                     `other` a body, 'rover' or 'terrain'
+ */
+export const createMoonRoverSimulation = ({ name = '', terrain = FLAT_TERRAIN, bounds = TERRAIN_HALF_SIZE, onCollision = () => {} } = {}) => {
+  let ground = terrain;
+  const heightAt = (x, z) => ground.heightAt(x, z);
+  const normalAt = (x, z, target = new THREE.Vector3()) => ground.normalAt(x, z, target);
+
+  const rover = createRoverVehicle({ heightAt, normalAt, bounds });
+  const roverPusher = { position: rover.position, velocity: rover.velocity, radius: ROVER_PUSH_RADIUS };
+
+  const physics = createPhysicsWorld({
+    heightAt,
+    normalAt,
+    bounds,
+    onCollision: ({ body, other, speed }) => onCollision({ body, other: other === roverPusher ? 'rover' : other, speed }),
+  });
+
+  // --- Letters ---
+  const createLetter = (letter, x, z) => {
+    const glyph = getGlyph(letter);
+    const letterObject = new THREE.Object3D();
+    letterObject.position.set(x, heightAt(x, z) + LETTER_LIFT, z);
+
+    const halfHeight = (GLYPH_ROWS * NAME_CELL_SIZE) / 2;
+    const body = physics.addBody(letterObject, {
+      shape: { type: 'box', halfExtents: new THREE.Vector3((glyph.width * NAME_CELL_SIZE) / 2, halfHeight, 0.5) },
+      mass: LETTER_MASS,
+      centerOffset: new THREE.Vector3(0, halfHeight, 0),
+    });
+    letterObject.userData = {
+      type: 'nameLetter', letter, body,
+      velocity: body.velocity,
+      angularVelocity: body.angularVelocity,
+      mass: LETTER_MASS, radius: 2.5,
+      originalPosition: letterObject.position.clone(),
+      originalQuaternion: new THREE.Quaternion(),
+    };
+    return letterObject;
+  };
+
+  // Lines are laid out front to back on the ground, the first line farthest from the spawn camera
+  const nameLayout = layoutText(name, { maxWidth: NAME_MAX_WIDTH, letterSpacing: 3, spaceWidth: 5 });
+  const firstLineZ = NAME_ANCHOR.z - ((nameLayout.lineCount - 1) / 2) * NAME_LINE_DEPTH;
+  const letters = nameLayout.glyphs.map(({ char, glyph, x, line }) => (
+    createLetter(char, NAME_ANCHOR.x + (x + glyph.width / 2) * NAME_CELL_SIZE, firstLineZ + line * NAME_LINE_DEPTH)
+  ));
+
+  // --- Rocks ---
+  const rocks = [];
+
+  /** Adds pushable rocks, e.g. world/worldGenerator.js's layout.rocks; returns their objects. */
+  const addRocks = (placements) => placements.map(({ x, z, size, rotation = [0, 0, 0] }) => {
+    const rock = new THREE.Object3D();
+    rock.position.set(x, heightAt(x, z) + size / 2, z);
+    rock.quaternion.copy(createRockRotation(rotation));
+    const body = physics.addBody(rock, { shape: { type: 'sphere', radius: size }, mass: size * 2, sink: size / 2 });
+    rock.userData = {
+      type: 'rock', radius: size, body, velocity: body.velocity, angularVelocity: body.angularVelocity, mass: size * 2,
+      originalPosition: rock.position.clone(), originalQuaternion: rock.quaternion.clone(),
+    };
+    rocks.push(rock);
+    return rock;
+  });
+
+  // --- Terrain ---
+  // New ground under everything: letters move their rest pose onto it
+  const setTerrain = (next) => {
+    ground = next;
+    letters.forEach(letter => {
+      const { originalPosition } = letter.userData;
+      originalPosition.y = heightAt(originalPosition.x, originalPosition.z) + LETTER_LIFT;
+      letter.position.y = originalPosition.y;
+      physics.teleport(letter.userData.body, letter.position);
+    });
+  };
+
+  // The ground changed inside a square (finer terrain detail): let resting bodies settle onto it
+  const wakeArea = (minX, minZ, size) => {
+    physics.bodies.forEach(body => {
+      const { x, z } = body.position;
+      if (x >= minX && x <= minX + size && z >= minZ && z <= minZ + size) physics.wake(body);
+    });
+  };
+
+  // --- Resets ---
+  // Puts bodies back where they were first placed
+  const resetBodies = (objects) => {
+    objects.forEach(object => {
+      const { body, originalPosition, originalQuaternion } = object.userData;
+      physics.teleport(body, originalPosition, originalQuaternion);
+    });
+  };
+  const resetLetters = () => resetBodies(letters);
+  const resetRocks = () => resetBodies(rocks);
+
+  const placeRover = (x, z, yaw) => rover.place(x, z, yaw);
+
+  // Rover at the spawn point, everything at rest
+  const reset = () => {
+    resetLetters();
+    resetRocks();
+    placeRover(SPAWN_POINT.x, SPAWN_POINT.z, SPAWN_POINT.yaw);
+  };
+
+  // --- State ---
+  // The parts of a session (world/sessionState.js) the simulation owns
+  const captureState = () => ({
+    rover: { x: rover.position.x, z: rover.position.z, yaw: rover.yaw },
+    letters: movedBodies(letters),
+    rocks: movedBodies(rocks),
+  });
+
+  // Letters and rocks where `state` has them (at rest when it doesn't list them), then the rover
+  const applyState = (state) => {
+    resetLetters();
+    resetRocks();
+    const restoreBodies = (objects, saved) => saved.forEach(({ index, position, quaternion }) => {
+      if (!objects[index]) return;
+      physics.teleport(objects[index].userData.body, new THREE.Vector3().fromArray(position), new THREE.Quaternion().fromArray(quaternion));
+    });
+    restoreBodies(letters, state.letters);
+    restoreBodies(rocks, state.rocks);
+    placeRover(state.rover.x, state.rover.z, state.rover.yaw);
+  };
+
+  // --- Stepping ---
+  /**
+   * Advances the world by one fixed step. `input` is the rover's { throttle, steer, brake }
+   * (see physics/vehicle.js); nothing pressed when left out.
+   */
+  const step = (input = {}, dt = PHYSICS_STEP) => {
+    rover.step(dt, input);
+    physics.step(dt, [roverPusher]);
+  };
+
+  // Writes poses `alpha` of the way into the last step: into the letter and rock objects,
+  // and into `roverObject` when given
+  const interpolate = (alpha, roverObject) => {
+    physics.interpolate(alpha);
+    if (!roverObject) return;
+    roverObject.position.lerpVectors(rover.previousPosition, rover.position, alpha);
+    roverObject.quaternion.slerpQuaternions(rover.previousQuaternion, rover.quaternion, alpha);
+  };
+
+  return {
+    rover, physics, letters, rocks,
+    heightAt, normalAt,
+    setTerrain, wakeArea, addRocks,
+    placeRover, resetLetters, resetRocks, reset,
+    captureState, applyState,
+    step, interpolate,
+  };
+};
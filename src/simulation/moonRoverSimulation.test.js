@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { createHeightfield } from '../terrain/heightfield';
+import { MAX_FORWARD_SPEED } from '../physics/vehicle';
+import { SPAWN_POINT, createMoonRoverSimulation } from './moonRoverSimulation';
+
+// Flat ground at mid height with a gentle bump, as 16-bit samples like the real heightmap
+const createTestTerrain = () => {
+  const size = 65;
+  const data = new Uint16Array(size * size);
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      const bump = Math.max(0, 1 - Math.hypot(column - 48, row - 48) / 6);
+      data[row * size + column] = 20000 + Math.round(bump * 2000);
+    }
+  }
+  return createHeightfield(data, size, size);
+};
+
+const run = (simulation, steps, input = {}) => {
+  for (let i = 0; i < steps; i++) simulation.step(input);
+};
+
+const createSimulation = (options = {}) => {
+  const simulation = createMoonRoverSimulation(options);
+  simulation.setTerrain(createTestTerrain());
+  simulation.reset();
+  return simulation;
+};
+
+describe('driving', () => {
+  it('moves forward under throttle', () => {
+    const simulation = createSimulation();
+    run(simulation, 60, { throttle: 1 });
+    expect(simulation.rover.position.z).toBeGreaterThan(SPAWN_POINT.z + 3);
+    expect(Math.abs(simulation.rover.position.x)).toBeLessThan(0.01);
+  });
+
+  it('never goes faster than the top speed', () => {
+    const simulation = createSimulation();
+    simulation.placeRover(0, -150, 0);
+    let fastest = 0;
+    for (let i = 0; i < 600; i++) {
+      simulation.step({ throttle: 1 });
+      fastest = Math.max(fastest, simulation.rover.speed);
+    }
+    expect(fastest).toBeCloseTo(MAX_FORWARD_SPEED, 5);
+  });
+
+  it('is deterministic for the same inputs', () => {
+    const a = createSimulation({ name: 'AB' });
+    const b = createSimulation({ name: 'AB' });
+    run(a, 200, { throttle: 1, steer: 0.3 });
+    run(b, 200, { throttle: 1, steer: 0.3 });
+    expect(a.captureState()).toEqual(b.captureState());
+  });
+});
+
+describe('collisions', () => {
+  it('lets the rover shove a letter out of its way', () => {
+    const impacts = [];
+    const simulation = createSimulation({ name: 'I', onCollision: impact => impacts.push(impact) });
+    const [letter] = simulation.letters;
+    const start = letter.userData.body.position.clone();
+    simulation.placeRover(start.x, start.z - 8, 0);
+    run(simulation, 120, { throttle: 1 });
+
+    expect(impacts.some(({ body, other }) => body === letter.userData.body && other === 'rover')).toBe(true);
+    expect(letter.userData.body.position.z).toBeGreaterThan(start.z + 1);
+  });
+
+  it('passes momentum from one rock to another', () => {
+    const impacts = [];
+    const simulation = createSimulation({ onCollision: impact => impacts.push(impact) });
+    const [moving, resting] = simulation.addRocks([
+      { x: -60, z: -60, size: 1 },
+      { x: -60, z: -57, size: 1 },
+    ]);
+    run(simulation, 60);
+    const restingStart = resting.userData.body.position.z;
+    moving.userData.body.velocity.set(0, 0, 10);
+    simulation.physics.wake(moving.userData.body);
+    run(simulation, 60);
+
+    expect(impacts.some(({ body, other }) => body === resting.userData.body && other === moving.userData.body)).toBe(true);
+    expect(resting.userData.body.position.z).toBeGreaterThan(restingStart + 0.1);
+    expect(moving.userData.body.position.z).toBeLessThan(resting.userData.body.position.z);
+  });
+});
+
+describe('terrain edge', () => {
+  it('keeps the rover inside ±200', () => {
+    const simulation = createSimulation();
+    simulation.placeRover(195, 195, Math.PI / 4);
+    run(simulation, 300, { throttle: 1 });
+    expect(simulation.rover.position.x).toBeCloseTo(200, 5);
+    expect(simulation.rover.position.z).toBeCloseTo(200, 5);
+
+    simulation.placeRover(-195, -195, -Math.PI * 3 / 4);
+    run(simulation, 300, { throttle: 1 });
+    expect(simulation.rover.position.x).toBeCloseTo(-200, 5);
+    expect(simulation.rover.position.z).toBeCloseTo(-200, 5);
+  });
+
+  it('keeps rocks inside ±200', () => {
+    const simulation = createSimulation();
+    const [rock] = simulation.addRocks([{ x: 190, z: -190, size: 1 }]);
+    rock.userData.body.velocity.set(40, 0, -40);
+    run(simulation, 120);
+    expect(rock.userData.body.position.x).toBeLessThanOrEqual(200);
+    expect(rock.userData.body.position.z).toBeGreaterThanOrEqual(-200);
+  });
+});
+
+describe('resetLetters', () => {
+  it('puts every letter back where it started', () => {
+    const simulation = createSimulation({ name: 'MOON' });
+    const homes = simulation.letters.map(letter => letter.userData.originalPosition.clone());
+    run(simulation, 240, { throttle: 1 });
+    expect(simulation.letters.some((letter, i) => letter.userData.body.position.distanceTo(homes[i]) > 0.5)).toBe(true);
+
+    simulation.resetLetters();
+    simulation.letters.forEach((letter, i) => {
+      const { body } = letter.userData;
+      expect(body.position.distanceTo(homes[i])).toBeLessThan(1e-9);
+      expect(body.quaternion.angleTo(new THREE.Quaternion())).toBeLessThan(1e-9);
+      expect(body.velocity.length()).toBe(0);
+    });
+  });
+});
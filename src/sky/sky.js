@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+import { createRandom, hashSeed } from '../world/random';
+import { DEFAULT_SKY, getSunKelvin, getSunPosition, kelvinToRgb, wrapTimeOfDay } from './sunPath';
+
+// === SKY ===
+// Sun, Earth and stars on a dome that travels with the camera, and the lighting that goes
+// with the time of day (see sunPath.js). The directional light follows the sun, so crater
+// shadows sweep across the terrain as the day goes by; its color warms near the horizon.
+// Earth hangs still over the horizon, as it does from the Moon, and its phase follows from
+// where the sun is. Stars show through more as the sun goes down.
+
+const STAR_RADIUS = 900; // Inside the camera's far plane (1000)
+const SUN_DISTANCE = 850;
+const EARTH_DISTANCE = 800;
+const SUN_RADIUS = 40;
+const SUN_GLOW_RADIUS = 60;
+const EARTH_RADIUS = 70;
+const EARTH_DIRECTION = new THREE.Vector3(0.3, 0.55, -0.78).normalize(); // High over the northern horizon
+const SUN_INTENSITY = 1.5;
+const LIGHT_DISTANCE = 150; // Directional light position above the focus point
+const MIN_SHADOW_ELEVATION = THREE.MathUtils.degToRad(4); // Lower suns cast shadows from here, not across the whole map
+const NIGHT_AMBIENT = 0.35; // Share of the daytime fill light left at night (earthshine)
+const STAR_DAY_OPACITY = 0.25;
+const STAR_NIGHT_OPACITY = 0.95;
+
+// Lit where the surface faces the sun, with a faint night side
+const earthVertexShader = `
+  varying vec3 vWorldNormal;
+  void main() {
+    vWorldNormal = normalize(mat3(modelMatrix) * normal);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+const earthFragmentShader = `
+  uniform vec3 sunDirection;
+  uniform vec3 dayColor;
+  uniform vec3 nightColor;
+  varying vec3 vWorldNormal;
+  void main() {
+    float lit = smoothstep(-0.08, 0.12, dot(normalize(vWorldNormal), sunDirection));
+    gl_FragColor = vec4(mix(nightColor, dayColor, lit), 1.0);
+  }
+`;
+
+/**
+ * @param scene       where the dome goes
+ * @param sunLight    DirectionalLight (its target must be in the scene) moved with the sun
+ * @param fillLights  lights dimmed at night: [{ light, intensity }] with daytime intensities
+ * @param config      { dayLength, startTime, latitude }, see sunPath.js's DEFAULT_SKY
+ * @param maxStars    size of the star field; setStarCount() draws fewer
+ */
+export const createSky = ({ scene, sunLight, fillLights = [], config = {}, maxStars = 5000 }) => {
+  const { dayLength, startTime, latitude } = { ...DEFAULT_SKY, ...config };
+  const dome = new THREE.Group();
+  scene.add(dome);
+
+  // --- Stars ---
+  // Spread evenly over the sphere; the ones below the horizon are hidden by the ground
+  const random = createRandom(hashSeed('stars'));
+  const starPositions = new Float32Array(maxStars * 3);
+  for (let i = 0; i < maxStars; i++) {
+    const y = random.next() * 2 - 1;
+    const angle = random.next() * Math.PI * 2;
+    const ring = Math.sqrt(1 - y * y);
+    starPositions.set([Math.cos(angle) * ring * STAR_RADIUS, y * STAR_RADIUS, Math.sin(angle) * ring * STAR_RADIUS], i * 3);
+  }
+  const starGeometry = new THREE.BufferGeometry();
+  starGeometry.setAttribute('position', new THREE.BufferAttribute(starPositions, 3));
+  const starMaterial = new THREE.PointsMaterial({ color: 0xffffff, size: 1.5, sizeAttenuation: false, transparent: true, opacity: STAR_NIGHT_OPACITY, fog: false, depthWrite: false });
+  dome.add(new THREE.Points(starGeometry, starMaterial));
+
+  // --- Sun ---
+  const sun = new THREE.Mesh(new THREE.SphereGeometry(SUN_RADIUS, 32, 16), new THREE.MeshBasicMaterial({ color: 0xffffee, fog: false }));
+  const sunGlow = new THREE.Mesh(
+    new THREE.SphereGeometry(SUN_GLOW_RADIUS, 32, 16),
+    new THREE.MeshBasicMaterial({ color: 0xffffaa, transparent: true, opacity: 0.2, fog: false, depthWrite: false }),
+  );
+  dome.add(sun, sunGlow);
+
+  // --- Earth ---
+  const earthMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+      dayColor: { value: new THREE.Color(0x4f86d9) },
+      nightColor: { value: new THREE.Color(0x060a14) },
+    },
+    vertexShader: earthVertexShader,
+    fragmentShader: earthFragmentShader,
+  });
+  const earth = new THREE.Mesh(new THREE.SphereGeometry(EARTH_RADIUS, 48, 24), earthMaterial);
+  earth.position.copy(EARTH_DIRECTION).multiplyScalar(EARTH_DISTANCE);
+  dome.add(earth);
+
+  // --- Time of day ---
+  let timeOfDay = wrapTimeOfDay(startTime);
+  let frozen = false;
+  const sunDirection = new THREE.Vector3();
+  const lightDirection = new THREE.Vector3();
+
+  const applyTimeOfDay = () => {
+    const { direction, elevation, daylight } = getSunPosition(timeOfDay, latitude);
+    sunDirection.fromArray(direction);
+    sun.position.copy(sunDirection).multiplyScalar(SUN_DISTANCE);
+    sunGlow.position.copy(sun.position);
+    sun.visible = sunGlow.visible = elevation > -0.1;
+    earthMaterial.uniforms.sunDirection.value.copy(sunDirection);
+
+    sunLight.intensity = SUN_INTENSITY * daylight;
+    sunLight.color.setRGB(...kelvinToRgb(getSunKelvin(elevation)));
+    sun.material.color.set(0xffffee).lerp(sunLight.color, 0.5);
+    fillLights.forEach(({ light, intensity }) => { light.intensity = intensity * (NIGHT_AMBIENT + (1 - NIGHT_AMBIENT) * daylight); });
+    starMaterial.opacity = STAR_NIGHT_OPACITY + (STAR_DAY_OPACITY - STAR_NIGHT_OPACITY) * daylight;
+
+    // The light itself never drops below the horizon, so a setting sun still casts
+    // (very long) shadows instead of lighting the ground from underneath
+    const lightElevation = Math.max(elevation, MIN_SHADOW_ELEVATION);
+    const horizontal = Math.hypot(sunDirection.x, sunDirection.z) || 1;
+    lightDirection.set(
+      (sunDirection.x / horizontal) * Math.cos(lightElevation),
+      Math.sin(lightElevation),
+      (sunDirection.z / horizontal) * Math.cos(lightElevation),
+    );
+  };
+  applyTimeOfDay();
+
+  /**
+   * Per frame: advances the clock (unless frozen), keeps the dome around the camera and
+   * the light's shadow square around `focus` ({ x, z }).
+   */
+  const update = (delta, camera, focus) => {
+    if (!frozen && delta > 0) {
+      timeOfDay = wrapTimeOfDay(timeOfDay + delta / dayLength);
+      applyTimeOfDay();
+    }
+    dome.position.copy(camera.position);
+    sunLight.target.position.set(focus.x, 0, focus.z);
+    sunLight.position.copy(sunLight.target.position).addScaledVector(lightDirection, LIGHT_DISTANCE);
+  };
+
+  const setTimeOfDay = (time) => {
+    timeOfDay = wrapTimeOfDay(time);
+    applyTimeOfDay();
+  };
+
+  return {
+    update,
+    setTimeOfDay,
+    setFrozen: (next) => { frozen = next; },
+    setStarCount: (count) => starGeometry.setDrawRange(0, Math.min(count, maxStars)),
+    get timeOfDay() { return timeOfDay; },
+    get frozen() { return frozen; },
+  };
+};
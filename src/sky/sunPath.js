@@ -0,0 +1,58 @@
+// === SUN PATH ===
+// Where the sun stands at a time of day, as plain math so the sky, the lighting and the
+// HUD agree. Time of day is a fraction of one lunar day:
+//
+//   0 midnight   0.25 sunrise (east, +x)   0.5 noon   0.75 sunset (west, -x)
+//
+// The sun crosses the sky on a circle tilted `latitude` degrees towards +z, so it never
+// quite reaches the zenith and shadows at noon still point somewhere.
+
+export const DEFAULT_SKY = {
+  dayLength: 600, // Real seconds for a whole day
+  startTime: 0.35, // Mid-morning: long shadows across the craters
+  latitude: 25, // Degrees
+};
+
+const SUNRISE_KELVIN = 3200;
+const NOON_KELVIN = 6500;
+
+const smoothstep = (edge0, edge1, value) => {
+  const t = Math.max(0, Math.min(1, (value - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+export const wrapTimeOfDay = (time) => time - Math.floor(time);
+
+/**
+ * @returns { direction: [x, y, z] unit vector towards the sun, elevation in radians,
+ *            daylight 0 (night) .. 1 (sun well above the horizon) }
+ */
+export const getSunPosition = (timeOfDay, latitude = DEFAULT_SKY.latitude) => {
+  const hourAngle = (wrapTimeOfDay(timeOfDay) - 0.5) * Math.PI * 2;
+  const tilt = (latitude * Math.PI) / 180;
+  const direction = [
+    -Math.sin(hourAngle),
+    Math.cos(tilt) * Math.cos(hourAngle),
+    Math.sin(tilt) * Math.cos(hourAngle),
+  ];
+  const elevation = Math.asin(direction[1]);
+  return { direction, elevation, daylight: smoothstep(-0.05, 0.2, direction[1]) };
+};
+
+// Black-body color (0..1 RGB) for a temperature in kelvin, after Tanner Helland's fit
+export const kelvinToRgb = (kelvin) => {
+  const t = kelvin / 100;
+  const red = t <= 66 ? 255 : 329.7 * Math.pow(t - 60, -0.1332);
+  const green = t <= 66 ? 99.47 * Math.log(t) - 161.12 : 288.12 * Math.pow(t - 60, -0.0755);
+  const blue = t >= 66 ? 255 : (t <= 19 ? 0 : 138.52 * Math.log(t - 10) - 305.04);
+  return [red, green, blue].map(value => Math.max(0, Math.min(255, value)) / 255);
+};
+
+// Warmer light while the sun is low
+export const getSunKelvin = (elevation) => SUNRISE_KELVIN + (NOON_KELVIN - SUNRISE_KELVIN) * smoothstep(0, 0.5, Math.sin(Math.max(0, elevation)));
+
+// "HH:MM" on a 24-hour clock
+export const formatTimeOfDay = (timeOfDay) => {
+  const minutes = Math.floor(wrapTimeOfDay(timeOfDay) * 24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
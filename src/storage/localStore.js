@@ -0,0 +1,37 @@
+// === LOCAL STORAGE ===
+// Everything kept between visits (scene, bindings, audio, quality, contact rate limit) goes
+// through here. Storage can be unavailable (private mode, blocked cookies, a full quota) and
+// stored values can be stale or hand-edited, so reads answer null instead of throwing and a
+// failed write is dropped: whatever it was keeps for this visit only.
+
+/** Text stored under `key`, or null. */
+export const readStored = (key) => {
+  try {
+    return window.localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+};
+
+/** Stores `text` under `key`; null removes it. */
+export const writeStored = (key, text) => {
+  try {
+    if (text === null) window.localStorage.removeItem(key);
+    else window.localStorage.setItem(key, text);
+  } catch (error) {
+    // Nothing to do; see above
+  }
+};
+
+/** Parsed JSON stored under `key`, or null when there is none or it doesn't parse. */
+export const readStoredJson = (key) => {
+  const text = readStored(key);
+  try {
+    return text === null ? null : JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+};
+
+/** Stores `value` as JSON under `key`; null removes it. */
+export const writeStoredJson = (key, value) => writeStored(key, value === null ? null : JSON.stringify(value));
@@ -0,0 +1,303 @@
+import * as THREE from 'three';
+import { TERRAIN_SIZE, createHeightfield } from './heightfield';
+
+// === CHUNKED TERRAIN STREAMING ===
+// Reads the tiles written by scripts/tile-heightmap.mjs. The low-resolution overview
+// covers the whole map as soon as it arrives; finer chunk data is fetched around the
+// focus point (the rover) and dropped again once it is far away.
+//
+// Each chunk picks a mesh resolution (its "step", in source samples between vertices)
+// from its distance to the focus. Neighbours at different steps would leave cracks along
+// shared edges, so every chunk mesh hangs a skirt down from its border that hides them.
+
+// Chebyshev distance in chunks -> wanted step. Steps finer than the overview are fetched.
+const LOD_RINGS = [
+  { maxDistance: 1, step: 2 },
+  { maxDistance: 3, step: 4 },
+  { maxDistance: 6, step: 12 },
+  { maxDistance: Infinity, step: 36 },
+];
+const UNLOAD_MARGIN = 2; // Keep fetched data this many chunks past its ring before dropping it
+const MAX_CONCURRENT_REQUESTS = 4;
+const MAX_REBUILDS_PER_FRAME = 2;
+const SKIRT_DEPTH = 3;
+const RETRY_DELAY_MS = 5000;
+const FLAT_GROUND_RAW = 13107; // Raw sample that sits at height 0 (see heightfield.js)
+
+// Stand-in manifest for useFlatGround(): a few chunks, overview only, nothing to stream
+const FLAT_MANIFEST = { worldSize: TERRAIN_SIZE, chunkCount: 4, chunkCells: 72, levels: [], overview: { step: 8, samples: 2 } };
+
+const wantedStep = (distance) => LOD_RINGS.find(ring => distance <= ring.maxDistance).step;
+const ringDistance = (step) => LOD_RINGS.find(ring => ring.step === step).maxDistance;
+
+/**
+ * Grid mesh over one chunk, `segments` cells per side, plus a border skirt.
+ * Heights and normals come from `source` so neighbouring chunks built from the same
+ * data agree exactly along their shared edge.
+ */
+const buildChunkGeometry = (bounds, segments, source, worldSize) => {
+  const { minX, minZ, size } = bounds;
+  const side = segments + 1;
+  const gridCount = side * side;
+  const skirtCount = segments * 4;
+  const positions = new Float32Array((gridCount + skirtCount) * 3);
+  const normals = new Float32Array((gridCount + skirtCount) * 3);
+  const uvs = new Float32Array((gridCount + skirtCount) * 2);
+  const indices = [];
+  const normal = new THREE.Vector3();
+
+  // Same UV layout as the original single PlaneGeometry: one texture over the whole map
+  const writeVertex = (index, x, y, z) => {
+    positions.set([x, y, z], index * 3);
+    normals.set([normal.x, normal.y, normal.z], index * 3);
+    uvs.set([(x + worldSize / 2) / worldSize, 1 - (z + worldSize / 2) / worldSize], index * 2);
+  };
+
+  for (let j = 0; j < side; j++) {
+    for (let i = 0; i < side; i++) {
+      const x = minX + (i / segments) * size;
+      const z = minZ + (j / segments) * size;
+      source.normalAt(x, z, normal);
+      writeVertex(j * side + i, x, source.heightAt(x, z), z);
+    }
+  }
+  for (let j = 0; j < segments; j++) {
+    for (let i = 0; i < segments; i++) {
+      const a = j * side + i;
+      const b = a + side;
+      indices.push(a, b, a + 1, a + 1, b, b + 1);
+    }
+  }
+
+  // Walk the border so every skirt quad faces outward: top (i up), right (j up), bottom (i down), left (j down)
+  const border = [];
+  for (let i = 0; i < segments; i++) border.push(i);
+  for (let j = 0; j < segments; j++) border.push(j * side + segments);
+  for (let i = segments; i > 0; i--) border.push(segments * side + i);
+  for (let j = segments; j > 0; j--) border.push(j * side);
+
+  border.forEach((top, k) => {
+    const skirt = gridCount + k;
+    normal.fromArray(normals, top * 3);
+    writeVertex(skirt, positions[top * 3], positions[top * 3 + 1] - SKIRT_DEPTH, positions[top * 3 + 2]);
+  });
+  border.forEach((top, k) => {
+    const nextTop = border[(k + 1) % border.length];
+    const skirt = gridCount + k;
+    const nextSkirt = gridCount + (k + 1) % border.length;
+    indices.push(top, nextTop, skirt, nextTop, nextSkirt, skirt);
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+  geometry.computeBoundingSphere();
+  return geometry;
+};
+
+/**
+ * `load()` fetches `<baseUrl>/manifest.json` and the overview, then onReady(terrain) is
+ * called; if that fails, `useFlatGround()` gets the same callback with a flat map instead.
+ * `terrain.group` holds the chunk meshes; `heightAt` / `normalAt` answer from the data the
+ * mesh at that spot was built from, even when finer data is loaded but not drawn yet;
+ * call `update(x, z)` every frame with the focus position.
+ * `setLodBias(n)` treats every chunk as n chunks farther away, for lower quality settings.
+ * `setCastShadow(enabled)` lets crater walls shade the ground around them.
+ * `onChunkRebuilt(bounds)` reports a chunk whose surface changed after onReady, so
+ * scenery resting on it can be re-seated.
+ * `onDetailError(message)` reports chunk data that failed to load (the chunk stays on
+ * coarser data and is asked for again), and `onDetailError(null)` once all of it has come in.
+ */
+export const createChunkedTerrain = ({ baseUrl, material, onReady, onChunkRebuilt = () => {}, onDetailError = () => {} }) => {
+  const group = new THREE.Group();
+  // Streaming loader for chunk data; the startup files go through load()'s loading manager
+  const binaryLoader = new THREE.FileLoader();
+  binaryLoader.setResponseType('arraybuffer');
+
+  let manifest = null;
+  let overview = null;
+  let chunks = [];
+  let chunkSize = 0;
+  let activeRequests = 0;
+  let lodBias = 0; // Extra chunks of distance added before picking a ring (lower quality settings)
+  let castShadow = false;
+  let disposed = false;
+  const failedRequests = new Set(); // URLs waiting for a retry
+
+  const chunkAt = (x, z) => {
+    const half = manifest.worldSize / 2;
+    const cx = Math.max(0, Math.min(manifest.chunkCount - 1, Math.floor((x + half) / chunkSize)));
+    const cz = Math.max(0, Math.min(manifest.chunkCount - 1, Math.floor((z + half) / chunkSize)));
+    return chunks[cz * manifest.chunkCount + cx];
+  };
+
+  // Finest loaded data at `minStep` or coarser, falling back to the overview
+  const sourceFor = (chunk, minStep = 0) => {
+    const level = manifest.levels.find(({ step }) => step >= minStep && chunk.data[step]);
+    return level ? chunk.data[level.step] : overview;
+  };
+
+  // The data the chunk's mesh was built from, so queries match the ground that is drawn
+  const meshSourceAt = (x, z) => {
+    const chunk = chunkAt(x, z);
+    return chunk.meshSource || sourceFor(chunk);
+  };
+
+  const heightAt = (x, z) => meshSourceAt(x, z).heightAt(x, z);
+  const normalAt = (x, z, target) => meshSourceAt(x, z).normalAt(x, z, target);
+
+  const requestChunkData = (chunk, level) => {
+    activeRequests++;
+    chunk.pending.add(level.step);
+    const url = `${baseUrl}/${level.path.replace('{cx}', chunk.cx).replace('{cz}', chunk.cz)}`;
+    const settle = () => {
+      activeRequests--;
+      chunk.pending.delete(level.step);
+    };
+    binaryLoader.load(url, (buffer) => {
+      delete chunk.retryAt[level.step];
+      settle();
+      if (disposed) return;
+      if (failedRequests.delete(url) && failedRequests.size === 0) onDetailError(null);
+      chunk.data[level.step] = createHeightfield(new Uint16Array(buffer), level.samples, level.samples, {
+        size: chunkSize, originX: chunk.bounds.minX, originZ: chunk.bounds.minZ,
+      });
+      chunk.dirty = true;
+    }, undefined, (error) => {
+      settle();
+      // Leave the chunk on coarser data and ask again a little later
+      chunk.retryAt[level.step] = performance.now() + RETRY_DELAY_MS;
+      if (disposed) return;
+      failedRequests.add(url);
+      onDetailError(`Terrain chunk ${chunk.cx},${chunk.cz} failed to load${error instanceof Error && error.message ? ` (${error.message})` : ''}`);
+    });
+  };
+
+  const rebuildChunk = (chunk) => {
+    // Never render finer than the data we have; the overview stands in until chunks arrive
+    const source = sourceFor(chunk, chunk.wantedStep);
+    const sourceStep = source === overview ? manifest.overview.step : manifest.levels.find(l => chunk.data[l.step] === source).step;
+    const step = Math.max(chunk.wantedStep, sourceStep);
+    chunk.dirty = false;
+    if (chunk.mesh && chunk.meshStep === step && chunk.meshSource === source) return;
+
+    const geometry = buildChunkGeometry(chunk.bounds, manifest.chunkCells / step, source, manifest.worldSize);
+    if (chunk.mesh) {
+      chunk.mesh.geometry.dispose();
+      chunk.mesh.geometry = geometry;
+      onChunkRebuilt(chunk.bounds);
+    } else {
+      chunk.mesh = new THREE.Mesh(geometry, material);
+      chunk.mesh.receiveShadow = true;
+      chunk.mesh.castShadow = castShadow;
+      group.add(chunk.mesh);
+    }
+    chunk.meshStep = step;
+    chunk.meshSource = source;
+  };
+
+  const update = (focusX, focusZ) => {
+    if (!overview) return;
+    const focus = chunkAt(focusX, focusZ);
+    const queue = [];
+    const now = performance.now();
+
+    chunks.forEach(chunk => {
+      const distance = Math.max(Math.abs(chunk.cx - focus.cx), Math.abs(chunk.cz - focus.cz)) + lodBias;
+      const step = wantedStep(distance);
+      if (step !== chunk.wantedStep) {
+        chunk.wantedStep = step;
+        chunk.dirty = true;
+      }
+
+      manifest.levels.forEach(level => {
+        if (chunk.data[level.step] && distance > ringDistance(level.step) + UNLOAD_MARGIN) {
+          chunk.data[level.step] = null;
+          chunk.dirty = true;
+        } else if (level.step >= step && !chunk.data[level.step] && !chunk.pending.has(level.step) && !(chunk.retryAt[level.step] > now)) {
+          queue.push({ chunk, level, distance });
+        }
+      });
+    });
+
+    // Nearest chunks first, and coarse data before fine data for the same chunk
+    queue.sort((a, b) => a.distance - b.distance || b.level.step - a.level.step);
+    queue.slice(0, MAX_CONCURRENT_REQUESTS - activeRequests).forEach(({ chunk, level }) => requestChunkData(chunk, level));
+
+    chunks
+      .filter(chunk => chunk.dirty)
+      .slice(0, MAX_REBUILDS_PER_FRAME)
+      .forEach(rebuildChunk);
+  };
+
+  const dispose = () => {
+    disposed = true;
+    chunks.forEach(chunk => { if (chunk.mesh) chunk.mesh.geometry.dispose(); });
+    group.clear();
+  };
+
+  // Coarser meshes and fewer detail fetches; takes effect on the next update()
+  const setLodBias = (bias) => { lodBias = bias; };
+
+  const setCastShadow = (enabled) => {
+    castShadow = enabled;
+    chunks.forEach(chunk => { if (chunk.mesh) chunk.mesh.castShadow = enabled; });
+  };
+
+  const start = (json, overviewField) => {
+    // A retry that finishes after the flat fallback took over is too late
+    if (disposed || overview) return;
+    manifest = json;
+    chunkSize = manifest.worldSize / manifest.chunkCount;
+    overview = overviewField;
+
+    const half = manifest.worldSize / 2;
+    for (let cz = 0; cz < manifest.chunkCount; cz++) {
+      for (let cx = 0; cx < manifest.chunkCount; cx++) {
+        chunks.push({
+          cx, cz,
+          bounds: { minX: cx * chunkSize - half, minZ: cz * chunkSize - half, size: chunkSize },
+          data: {}, pending: new Set(), retryAt: {},
+          wantedStep: null, dirty: true,
+          mesh: null, meshStep: null, meshSource: null,
+        });
+      }
+    }
+    // Build every chunk once from the overview so the whole map is visible right away
+    update(0, 0);
+    chunks.forEach(rebuildChunk);
+    onReady(terrain);
+  };
+
+  /**
+   * Fetches the manifest, then the overview. `onProgress` receives the loaders' progress
+   * events; `onError` is called once if either file fails. Safe to call again to retry.
+   */
+  const load = ({ manager, onProgress, onError, onLoad = () => {} }) => {
+    const jsonLoader = new THREE.FileLoader(manager);
+    jsonLoader.setResponseType('json');
+    const overviewLoader = new THREE.FileLoader(manager);
+    overviewLoader.setResponseType('arraybuffer');
+
+    jsonLoader.load(`${baseUrl}/manifest.json`, (json) => {
+      if (disposed) return;
+      overviewLoader.load(`${baseUrl}/${json.overview.path}`, (buffer) => {
+        if (disposed) return;
+        const { samples } = json.overview;
+        onLoad();
+        start(json, createHeightfield(new Uint16Array(buffer), samples, samples, { size: json.worldSize }));
+      }, onProgress, onError);
+    }, onProgress, onError);
+  };
+
+  // Level ground over the whole map, for when the real terrain can't be loaded
+  const useFlatGround = () => {
+    const { samples } = FLAT_MANIFEST.overview;
+    start(FLAT_MANIFEST, createHeightfield(new Uint16Array(samples * samples).fill(FLAT_GROUND_RAW), samples, samples, { size: FLAT_MANIFEST.worldSize }));
+  };
+
+  const terrain = { group, heightAt, normalAt, update, setLodBias, setCastShadow, load, useFlatGround, dispose, get overview() { return overview; } };
+  return terrain;
+};
@@ -0,0 +1,91 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import * as THREE from 'three';
+import { createChunkedTerrain } from './chunkedTerrain';
+
+// 8 x 8 chunks of 50 units; the overview has a sample every 36 cells, one detail level every 2
+const BASE_URL = 'http://terrain.test';
+const MANIFEST = {
+  worldSize: 400,
+  chunkCount: 8,
+  chunkCells: 72,
+  overview: { step: 36, samples: 17, path: 'overview.bin' },
+  levels: [{ step: 2, samples: 37, path: 'detail/{cx}_{cz}.bin' }],
+};
+
+// Deterministic bumps, different for every file, so the overview and the detail data disagree
+const createTile = (samples, seed) => {
+  const data = new Uint16Array(samples * samples);
+  for (let i = 0; i < data.length; i++) data[i] = (i * 7919 + seed * 104729) % 65536;
+  return data.buffer;
+};
+
+// No body stream, so FileLoader skips its progress events (ProgressEvent is browser-only)
+const respond = (body) => {
+  const response = new Response(body);
+  return { status: 200, arrayBuffer: () => response.arrayBuffer(), json: () => response.json() };
+};
+
+const serveTerrain = () => {
+  vi.stubGlobal('fetch', async (request) => {
+    const path = new URL(request.url).pathname.slice(1);
+    if (path === 'manifest.json') return respond(JSON.stringify(MANIFEST));
+    if (path === 'overview.bin') return respond(createTile(MANIFEST.overview.samples, 1));
+    const [cx, cz] = path.replace('detail/', '').replace('.bin', '').split('_').map(Number);
+    return respond(createTile(MANIFEST.levels[0].samples, 2 + cz * MANIFEST.chunkCount + cx));
+  });
+};
+
+const loadTerrain = () => new Promise((resolve, reject) => {
+  const terrain = createChunkedTerrain({ baseUrl: BASE_URL, material: new THREE.MeshBasicMaterial(), onReady: resolve });
+  terrain.load({ onError: reject });
+});
+
+// Chunk fetches finish a few promise turns after update() asks for them
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// The chunk mesh whose first vertex sits at the (minX, minZ) corner
+const meshAt = (terrain, minX, minZ) => terrain.group.children.find(({ geometry }) => {
+  const vertices = geometry.attributes.position;
+  return vertices.getX(0) === minX && vertices.getZ(0) === minZ;
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('chunked terrain', () => {
+  it('answers heightAt and normalAt from the data a coarser chunk mesh was built from', async () => {
+    serveTerrain();
+    const terrain = await loadTerrain();
+
+    // Parked on the corner chunk: its detail data arrives and the mesh uses it
+    for (let i = 0; i < 20; i++) {
+      terrain.update(-175, -175);
+      await settle();
+    }
+    const gridSide = MANIFEST.chunkCells / 2 + 1;
+    expect(meshAt(terrain, -200, -200).geometry.attributes.position.count).toBeGreaterThan(gridSide * gridSide);
+
+    // Two chunks away the mesh drops to the overview, while the detail data is still loaded
+    for (let i = 0; i < 20; i++) terrain.update(-75, -175);
+    const mesh = meshAt(terrain, -200, -200);
+    const vertices = mesh.geometry.attributes.position;
+    const normals = mesh.geometry.attributes.normal;
+    const side = MANIFEST.chunkCells / MANIFEST.overview.step + 1;
+    const normal = new THREE.Vector3();
+    const expected = new THREE.Vector3();
+    let checked = 0;
+    for (let i = 0; i < side * side; i++) {
+      const x = vertices.getX(i);
+      const z = vertices.getZ(i);
+      // Vertices on the far edges belong to the neighbouring chunks
+      if (x >= -150 || z >= -150) continue;
+      expect(terrain.heightAt(x, z)).toBeCloseTo(vertices.getY(i), 4);
+      terrain.normalAt(x, z, normal);
+      expect(normal.distanceTo(expected.fromBufferAttribute(normals, i))).toBeLessThan(1e-5);
+      checked++;
+    }
+    expect(checked).toBe(4);
+    terrain.dispose();
+  });
+});
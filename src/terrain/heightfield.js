@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+
+// === TERRAIN HEIGHTFIELD ===
+// One world <-> heightmap convention, used by the ground mesh, the physics and snapping:
+//
+//   column = (x - originX) / size * (width - 1)      x = originX -> column 0
+//   row    = (z - originZ) / size * (height - 1)     z = originZ -> row 0
+//
+// For the whole terrain the origin is (-size/2, -size/2); terrain chunks are heightfields
+// over their own square. The ground mesh is a PlaneGeometry rotated -90° about X, so a
+// plane vertex at local (x, y) sits at world (x, z = -y). applyToPlaneGeometry() does that
+// conversion, which is why the mesh must never sample the data itself.
+
+export const TERRAIN_SIZE = 400;
+export const TERRAIN_HALF_SIZE = TERRAIN_SIZE / 2;
+const HEIGHT_SCALE = 25; // World units between raw 0 and raw 65535
+const HEIGHT_OFFSET = -5; // World height of raw 0
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Wraps raw 16-bit samples (row-major, `width` x `height`) with interpolated height and
+ * normal queries in world units. Queries outside the covered square clamp to its edge.
+ */
+export const createHeightfield = (data, width, height, {
+  size = TERRAIN_SIZE,
+  originX = -size / 2,
+  originZ = -size / 2,
+  heightScale = HEIGHT_SCALE,
+  heightOffset = HEIGHT_OFFSET,
+} = {}) => {
+  const cellsPerUnitX = (width - 1) / size;
+  const cellsPerUnitZ = (height - 1) / size;
+
+  const sampleAt = (column, row) => (data[row * width + column] / 65535) * heightScale + heightOffset;
+
+  const worldToGrid = (x, z) => ({
+    column: clamp((x - originX) * cellsPerUnitX, 0, width - 1),
+    row: clamp((z - originZ) * cellsPerUnitZ, 0, height - 1),
+  });
+
+  const gridToWorld = (column, row) => ({
+    x: column / cellsPerUnitX + originX,
+    z: row / cellsPerUnitZ + originZ,
+  });
+
+  // The four samples around (x, z) and the position inside that cell
+  const cellAt = (x, z) => {
+    const { column, row } = worldToGrid(x, z);
+    const c0 = Math.min(Math.floor(column), width - 2);
+    const r0 = Math.min(Math.floor(row), height - 2);
+    return {
+      fx: column - c0,
+      fz: row - r0,
+      h00: sampleAt(c0, r0),
+      h10: sampleAt(c0 + 1, r0),
+      h01: sampleAt(c0, r0 + 1),
+      h11: sampleAt(c0 + 1, r0 + 1),
+    };
+  };
+
+  // Bilinear height
+  const heightAt = (x, z) => {
+    const { fx, fz, h00, h10, h01, h11 } = cellAt(x, z);
+    const top = h00 + (h10 - h00) * fx;
+    const bottom = h01 + (h11 - h01) * fx;
+    return top + (bottom - top) * fz;
+  };
+
+  // Normal of the bilinear surface, from its exact partial derivatives
+  const normalAt = (x, z, target = new THREE.Vector3()) => {
+    const { fx, fz, h00, h10, h01, h11 } = cellAt(x, z);
+    const dhdColumn = (h10 - h00) * (1 - fz) + (h11 - h01) * fz;
+    const dhdRow = (h01 - h00) * (1 - fx) + (h11 - h10) * fx;
+    return target.set(-dhdColumn * cellsPerUnitX, 1, -dhdRow * cellsPerUnitZ).normalize();
+  };
+
+  return { data, width, height, size, originX, originZ, worldToGrid, gridToWorld, heightAt, normalAt };
+};
+
+/**
+ * Displaces an (unrotated) PlaneGeometry of the terrain's size so that, once the mesh is
+ * rotated -90° about X, every vertex sits exactly at heightfield.heightAt().
+ */
+export const applyToPlaneGeometry = (geometry, heightfield) => {
+  const vertices = geometry.attributes.position;
+  for (let i = 0; i < vertices.count; i++) {
+    vertices.setZ(i, heightfield.heightAt(vertices.getX(i), -vertices.getY(i)));
+  }
+  vertices.needsUpdate = true;
+  geometry.computeVertexNormals();
+  geometry.computeBoundingSphere();
+  geometry.computeBoundingBox();
+};
+
+// Puts an object's base on the ground, `yOffset` above the terrain
+export const snapToTerrain = (heightfield, object, yOffset = 0) => {
+  object.position.y = heightfield.heightAt(object.position.x, object.position.z) + yOffset;
+  return object.position.y;
+};
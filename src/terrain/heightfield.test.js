@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { TERRAIN_SIZE, applyToPlaneGeometry, createHeightfield, snapToTerrain } from './heightfield';
+
+// Deterministic, uneven 16-bit samples so every cell has its own slope
+const createTestHeightfield = (width = 17, height = 17) => {
+  const data = new Uint16Array(width * height);
+  for (let i = 0; i < data.length; i++) data[i] = (i * 7919 + (i % width) * 104729) % 65536;
+  return createHeightfield(data, width, height);
+};
+
+describe('applyToPlaneGeometry', () => {
+  it('puts every rotated mesh vertex at heightAt()', () => {
+    const heightfield = createTestHeightfield();
+    const geometry = new THREE.PlaneGeometry(TERRAIN_SIZE, TERRAIN_SIZE, 16, 16);
+    applyToPlaneGeometry(geometry, heightfield);
+    geometry.rotateX(-Math.PI / 2);
+
+    const vertices = geometry.attributes.position;
+    for (let i = 0; i < vertices.count; i++) {
+      expect(vertices.getY(i)).toBeCloseTo(heightfield.heightAt(vertices.getX(i), vertices.getZ(i)), 4);
+    }
+  });
+
+  it('agrees with snapToTerrain at the mesh vertices', () => {
+    const heightfield = createTestHeightfield();
+    const geometry = new THREE.PlaneGeometry(TERRAIN_SIZE, TERRAIN_SIZE, 16, 16);
+    applyToPlaneGeometry(geometry, heightfield);
+    geometry.rotateX(-Math.PI / 2);
+
+    const object = new THREE.Object3D();
+    const vertices = geometry.attributes.position;
+    [0, 40, 144, vertices.count - 1].forEach(i => {
+      object.position.set(vertices.getX(i), 0, vertices.getZ(i));
+      expect(snapToTerrain(heightfield, object)).toBeCloseTo(vertices.getY(i), 4);
+    });
+  });
+});
+
+describe('heightAt', () => {
+  it('hits the samples exactly on grid points', () => {
+    const heightfield = createTestHeightfield();
+    const { x, z } = heightfield.gridToWorld(3, 5);
+    const expected = (heightfield.data[5 * heightfield.width + 3] / 65535) * 25 - 5;
+    expect(heightfield.heightAt(x, z)).toBeCloseTo(expected, 9);
+  });
+
+  it('interpolates bilinearly between samples', () => {
+    const heightfield = createTestHeightfield();
+    const corner = (column, row) => {
+      const { x, z } = heightfield.gridToWorld(column, row);
+      return heightfield.heightAt(x, z);
+    };
+    const [h00, h10, h01, h11] = [corner(6, 9), corner(7, 9), corner(6, 10), corner(7, 10)];
+
+    [[0.5, 0.5], [0.25, 0.75], [0.9, 0.1]].forEach(([fx, fz]) => {
+      const { x, z } = heightfield.gridToWorld(6 + fx, 9 + fz);
+      const expected = (h00 * (1 - fx) + h10 * fx) * (1 - fz) + (h01 * (1 - fx) + h11 * fx) * fz;
+      expect(heightfield.heightAt(x, z)).toBeCloseTo(expected, 9);
+    });
+  });
+
+  it('clamps queries outside the terrain to its edge', () => {
+    const heightfield = createTestHeightfield();
+    expect(heightfield.heightAt(500, 30)).toBe(heightfield.heightAt(TERRAIN_SIZE / 2, 30));
+    expect(heightfield.heightAt(-30, -500)).toBe(heightfield.heightAt(-30, -TERRAIN_SIZE / 2));
+  });
+});
+
+describe('normalAt', () => {
+  it('matches finite differences of heightAt', () => {
+    const heightfield = createTestHeightfield();
+    const epsilon = 1e-4;
+    [[12.3, -40.7], [-101.1, 77.7], [150.2, 3.3]].forEach(([x, z]) => {
+      const dhdx = (heightfield.heightAt(x + epsilon, z) - heightfield.heightAt(x - epsilon, z)) / (2 * epsilon);
+      const dhdz = (heightfield.heightAt(x, z + epsilon) - heightfield.heightAt(x, z - epsilon)) / (2 * epsilon);
+      const expected = new THREE.Vector3(-dhdx, 1, -dhdz).normalize();
+      expect(heightfield.normalAt(x, z).distanceTo(expected)).toBeLessThan(1e-5);
+    });
+  });
+});
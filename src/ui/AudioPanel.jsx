@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { AUDIO_BUSES, AUDIO_BUS_LABELS } from '../audio/audioSettings';
+
+// Mute toggle with a drop-down of per-bus volume sliders; `errors` maps loops that couldn't
+// load ('music' | 'engine') to the reason. While `blocked` (the browser held sound back)
+// a button offers to turn it on; `onEnable` must run from that click.
+const AudioPanel = ({ settings, errors = {}, blocked = false, onEnable, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const hasErrors = Object.keys(errors).length > 0;
+
+  const setVolume = (bus, value) => onChange({ ...settings, volumes: { ...settings.volumes, [bus]: value } });
+
+  return (
+    <div className="absolute top-8 right-28">
+      <div className="flex gap-2">
+        <button onClick={() => onChange({ ...settings, muted: !settings.muted })} aria-pressed={settings.muted} aria-label={settings.muted ? 'Unmute' : 'Mute'} className="w-14 h-14 bg-black bg-opacity-70 rounded-xl border-2 border-red-500 text-2xl hover:bg-opacity-90 shadow-lg shadow-red-500/50">
+          {settings.muted ? '🔇' : '🔊'}
+        </button>
+        <button onClick={() => setOpen(v => !v)} aria-expanded={open} aria-label={hasErrors ? 'Volume settings (some sounds failed to load)' : 'Volume settings'} className="w-8 h-14 bg-black bg-opacity-70 rounded-xl border-2 border-red-500 text-white text-xs hover:bg-opacity-90">
+          {open ? '▲' : (hasErrors ? '⚠️' : '▼')}
+        </button>
+      </div>
+      {blocked && !settings.muted && (
+        <button onClick={onEnable} className="mt-2 w-24 px-2 py-1 bg-black bg-opacity-70 rounded-lg border border-red-500 text-white text-xs font-bold hover:bg-opacity-90">
+          🔈 Tap to enable sound
+        </button>
+      )}
+      {open && (
+        <div className="mt-2 w-48 bg-black bg-opacity-80 text-white rounded-lg border border-red-600 p-3 shadow-lg font-mono">
+          {AUDIO_BUSES.map(bus => (
+            <label key={bus} className="block text-xs mb-2">
+              <span className="flex justify-between">{AUDIO_BUS_LABELS[bus]}<span>{Math.round(settings.volumes[bus] * 100)}%</span></span>
+              <input type="range" min="0" max="1" step="0.05" value={settings.volumes[bus]} onChange={(e) => setVolume(bus, Number(e.target.value))} disabled={settings.muted} className="w-full accent-red-500" />
+            </label>
+          ))}
+          {Object.keys(errors).map(loop => (
+            <p key={loop} role="status" className="text-xs text-red-300 mt-1">{AUDIO_BUS_LABELS[loop]} couldn't load: {errors[loop]}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AudioPanel;
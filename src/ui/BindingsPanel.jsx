@@ -0,0 +1,170 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  ACTION_LABELS, GAMEPAD_AXIS_LABELS, GAMEPAD_BUTTON_LABELS,
+  formatGamepadAxis, formatGamepadButton, formatKeyCode,
+} from '../input/bindings';
+
+const SLOTS = [0, 1]; // A primary and an alternative key per action
+const AXIS_THRESHOLD = 0.6; // How far a stick must be pushed to pick its axis
+
+const findGamepad = () => {
+  const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  return Array.from(pads).find(pad => pad && pad.connected) || null;
+};
+
+// Button that waits for the new binding when clicked
+const Slot = ({ waiting, prompt, label, text, onClick }) => (
+  <td className="py-1 pl-1 w-24">
+    <button
+      onClick={onClick}
+      aria-label={label}
+      className={`w-full px-2 py-1 rounded font-mono ${waiting ? 'bg-red-600 animate-pulse' : 'bg-gray-800 hover:bg-gray-700'}`}
+    >
+      {waiting ? prompt : text}
+    </button>
+  </td>
+);
+
+// Rebinding dialog for the keyboard and the first connected gamepad. Clicking a slot waits
+// for the next key press (bound by its physical key, KeyboardEvent.code), gamepad button
+// or stick push; Escape cancels the wait. `onGamepadCapture(waiting)` tells the page while
+// gamepad presses belong to the panel, so they don't also trigger their current actions.
+const BindingsPanel = ({
+  bindings, keyboardLayout,
+  onRebind, onRebindGamepadButton, onRebindGamepadAxis, onGamepadCapture = () => {},
+  onResetDefaults, onClose,
+}) => {
+  const [listening, setListening] = useState(null); // { device: 'keyboard' | 'button' | 'axis', action, slot }
+  const panelRef = useRef(null);
+  // The gamepad wait below outlives renders; it calls whichever handlers are current
+  const gamepadHandlersRef = useRef(null);
+  gamepadHandlersRef.current = { onRebindGamepadButton, onRebindGamepadAxis, onGamepadCapture };
+
+  useEffect(() => {
+    if (panelRef.current) panelRef.current.focus();
+  }, []);
+
+  useEffect(() => {
+    if (!listening) return undefined;
+    // Capture phase on window runs before the game controls and keeps the key from reaching them
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.code === 'Escape') {
+        setListening(null);
+      } else if (listening.device === 'keyboard') {
+        onRebind(listening.action, listening.slot, e.code);
+        setListening(null);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [listening, onRebind]);
+
+  // Gamepads have no events for their controls, so poll every frame while waiting
+  useEffect(() => {
+    if (!listening || listening.device === 'keyboard') return undefined;
+    const handlers = gamepadHandlersRef.current;
+    handlers.onGamepadCapture(true);
+    let held = null; // Controls already down when the wait began count once let go
+    let frame = 0;
+    const poll = () => {
+      const pad = findGamepad();
+      if (pad) {
+        const active = listening.device === 'axis'
+          ? pad.axes.map(value => Math.abs(value) > AXIS_THRESHOLD)
+          : pad.buttons.map(button => button.pressed);
+        if (!held) held = active;
+        const index = active.findIndex((on, i) => on && !held[i]);
+        if (index >= 0) {
+          if (listening.device === 'axis') gamepadHandlersRef.current.onRebindGamepadAxis(listening.action, index);
+          else gamepadHandlersRef.current.onRebindGamepadButton(listening.action, index);
+          setListening(null);
+          return;
+        }
+        held = held.map((on, i) => on && active[i]);
+      }
+      frame = requestAnimationFrame(poll);
+    };
+    frame = requestAnimationFrame(poll);
+    return () => {
+      cancelAnimationFrame(frame);
+      handlers.onGamepadCapture(false);
+    };
+  }, [listening]);
+
+  const isWaiting = (device, action, slot = 0) => Boolean(listening) && listening.device === device && listening.action === action && listening.slot === slot;
+
+  return (
+    <div className="absolute inset-0 z-50 flex items-center justify-center bg-black bg-opacity-60" onClick={onClose}>
+      <div ref={panelRef} tabIndex={-1} role="dialog" aria-modal="true" aria-labelledby="bindings-panel-title" onClick={(e) => e.stopPropagation()} className="w-96 max-h-[90vh] overflow-y-auto bg-black bg-opacity-80 text-white rounded-xl border-2 border-red-500 p-6 shadow-lg shadow-red-500/50 outline-none">
+        <p id="bindings-panel-title" className="text-sm font-bold mb-3 text-red-500">🕹️ BINDINGS</p>
+        <p className="text-sm font-bold mb-1 text-red-500">⌨️ KEYBOARD</p>
+        <table className="w-full text-xs mb-3">
+          <tbody>
+            {Object.entries(ACTION_LABELS).map(([action, label]) => (
+              <tr key={action}>
+                <td className="py-1 pr-2">{label}</td>
+                {SLOTS.map(slot => {
+                  const code = bindings.keyboard[action][slot];
+                  const text = code ? formatKeyCode(code, keyboardLayout) : '—';
+                  return (
+                    <Slot
+                      key={slot}
+                      waiting={isWaiting('keyboard', action, slot)}
+                      prompt="PRESS A KEY"
+                      label={`${label}, ${slot === 0 ? 'primary' : 'alternative'} key: ${code ? text : 'none'}`}
+                      text={text}
+                      onClick={() => setListening({ device: 'keyboard', action, slot })}
+                    />
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <p className="text-sm font-bold mb-1 text-red-500">🎮 GAMEPAD</p>
+        <p className="text-xs text-gray-400 mb-2">Pick a row, then push the stick or press the button to use for it.</p>
+        <table className="w-full text-xs mb-3">
+          <tbody>
+            {Object.entries(GAMEPAD_AXIS_LABELS).map(([name, label]) => (
+              <tr key={name}>
+                <td className="py-1 pr-2">{label}</td>
+                <Slot
+                  waiting={isWaiting('axis', name)}
+                  prompt="PUSH A STICK"
+                  label={`${label}, stick axis: ${formatGamepadAxis(bindings.gamepad.axes[name])}`}
+                  text={formatGamepadAxis(bindings.gamepad.axes[name])}
+                  onClick={() => setListening({ device: 'axis', action: name, slot: 0 })}
+                />
+              </tr>
+            ))}
+            {Object.entries(GAMEPAD_BUTTON_LABELS).map(([action, label]) => {
+              const index = bindings.gamepad.buttons[action][0];
+              const text = index !== undefined ? formatGamepadButton(index) : '—';
+              return (
+                <tr key={action}>
+                  <td className="py-1 pr-2">{label}</td>
+                  <Slot
+                    waiting={isWaiting('button', action)}
+                    prompt="PRESS A BUTTON"
+                    label={`${label}, gamepad button: ${index !== undefined ? text : 'none'}`}
+                    text={text}
+                    onClick={() => setListening({ device: 'button', action, slot: 0 })}
+                  />
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <div className="flex gap-2">
+          <button onClick={onResetDefaults} className="flex-1 px-4 py-2 bg-gray-800 hover:bg-gray-700 rounded-lg text-xs font-bold">RESET DEFAULTS</button>
+          <button onClick={onClose} className="flex-1 px-4 py-2 bg-gradient-to-r from-red-600 to-red-500 hover:from-red-700 hover:to-red-600 rounded-lg text-xs font-bold">CLOSE (ESC)</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BindingsPanel;
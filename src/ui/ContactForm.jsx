@@ -0,0 +1,113 @@
+import React, { useId, useMemo, useState } from 'react';
+import { FIELD_LIMITS, HONEYPOT_FIELD, contactRetryDelay, isLikelySpam, recordContactSent, validateContactForm } from '../contact/contactForm';
+import { createContactTransport } from '../contact/transports';
+
+const EMPTY_FORM = { name: '', email: '', message: '', [HONEYPOT_FIELD]: '' };
+const FIELDS = [
+  { id: 'name', label: 'Name', type: 'text', autoComplete: 'name' },
+  { id: 'email', label: 'Email', type: 'email', autoComplete: 'email' },
+  { id: 'message', label: 'Message', multiline: true },
+];
+
+// Seconds under a minute, so a short wait doesn't read as "1 min"
+const formatWait = (ms) => (ms < 60000 ? `${Math.ceil(ms / 1000)} s` : `${Math.ceil(ms / 60000)} min`);
+
+const SENT_NOTES = {
+  mailto: 'Your mail app should have opened with the message ready to send.',
+  post: 'Thanks, your message is on its way. I\'ll get back to you soon.',
+  mock: 'Development build: the mock transport accepted the message, but nothing was sent.',
+};
+
+const inputClass = 'w-full mt-1 px-2 py-1 rounded bg-gray-900 border text-sm text-white outline-none focus:border-red-400';
+
+// Message form sent through the transport `config` (content.contact) picks, see
+// contact/transports.js. Used by the CONTACT panel and the plain-HTML portfolio.
+const ContactForm = ({ config }) => {
+  const [fields, setFields] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState('idle'); // 'idle' | 'sending' | 'sent' | 'failed'
+  const [notice, setNotice] = useState(null);
+  const formId = useId(); // The page can show two of these: the panel and the plain-HTML copy
+  const transport = useMemo(() => createContactTransport(config), [config]);
+
+  const update = (field, value) => {
+    setFields(current => ({ ...current, [field]: value }));
+    if (errors[field]) setErrors(current => ({ ...current, [field]: undefined }));
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (status === 'sending') return;
+    const problems = validateContactForm(fields);
+    setErrors(problems);
+    if (Object.keys(problems).length > 0) return;
+
+    // Bots get the same thank-you as people, so they can't tell the honeypot caught them
+    if (isLikelySpam(fields)) {
+      setStatus('sent');
+      return;
+    }
+    const wait = contactRetryDelay();
+    if (wait > 0) {
+      setStatus('failed');
+      setNotice(`Please wait ${formatWait(wait)} before sending another message`);
+      return;
+    }
+
+    setStatus('sending');
+    setNotice(null);
+    transport.send({ name: fields.name.trim(), email: fields.email.trim(), message: fields.message.trim() }).then(() => {
+      recordContactSent();
+      setStatus('sent');
+    }, (error) => {
+      setStatus('failed');
+      setNotice(error.message);
+    });
+  };
+
+  return (
+    <>
+      {status === 'sent' && (
+        <p role="status" className="text-sm mb-3">
+          {SENT_NOTES[transport.kind] || SENT_NOTES.post}
+        </p>
+      )}
+
+      {status !== 'sent' && (
+        <form onSubmit={submit} noValidate className="relative mb-3">
+          {FIELDS.map(({ id, label, type, autoComplete, multiline }) => {
+            const Field = multiline ? 'textarea' : 'input';
+            return (
+              <label key={id} className="block text-xs mb-2">
+                {label}
+                <Field
+                  type={multiline ? undefined : type}
+                  rows={multiline ? 5 : undefined}
+                  value={fields[id]}
+                  onChange={(e) => update(id, e.target.value)}
+                  maxLength={FIELD_LIMITS[id]}
+                  autoComplete={autoComplete}
+                  aria-invalid={Boolean(errors[id])}
+                  aria-describedby={errors[id] ? `${formId}-${id}-error` : undefined}
+                  className={`${inputClass} ${errors[id] ? 'border-red-500' : 'border-gray-700'} ${multiline ? 'resize-none' : ''}`}
+                />
+                {errors[id] && <span id={`${formId}-${id}-error`} className="block mt-1 text-red-300">{errors[id]}</span>}
+              </label>
+            );
+          })}
+          {/* Honeypot: off screen and out of the tab order */}
+          <label aria-hidden="true" className="absolute -left-[9999px] w-px h-px overflow-hidden">
+            Website
+            <input type="text" tabIndex={-1} autoComplete="off" value={fields[HONEYPOT_FIELD]} onChange={(e) => update(HONEYPOT_FIELD, e.target.value)} />
+          </label>
+          {notice && <p role="alert" className="text-xs text-red-300 mb-2">{notice}</p>}
+          <button type="submit" disabled={status === 'sending'} className="w-full px-4 py-2 bg-red-700 hover:bg-red-600 disabled:opacity-50 rounded-lg text-xs font-bold">
+            {status === 'sending' ? 'SENDING…' : 'SEND MESSAGE'}
+          </button>
+        </form>
+      )}
+    </>
+  );
+};
+
+export default ContactForm;
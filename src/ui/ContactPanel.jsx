@@ -0,0 +1,30 @@
+import React, { useEffect, useRef } from 'react';
+import ContactForm from './ContactForm';
+
+// Contact dialog: the message form, with the external links underneath as a fallback.
+// `config` is content.contact; without one only the links are shown.
+const ContactPanel = ({ config, links, onClose }) => {
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    if (panelRef.current) panelRef.current.focus();
+  }, []);
+
+  return (
+    <div className="absolute inset-0 z-50 flex items-center justify-center bg-black bg-opacity-60" onClick={onClose}>
+      <div ref={panelRef} tabIndex={-1} role="dialog" aria-modal="true" aria-labelledby="contact-panel-title" onClick={(e) => e.stopPropagation()} className="w-96 max-h-full overflow-y-auto bg-black bg-opacity-80 text-white rounded-xl border-2 border-red-500 p-6 shadow-lg shadow-red-500/50 outline-none">
+        <p id="contact-panel-title" className="text-sm font-bold mb-3 text-red-500">✉️ CONTACT</p>
+
+        {config && <ContactForm config={config} />}
+
+        <p className="text-xs mb-1">{config ? 'Or reach me through one of these:' : 'The fastest way to reach me is through one of these:'}</p>
+        {links.map(destination => (
+          <a key={destination.id} href={destination.url} target="_blank" rel="noreferrer" className="block py-1 text-sm hover:text-red-300">{destination.label}</a>
+        ))}
+        <button onClick={onClose} className="w-full mt-4 px-4 py-2 bg-gradient-to-r from-red-600 to-red-500 hover:from-red-700 hover:to-red-600 rounded-lg text-xs font-bold">CLOSE (ESC)</button>
+      </div>
+    </div>
+  );
+};
+
+export default ContactPanel;
@@ -0,0 +1,60 @@
+import React from 'react';
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`);
+
+const STATUS_TEXT = { loaded: 'READY', fallback: 'USING STAND-IN' };
+
+// Per-asset progress from the asset manager, with retry / fallback choices for failures
+const LoadingScreen = ({ assets, onRetry, onUseFallback }) => (
+  <div className="absolute inset-0 flex items-center justify-center bg-gradient-to-b from-purple-900 via-indigo-900 to-black z-50 font-mono text-white">
+    <div className="w-96 max-w-full p-6">
+      <p className="text-xl mb-6 text-center motion-safe:animate-pulse">LOADING ASSETS...</p>
+      <ul className="space-y-4">
+        {assets.map(asset => {
+          const percent = asset.total > 0 ? Math.round((asset.loaded / asset.total) * 100) : null;
+          return (
+            <li key={asset.id}>
+              <div className="flex justify-between text-xs mb-1">
+                <span>{asset.label}</span>
+                <span className={asset.status === 'error' ? 'text-red-400' : 'text-gray-400'}>
+                  {asset.status === 'loading'
+                    ? (asset.total > 0 ? `${formatBytes(asset.loaded)} / ${formatBytes(asset.total)}` : '...')
+                    : STATUS_TEXT[asset.status] || 'FAILED'}
+                </span>
+              </div>
+              <div
+                role="progressbar"
+                aria-label={asset.label}
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={asset.status === 'loading' ? percent : 100}
+                className="h-1.5 rounded-full bg-white bg-opacity-10 overflow-hidden"
+              >
+                <div
+                  className={`h-full transition-all duration-300 ${asset.status === 'error' ? 'bg-red-500' : 'bg-cyan-400'}`}
+                  style={{ width: `${asset.status === 'loading' ? (percent || 0) : 100}%` }}
+                />
+              </div>
+              {asset.status === 'fallback' && asset.error && (
+                <p className="mt-1 text-xs text-gray-400">Couldn't load it ({asset.error}), so a stand-in is used.</p>
+              )}
+              {asset.status === 'error' && (
+                <div role="alert" className="mt-2 p-3 rounded-lg border border-red-600 bg-black bg-opacity-60">
+                  <p className="text-xs text-red-300 mb-2">Couldn't load the {asset.label.toLowerCase()}: {asset.error}</p>
+                  <div className="flex gap-2">
+                    <button onClick={() => onRetry(asset.id)} className="flex-1 px-2 py-1 rounded-lg text-xs font-bold bg-gradient-to-r from-red-600 to-red-500 hover:from-red-700 hover:to-red-600">RETRY</button>
+                    {asset.fallbackLabel && (
+                      <button onClick={() => onUseFallback(asset.id)} className="flex-1 px-2 py-1 rounded-lg text-xs font-bold bg-gray-800 hover:bg-gray-700">USE {asset.fallbackLabel.toUpperCase()}</button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  </div>
+);
+
+export default LoadingScreen;
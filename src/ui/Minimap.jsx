@@ -0,0 +1,54 @@
+import React, { useEffect, useRef } from 'react';
+import { createMinimapRenderer } from './minimapRenderer';
+
+const MINIMAP_SIZE = 180; // Canvas pixels per side
+
+// Map overlay. The game loop draws into it through `rendererRef` (see minimapRenderer.js);
+// clicking the map sets a waypoint there, right-clicking clears it.
+const Minimap = ({ rendererRef, worldSize, waypoint, onSetWaypoint, onClearWaypoint }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    rendererRef.current = createMinimapRenderer({ canvas: canvasRef.current, worldSize });
+    return () => { rendererRef.current = null; };
+  }, [rendererRef, worldSize]);
+
+  const handleClick = (e) => {
+    if (!rendererRef.current) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onSetWaypoint(rendererRef.current.toWorld(
+      ((e.clientX - rect.left) / rect.width) * MINIMAP_SIZE,
+      ((e.clientY - rect.top) / rect.height) * MINIMAP_SIZE,
+    ));
+  };
+
+  const handleContextMenu = (e) => {
+    e.preventDefault();
+    onClearWaypoint();
+  };
+
+  return (
+    <div className="absolute bottom-8 right-8 bg-black bg-opacity-70 backdrop-blur-md text-white p-3 rounded-xl border-2 border-red-500 shadow-lg shadow-red-500/50 font-mono">
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-xs font-bold text-red-500">🧭 MAP</p>
+        <p className="text-xs text-gray-400">N ▲</p>
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={MINIMAP_SIZE}
+        height={MINIMAP_SIZE}
+        onClick={handleClick}
+        onContextMenu={handleContextMenu}
+        role="img"
+        aria-label="Map of the moon surface. Click to set a waypoint."
+        className="block rounded-lg cursor-crosshair"
+        style={{ width: MINIMAP_SIZE, height: MINIMAP_SIZE }}
+      />
+      {waypoint && (
+        <button onClick={onClearWaypoint} className="w-full mt-2 px-2 py-1 rounded-lg text-xs font-bold bg-gray-800 hover:bg-gray-700">✕ CLEAR WAYPOINT</button>
+      )}
+    </div>
+  );
+};
+
+export default Minimap;
@@ -0,0 +1,76 @@
+import React from 'react';
+import ContactForm from './ContactForm';
+
+// The portfolio as plain HTML, built from the same content as the 3D world. It is the
+// whole page when WebGL is missing, and sits next to the canvas (visually hidden until
+// keyboard focus enters it) for screen readers and keyboard-only visitors.
+// `onOpenPanel(panelId)` lets in-app destinations open their panel instead of scrolling
+// to the static copy below.
+const PortfolioContent = ({ content, id, onOpenPanel, className = '' }) => {
+  const projects = content.projects || [];
+  const links = content.destinations.filter(destination => destination.url);
+  const hasContactPanel = content.destinations.some(destination => destination.panel === 'contact');
+
+  return (
+    <main id={id} tabIndex={-1} data-native-keys className={`font-mono text-white outline-none ${className}`}>
+      <h1 className="text-3xl font-bold tracking-widest mb-2">{content.name}</h1>
+
+      <nav aria-label="Destinations" className="mb-8">
+        <ul className="flex flex-wrap gap-3">
+          {content.destinations.map(destination => (
+            <li key={destination.id}>
+              {destination.url ? (
+                <a href={destination.url} target="_blank" rel="noreferrer" className="text-sm text-red-400 hover:text-red-300 underline">{destination.label}</a>
+              ) : (
+                <a
+                  href={`#${id}-${destination.panel}`}
+                  onClick={onOpenPanel ? (e) => { e.preventDefault(); onOpenPanel(destination.panel); } : undefined}
+                  className="text-sm text-red-400 hover:text-red-300 underline"
+                >
+                  {destination.label}
+                </a>
+              )}
+            </li>
+          ))}
+        </ul>
+      </nav>
+
+      {projects.length > 0 && (
+        <section aria-labelledby={`${id}-projects`} className="mb-8">
+          <h2 id={`${id}-projects`} className="text-sm font-bold text-red-500 mb-3">PROJECTS</h2>
+          {projects.map(project => (
+            <article key={project.id} className="mb-4 p-4 rounded-xl border border-cyan-700 bg-black bg-opacity-60">
+              <h3 className="text-lg font-bold mb-2">{project.title}</h3>
+              {project.image && <img src={project.image} alt={project.title} className="w-full max-w-md rounded-lg mb-3" />}
+              <p className="text-sm mb-2">{project.description}</p>
+              {project.tags && (
+                <ul aria-label="Tags" className="flex flex-wrap gap-1 mb-2">
+                  {project.tags.map(tag => <li key={tag} className="px-2 py-0.5 text-xs rounded bg-cyan-900 text-cyan-200">{tag}</li>)}
+                </ul>
+              )}
+              <p className="flex gap-3">
+                {project.repo && <a href={project.repo} target="_blank" rel="noreferrer" className="text-sm text-cyan-300 hover:text-cyan-100 underline">Source</a>}
+                {project.demo && <a href={project.demo} target="_blank" rel="noreferrer" className="text-sm text-cyan-300 hover:text-cyan-100 underline">Live demo</a>}
+              </p>
+            </article>
+          ))}
+        </section>
+      )}
+
+      {hasContactPanel && (
+        <section id={`${id}-contact`} aria-labelledby={`${id}-contact-title`}>
+          <h2 id={`${id}-contact-title`} className="text-sm font-bold text-red-500 mb-3">CONTACT</h2>
+          {content.contact && <div className="max-w-md"><ContactForm config={content.contact} /></div>}
+          <p className="text-sm mb-2">{content.contact ? 'Or reach me through one of these:' : 'The fastest way to reach me is through one of these:'}</p>
+          <ul>
+            {links.map(destination => (
+              <li key={destination.id}><a href={destination.url} target="_blank" rel="noreferrer" className="text-sm hover:text-red-300 underline">{destination.label}</a></li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </main>
+  );
+};
+
+export default PortfolioContent;
@@ -0,0 +1,36 @@
+import React, { useEffect, useRef } from 'react';
+
+// Detail overlay for one project exhibit. It is not modal, so the rover can keep
+// driving while it is open; opening it from the menu moves focus here for keyboard users.
+const ProjectPanel = ({ project, index, count, autoFocus, onClose, onPrevious, onNext }) => {
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    if (autoFocus && panelRef.current) panelRef.current.focus();
+  }, [project, autoFocus]);
+
+  return (
+    <div ref={panelRef} tabIndex={-1} role="region" aria-labelledby="project-panel-title" className="absolute top-28 right-8 w-80 bg-black bg-opacity-80 backdrop-blur-md text-white rounded-xl border-2 border-cyan-400 p-6 shadow-lg shadow-cyan-400/50 outline-none">
+      <p className="text-xs font-mono text-cyan-300 mb-1">PROJECT {index + 1} / {count}</p>
+      <h2 id="project-panel-title" className="text-lg font-bold mb-3">{project.title}</h2>
+      {project.image && <img src={project.image} alt={project.title} className="w-full rounded-lg mb-3" />}
+      <p className="text-xs mb-3">{project.description}</p>
+      {project.tags && (
+        <div className="flex flex-wrap gap-1 mb-3">
+          {project.tags.map(tag => <span key={tag} className="px-2 py-0.5 text-xs font-mono rounded bg-cyan-900 text-cyan-200">{tag}</span>)}
+        </div>
+      )}
+      <div className="flex gap-3 mb-4">
+        {project.repo && <a href={project.repo} target="_blank" rel="noreferrer" className="text-sm text-cyan-300 hover:text-cyan-100 underline">Source</a>}
+        {project.demo && <a href={project.demo} target="_blank" rel="noreferrer" className="text-sm text-cyan-300 hover:text-cyan-100 underline">Live demo</a>}
+      </div>
+      <div className="flex gap-2">
+        <button onClick={onPrevious} disabled={count < 2} className="flex-1 px-2 py-2 rounded-lg text-xs font-bold bg-cyan-800 hover:bg-cyan-700 disabled:opacity-40">◀ PREV</button>
+        <button onClick={onNext} disabled={count < 2} className="flex-1 px-2 py-2 rounded-lg text-xs font-bold bg-cyan-800 hover:bg-cyan-700 disabled:opacity-40">NEXT ▶</button>
+        <button onClick={onClose} className="flex-1 px-2 py-2 rounded-lg text-xs font-bold bg-gradient-to-r from-red-600 to-red-500 hover:from-red-700 hover:to-red-600">CLOSE</button>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectPanel;
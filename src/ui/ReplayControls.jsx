@@ -0,0 +1,42 @@
+import React, { useRef } from 'react';
+
+const formatDuration = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+const itemClass = 'block w-full text-left py-1 text-sm hover:text-red-300 disabled:text-gray-500';
+
+// Menu section for recording a drive and playing it back; `mode` is 'idle' | 'recording' | 'ghost' | 'rerun'
+const ReplayControls = ({ mode, log, error, onRecord, onStopRecording, onPlayGhost, onRerun, onStop, onExport, onImport }) => {
+  const fileInputRef = useRef(null);
+
+  const importFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Picking the same file again should load it again
+    if (file) onImport(file);
+  };
+
+  return (
+    <>
+      <p className="mt-2 pt-2 border-t border-red-800 text-xs font-bold text-red-400">REPLAY</p>
+      {mode === 'recording' && <button onClick={onStopRecording} className={itemClass}>⏹ Stop recording</button>}
+      {(mode === 'ghost' || mode === 'rerun') && <button onClick={onStop} className={itemClass}>⏹ Stop playback</button>}
+      {mode === 'idle' && (
+        <>
+          <button onClick={onRecord} className={itemClass}>⏺ Record a drive</button>
+          {log && (
+            <>
+              <p className="text-xs text-gray-400 mt-1">Drive of {formatDuration(log.steps / log.stepRate)}</p>
+              <button onClick={onPlayGhost} className={itemClass}>👻 Play as ghost</button>
+              <button onClick={onRerun} className={itemClass}>▶️ Re-run exactly</button>
+              <button onClick={onExport} className={itemClass}>💾 Export JSON</button>
+            </>
+          )}
+          <button onClick={() => fileInputRef.current.click()} className={itemClass}>📂 Import JSON</button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={importFile} className="hidden" />
+        </>
+      )}
+      {error && <p role="alert" className="text-xs text-red-300 mt-1">{error}</p>}
+    </>
+  );
+};
+
+export default ReplayControls;
@@ -0,0 +1,30 @@
+import React, { useState } from 'react';
+import { formatTimeOfDay, getSunPosition } from '../sky/sunPath';
+
+// Clock button with a drop-down to scrub through the day or stop the sun where it is.
+// `latitude` is content.world.sky's, so the day / night icon agrees with the sky itself.
+const SkyControls = ({ timeOfDay, latitude, frozen, onScrub, onToggleFrozen }) => {
+  const [open, setOpen] = useState(false);
+  const daytime = getSunPosition(timeOfDay, latitude).elevation > 0;
+
+  return (
+    <div className="absolute top-8 right-60">
+      <button onClick={() => setOpen(v => !v)} aria-expanded={open} aria-label={`Time of day ${formatTimeOfDay(timeOfDay)}`} className="h-14 px-3 bg-black bg-opacity-70 rounded-xl border-2 border-red-500 text-white font-mono text-sm hover:bg-opacity-90 shadow-lg shadow-red-500/50">
+        {daytime ? '☀️' : '🌙'} {formatTimeOfDay(timeOfDay)}{frozen ? ' ⏸' : ''}
+      </button>
+      {open && (
+        <div className="mt-2 w-56 bg-black bg-opacity-80 text-white rounded-lg border border-red-600 p-3 shadow-lg font-mono">
+          <label className="block text-xs mb-2">
+            <span className="flex justify-between">Time of day<span>{formatTimeOfDay(timeOfDay)}</span></span>
+            <input type="range" min="0" max="1" step="0.001" value={timeOfDay} onChange={(e) => onScrub(Number(e.target.value))} className="w-full accent-red-500" />
+          </label>
+          <button onClick={onToggleFrozen} aria-pressed={frozen} className="w-full px-2 py-1 rounded text-xs font-bold bg-gray-800 hover:bg-gray-700">
+            {frozen ? '▶️ Let the sun move' : '⏸ Freeze the sun'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SkyControls;
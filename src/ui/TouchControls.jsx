@@ -0,0 +1,76 @@
+import React, { useRef } from 'react';
+
+const JOYSTICK_RADIUS = 48; // Pixels the knob can travel from the center
+
+// On-screen controls for touch devices: a virtual joystick to drive and a drag area on
+// the right half of the screen to swing the camera. Both feed input/controls.js.
+const TouchControls = ({ controlsRef }) => {
+  const knobRef = useRef(null);
+  const joystickRef = useRef(null); // { pointerId, centerX, centerY }
+  const dragRef = useRef(null); // { pointerId, lastX, lastY }
+
+  const moveKnob = (x, y) => {
+    knobRef.current.style.transform = `translate(${x * JOYSTICK_RADIUS}px, ${y * JOYSTICK_RADIUS}px)`;
+    if (controlsRef.current) controlsRef.current.setTouchDrive(x, y);
+  };
+
+  const handleJoystickDown = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    joystickRef.current = { pointerId: e.pointerId, centerX: rect.left + rect.width / 2, centerY: rect.top + rect.height / 2 };
+    handleJoystickMove(e);
+  };
+
+  const handleJoystickMove = (e) => {
+    const joystick = joystickRef.current;
+    if (!joystick || joystick.pointerId !== e.pointerId) return;
+    const dx = e.clientX - joystick.centerX;
+    const dy = e.clientY - joystick.centerY;
+    const scale = Math.min(1, JOYSTICK_RADIUS / (Math.hypot(dx, dy) || 1)) / JOYSTICK_RADIUS;
+    moveKnob(dx * scale, dy * scale);
+  };
+
+  const handleJoystickUp = (e) => {
+    if (!joystickRef.current || joystickRef.current.pointerId !== e.pointerId) return;
+    joystickRef.current = null;
+    moveKnob(0, 0);
+  };
+
+  const handleDragDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { pointerId: e.pointerId, lastX: e.clientX, lastY: e.clientY };
+  };
+
+  const handleDragMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || drag.pointerId !== e.pointerId) return;
+    if (controlsRef.current) controlsRef.current.addTouchOrbit(e.clientX - drag.lastX, e.clientY - drag.lastY);
+    drag.lastX = e.clientX;
+    drag.lastY = e.clientY;
+  };
+
+  const handleDragUp = (e) => {
+    if (dragRef.current && dragRef.current.pointerId === e.pointerId) dragRef.current = null;
+  };
+
+  return (
+    <>
+      <div
+        aria-hidden="true"
+        onPointerDown={handleDragDown} onPointerMove={handleDragMove} onPointerUp={handleDragUp} onPointerCancel={handleDragUp}
+        className="absolute top-28 right-0 bottom-0 w-1/2"
+        style={{ touchAction: 'none' }}
+      />
+      <div
+        aria-hidden="true"
+        onPointerDown={handleJoystickDown} onPointerMove={handleJoystickMove} onPointerUp={handleJoystickUp} onPointerCancel={handleJoystickUp}
+        className="absolute bottom-8 left-8 w-32 h-32 rounded-full bg-black bg-opacity-40 border-2 border-red-500 flex items-center justify-center"
+        style={{ touchAction: 'none' }}
+      >
+        <div ref={knobRef} className="w-14 h-14 rounded-full bg-gradient-to-br from-red-500 to-red-700 shadow-lg shadow-red-500/50 pointer-events-none" />
+      </div>
+    </>
+  );
+};
+
+export default TouchControls;
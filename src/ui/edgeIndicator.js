@@ -0,0 +1,34 @@
+import * as THREE from 'three';
+
+const projected = new THREE.Vector3();
+
+/**
+ * Where to put a screen-edge arrow for a world position. Returns `{ onScreen }` when the
+ * point is in view, otherwise `{ onScreen: false, x, y, angle }`: pixel coordinates inset by
+ * `margin` from the edge and the arrow's direction (radians, 0 = pointing right).
+ */
+export const getEdgeIndicator = (camera, position, width, height, margin) => {
+  projected.copy(position).project(camera);
+  // Points behind the camera project mirrored through the center
+  const behind = projected.z > 1;
+  if (!behind && Math.abs(projected.x) <= 1 && Math.abs(projected.y) <= 1) return { onScreen: true };
+
+  let dx = projected.x * (width / 2);
+  let dy = -projected.y * (height / 2);
+  if (behind) {
+    dx = -dx;
+    dy = -dy;
+  }
+  if (dx === 0 && dy === 0) dy = 1; // Straight behind: point down
+
+  const scale = Math.min(
+    (width / 2 - margin) / Math.max(Math.abs(dx), 1e-6),
+    (height / 2 - margin) / Math.max(Math.abs(dy), 1e-6),
+  );
+  return {
+    onScreen: false,
+    x: width / 2 + dx * scale,
+    y: height / 2 + dy * scale,
+    angle: Math.atan2(dy, dx),
+  };
+};
@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+
+// === MINIMAP RENDERER ===
+// Draws the whole map into a 2D canvas: a shaded relief built once from the terrain
+// overview, then live markers on top every frame. The map is oriented like the top-down
+// camera, so +z (north) is up and +x is to the left.
+
+const RELIEF_RESOLUTION = 128; // Relief cells per side, scaled up to the canvas
+const LIGHT = new THREE.Vector3(-1, 2, 1).normalize();
+
+const COLORS = {
+  rock: 'rgba(170, 170, 170, 0.6)',
+  letter: '#ffffff',
+  exhibit: '#22d3ee',
+  waypoint: '#facc15',
+  rover: '#ef4444',
+};
+
+/**
+ * @param canvas     target canvas; its width / height are the drawing size
+ * @param worldSize  side of the square world the map covers
+ */
+export const createMinimapRenderer = ({ canvas, worldSize }) => {
+  const context = canvas.getContext('2d');
+  const { width, height } = canvas;
+  let relief = null;
+  let reliefSource = null;
+
+  const toCanvas = (x, z) => ({
+    x: (0.5 - x / worldSize) * width,
+    y: (0.5 - z / worldSize) * height,
+  });
+
+  const toWorld = (canvasX, canvasY) => ({
+    x: (0.5 - canvasX / width) * worldSize,
+    z: (0.5 - canvasY / height) * worldSize,
+  });
+
+  // Height for brightness, plus a little hillshade so crater rims read at a glance
+  const buildRelief = (terrain) => {
+    const heights = new Float32Array(RELIEF_RESOLUTION * RELIEF_RESOLUTION);
+    const shades = new Float32Array(heights.length);
+    const normal = new THREE.Vector3();
+    let min = Infinity;
+    let max = -Infinity;
+    for (let j = 0; j < RELIEF_RESOLUTION; j++) {
+      for (let i = 0; i < RELIEF_RESOLUTION; i++) {
+        const { x, z } = toWorld(((i + 0.5) / RELIEF_RESOLUTION) * width, ((j + 0.5) / RELIEF_RESOLUTION) * height);
+        const index = j * RELIEF_RESOLUTION + i;
+        heights[index] = terrain.heightAt(x, z);
+        shades[index] = Math.max(0, terrain.normalAt(x, z, normal).dot(LIGHT));
+        min = Math.min(min, heights[index]);
+        max = Math.max(max, heights[index]);
+      }
+    }
+
+    const reliefCanvas = document.createElement('canvas');
+    reliefCanvas.width = RELIEF_RESOLUTION;
+    reliefCanvas.height = RELIEF_RESOLUTION;
+    const reliefContext = reliefCanvas.getContext('2d');
+    const image = reliefContext.createImageData(RELIEF_RESOLUTION, RELIEF_RESOLUTION);
+    heights.forEach((h, index) => {
+      const level = (h - min) / (max - min || 1);
+      const value = 40 + level * 110 + shades[index] * 70;
+      image.data.set([value * 0.95, value * 0.9, value, 255], index * 4);
+    });
+    reliefContext.putImageData(image, 0, 0);
+    return reliefCanvas;
+  };
+
+  const dot = (x, z, radius, color) => {
+    const point = toCanvas(x, z);
+    context.fillStyle = color;
+    context.beginPath();
+    context.arc(point.x, point.y, radius, 0, Math.PI * 2);
+    context.fill();
+  };
+
+  /**
+   * Redraws the map. `terrain` (heightAt / normalAt) is only read the first time it changes;
+   * positions are world { x, z }; `rover.yaw` is the heading.
+   */
+  const draw = ({ terrain, rover, platforms = [], exhibits = [], letters = [], rocks = [], waypoint = null }) => {
+    if (terrain && terrain !== reliefSource) {
+      relief = buildRelief(terrain);
+      reliefSource = terrain;
+    }
+
+    context.clearRect(0, 0, width, height);
+    if (relief) {
+      context.imageSmoothingEnabled = true;
+      context.drawImage(relief, 0, 0, width, height);
+    } else {
+      context.fillStyle = '#1a0b2e';
+      context.fillRect(0, 0, width, height);
+    }
+
+    rocks.forEach(rock => dot(rock.x, rock.z, 1, COLORS.rock));
+    letters.forEach(letter => dot(letter.x, letter.z, 1.5, COLORS.letter));
+    exhibits.forEach(exhibit => dot(exhibit.x, exhibit.z, 3, COLORS.exhibit));
+    platforms.forEach(platform => {
+      dot(platform.x, platform.z, 5, platform.color);
+      const point = toCanvas(platform.x, platform.z);
+      context.fillStyle = '#000000';
+      context.font = 'bold 7px monospace';
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText(platform.label.charAt(0), point.x, point.y + 0.5);
+    });
+
+    if (waypoint) {
+      const point = toCanvas(waypoint.x, waypoint.z);
+      if (rover) {
+        const from = toCanvas(rover.x, rover.z);
+        context.strokeStyle = COLORS.waypoint;
+        context.setLineDash([3, 3]);
+        context.beginPath();
+        context.moveTo(from.x, from.y);
+        context.lineTo(point.x, point.y);
+        context.stroke();
+        context.setLineDash([]);
+      }
+      context.strokeStyle = COLORS.waypoint;
+      context.lineWidth = 2;
+      context.beginPath();
+      context.moveTo(point.x - 4, point.y - 4);
+      context.lineTo(point.x + 4, point.y + 4);
+      context.moveTo(point.x + 4, point.y - 4);
+      context.lineTo(point.x - 4, point.y + 4);
+      context.stroke();
+      context.lineWidth = 1;
+    }
+
+    if (rover) {
+      // Arrow along the heading; world forward (sin yaw, cos yaw) maps to (-sin, -cos) on the map
+      const point = toCanvas(rover.x, rover.z);
+      context.save();
+      context.translate(point.x, point.y);
+      context.rotate(Math.atan2(-Math.cos(rover.yaw), -Math.sin(rover.yaw)) + Math.PI / 2);
+      context.fillStyle = COLORS.rover;
+      context.beginPath();
+      context.moveTo(0, -6);
+      context.lineTo(4, 5);
+      context.lineTo(0, 3);
+      context.lineTo(-4, 5);
+      context.closePath();
+      context.fill();
+      context.restore();
+    }
+  };
+
+  return { draw, toWorld };
+};
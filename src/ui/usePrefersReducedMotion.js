@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+const matches = () => Boolean(window.matchMedia && window.matchMedia(QUERY).matches);
+
+// Follows the operating system setting, including changes while the page is open
+const usePrefersReducedMotion = () => {
+  const [reduced, setReduced] = useState(matches);
+
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const query = window.matchMedia(QUERY);
+    const handleChange = () => setReduced(query.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  return reduced;
+};
+
+export default usePrefersReducedMotion;
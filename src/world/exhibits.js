@@ -0,0 +1,75 @@
+import * as THREE from 'three';
+import { GLYPH_ROWS, createGlyphBlocks, layoutText } from './voxelFont';
+
+// === PROJECT EXHIBITS ===
+// One monument per project entry: a pedestal, a slab showing the project image,
+// the title in block letters and a floating beacon.
+
+export const EXHIBIT_RADIUS = 6; // Driving this close opens the project's detail panel
+const EXHIBIT_ROW_Z = 45; // Default placement: a row behind the name, facing the spawn point
+const EXHIBIT_SPACING = 18;
+const TITLE_CELL_SIZE = 0.12;
+const TITLE_MAX_WIDTH = 40; // In font cells
+
+const textureLoader = new THREE.TextureLoader();
+
+// Projects without an explicit position are lined up centered on x = 0
+export const getExhibitPosition = (project, index, count) => {
+  if (project.position) return project.position;
+  return { x: (index - (count - 1) / 2) * EXHIBIT_SPACING, z: EXHIBIT_ROW_Z };
+};
+
+export const createExhibit = (project, { x, z }) => {
+  const exhibitGroup = new THREE.Group();
+  const pedestalGeometry = new THREE.CylinderGeometry(2.2, 2.6, 0.6, 6);
+  const pedestalMaterial = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.6, metalness: 0.6 });
+  const slabGeometry = new THREE.BoxGeometry(2.4, 3.2, 0.3);
+  const slabMaterial = new THREE.MeshStandardMaterial({ color: 0x222222, emissive: 0x6dd5ed, emissiveIntensity: 0.2, roughness: 0.4 });
+  const beaconGeometry = new THREE.OctahedronGeometry(0.4);
+  const beaconMaterial = new THREE.MeshStandardMaterial({ color: 0x6dd5ed, emissive: 0x6dd5ed, emissiveIntensity: 0.8 });
+  const titleBlockGeometry = new THREE.BoxGeometry(TITLE_CELL_SIZE * 0.95, TITLE_CELL_SIZE * 0.95, TITLE_CELL_SIZE * 0.95);
+  const titleBlockMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff, emissive: 0xffffff, emissiveIntensity: 0.3 });
+
+  const pedestal = new THREE.Mesh(pedestalGeometry, pedestalMaterial);
+  pedestal.position.y = 0.3;
+  pedestal.castShadow = true; pedestal.receiveShadow = true;
+  exhibitGroup.add(pedestal);
+
+  // BoxGeometry material order: +x, -x, +y, -y, +z (front), -z
+  const frontMaterial = project.image
+    ? new THREE.MeshStandardMaterial({ map: textureLoader.load(project.image), roughness: 0.6 })
+    : slabMaterial;
+  const slab = new THREE.Mesh(slabGeometry, [slabMaterial, slabMaterial, slabMaterial, slabMaterial, frontMaterial, slabMaterial]);
+  slab.position.y = 0.6 + 1.6;
+  slab.castShadow = true; slab.receiveShadow = true;
+  exhibitGroup.add(slab);
+
+  const titleGroup = new THREE.Group();
+  const titleLayout = layoutText(project.title, { maxWidth: TITLE_MAX_WIDTH });
+  const lineHeight = (GLYPH_ROWS + 2) * TITLE_CELL_SIZE;
+  titleLayout.glyphs.forEach(({ glyph, x: glyphX, line }) => {
+    const letterGroup = createGlyphBlocks(glyph, TITLE_CELL_SIZE, titleBlockGeometry, titleBlockMaterial);
+    letterGroup.position.set((glyphX + glyph.width / 2) * TITLE_CELL_SIZE, (titleLayout.lineCount - 1 - line) * lineHeight, 0);
+    titleGroup.add(letterGroup);
+  });
+  titleGroup.position.y = 4.1;
+  exhibitGroup.add(titleGroup);
+
+  const beacon = new THREE.Mesh(beaconGeometry, beaconMaterial);
+  beacon.position.y = 4.6 + titleLayout.lineCount * lineHeight;
+  exhibitGroup.add(beacon);
+
+  exhibitGroup.position.set(x, 0, z);
+  // Turn the front of the slab toward the spawn point
+  exhibitGroup.rotation.y = Math.atan2(-x, -z);
+  exhibitGroup.userData = { type: 'exhibit', project, radius: EXHIBIT_RADIUS, beacon, beaconBaseY: beacon.position.y };
+  return exhibitGroup;
+};
+
+export const animateExhibits = (exhibits, time) => {
+  exhibits.forEach((exhibit, i) => {
+    const { beacon, beaconBaseY } = exhibit.userData;
+    beacon.rotation.y = time * 2 + i;
+    beacon.position.y = beaconBaseY + Math.sin(time * 2 + i) * 0.15;
+  });
+};
@@ -0,0 +1,45 @@
+import * as THREE from 'three';
+
+// === PLACEHOLDER ROVER ===
+// Stand-in when the rover model can't be loaded: a box chassis on four wheels at the
+// physics wheel positions (see vehicle.js), built in the rover's frame (+z forward, +y up)
+// with the origin at ride height.
+
+export const PLACEHOLDER_RIDE_HEIGHT = 1.5; // Origin above the wheel bottoms
+
+export const createPlaceholderRover = () => {
+  const group = new THREE.Group();
+  const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0xdddddd, roughness: 0.5, metalness: 0.4 });
+  const wheelMaterial = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.9 });
+  const accentMaterial = new THREE.MeshStandardMaterial({ color: 0xdc2626, emissive: 0xdc2626, emissiveIntensity: 0.4 });
+
+  const chassis = new THREE.Mesh(new THREE.BoxGeometry(1.4, 0.4, 2.4), bodyMaterial);
+  chassis.position.y = -0.6;
+  group.add(chassis);
+
+  const wheelRadius = 0.45;
+  const wheelGeometry = new THREE.CylinderGeometry(wheelRadius, wheelRadius, 0.3, 16);
+  [[0.8, 1.1], [-0.8, 1.1], [0.8, -1.1], [-0.8, -1.1]].forEach(([x, z]) => {
+    const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
+    wheel.rotation.z = Math.PI / 2;
+    wheel.position.set(x, wheelRadius - PLACEHOLDER_RIDE_HEIGHT, z);
+    group.add(wheel);
+  });
+
+  const mast = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 0.8, 8), bodyMaterial);
+  mast.position.set(0, 0, -0.8);
+  group.add(mast);
+
+  // A red "eye" on the front so the heading is obvious
+  const headlight = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.12, 0.05), accentMaterial);
+  headlight.position.set(0, -0.55, 1.21);
+  group.add(headlight);
+
+  group.traverse(child => {
+    if (child.isMesh) {
+      child.castShadow = true;
+      child.receiveShadow = true;
+    }
+  });
+  return group;
+};
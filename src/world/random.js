@@ -0,0 +1,31 @@
+// === SEEDED RANDOM ===
+// Small deterministic generator (mulberry32) so scattered scenery comes out the same on
+// every visit. Not for anything security related.
+
+// Any seed (number or text, e.g. from the URL) -> 32-bit integer, via FNV-1a
+export const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  // Uniform in [0, 1), like Math.random()
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const range = (min, max) => min + next() * (max - min);
+
+  return { next, range };
+};
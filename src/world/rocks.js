@@ -0,0 +1,32 @@
+import * as THREE from 'three';
+
+// === ROCK SHAPES ===
+// A handful of low-poly base shapes, each drawn by its own instanced mesh, plus a per-rock
+// stretch and rotation (picked by worldGenerator.js) so no two rocks look quite alike.
+
+export const ROCK_VARIANTS = 4;
+
+/** Unit-radius rock: a polyhedron with every corner pushed in or out a little. */
+export const createRockGeometry = (random) => {
+  const geometry = random.next() < 0.5 ? new THREE.DodecahedronGeometry(1, 0) : new THREE.IcosahedronGeometry(1, 0);
+  const positions = geometry.getAttribute('position');
+  const corner = new THREE.Vector3();
+  // Faces don't share vertices, so corners are matched by position to keep the faces joined
+  const scales = new Map();
+  for (let i = 0; i < positions.count; i++) {
+    corner.fromBufferAttribute(positions, i);
+    const key = `${corner.x.toFixed(3)},${corner.y.toFixed(3)},${corner.z.toFixed(3)}`;
+    if (!scales.has(key)) scales.set(key, random.range(0.75, 1.1));
+    corner.multiplyScalar(scales.get(key));
+    positions.setXYZ(i, corner.x, corner.y, corner.z);
+  }
+  geometry.computeVertexNormals();
+  geometry.computeBoundingSphere();
+  return geometry;
+};
+
+/** Local matrix that sizes a unit rock to radius `size`, stretched by `stretch` [x, y, z]. */
+export const createRockShape = (size, [x, y, z]) => new THREE.Matrix4().makeScale(size * x, size * y, size * z);
+
+/** Euler angles [x, y, z] -> quaternion */
+export const createRockRotation = ([x, y, z]) => new THREE.Quaternion().setFromEuler(new THREE.Euler(x, y, z));
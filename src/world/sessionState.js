@@ -0,0 +1,178 @@
+import { CAMERA_MODES } from '../camera/cameraController';
+import { readStored, writeStored } from '../storage/localStore';
+
+// === SESSION STATE ===
+// What a visit leaves behind: where the rover is, the letters and rocks it pushed around,
+// and the camera mode. Kept in localStorage while the visitor plays, and packed into a URL
+// hash for sharing:
+//
+//   #state=<base64url>    a whole scene (rover, moved bodies, camera mode)
+//   #at=<destination id>  start parked on that platform, e.g. #at=github
+//
+// Only bodies that left their rest pose are listed, so an untouched scene is a few bytes.
+// The payload starts with a fingerprint of the world (seed and layout): a scene saved for a
+// different rock layout is dropped instead of being applied to the wrong rocks.
+//
+// Payload: unsigned/zigzag varints, in this order
+//   version, world, camera mode index, rover x, z, yaw,
+//   letter count, then per letter: index step, x, y, z, qx, qy, qz,
+//   rock count, then per rock the same
+
+const VERSION = 1;
+const STORAGE_KEY = 'moonRover.session';
+const POSITION_SCALE = 100; // Centimetres
+const ANGLE_SCALE = 1000; // Milliradians for the yaw, thousandths for quaternion parts
+const MOVED_DISTANCE = 0.3; // A body this far from its rest position counts as moved
+const MOVED_ANGLE = 0.2; // Or turned this far (radians)
+
+// --- Varints ---
+const writeUnsigned = (bytes, value) => {
+  let rest = value;
+  while (rest >= 0x80) {
+    bytes.push((rest % 0x80) | 0x80);
+    rest = Math.floor(rest / 0x80);
+  }
+  bytes.push(rest);
+};
+
+const writeSigned = (bytes, value) => writeUnsigned(bytes, value < 0 ? -value * 2 - 1 : value * 2);
+
+const createReader = (bytes) => {
+  let offset = 0;
+  const unsigned = () => {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      if (offset >= bytes.length) throw new Error('Session payload ends early');
+      const byte = bytes[offset++];
+      value += (byte & 0x7f) * scale;
+      if (byte < 0x80) return value;
+      scale *= 0x80;
+    }
+  };
+  const signed = () => {
+    const value = unsigned();
+    return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+  };
+  return { unsigned, signed, get done() { return offset === bytes.length; } };
+};
+
+// --- base64url ---
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return window.btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = window.atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Array.from(binary, char => char.charCodeAt(0));
+};
+
+// --- Encoding ---
+const writeBodies = (bytes, bodies) => {
+  writeUnsigned(bytes, bodies.length);
+  let previousIndex = -1;
+  bodies.forEach(({ index, position, quaternion }) => {
+    writeUnsigned(bytes, index - previousIndex - 1);
+    previousIndex = index;
+    position.forEach(value => writeSigned(bytes, Math.round(value * POSITION_SCALE)));
+    // w is rebuilt from the other three, so keep it positive (q and -q are the same turn)
+    const sign = quaternion[3] < 0 ? -1 : 1;
+    quaternion.slice(0, 3).forEach(value => writeSigned(bytes, Math.round(value * sign * ANGLE_SCALE)));
+  });
+};
+
+const readBodies = (reader) => {
+  const count = reader.unsigned();
+  const bodies = [];
+  let index = -1;
+  for (let i = 0; i < count; i++) {
+    index += reader.unsigned() + 1;
+    const position = [reader.signed(), reader.signed(), reader.signed()].map(value => value / POSITION_SCALE);
+    const [x, y, z] = [reader.signed(), reader.signed(), reader.signed()].map(value => value / ANGLE_SCALE);
+    const w = Math.sqrt(Math.max(0, 1 - x * x - y * y - z * z));
+    const length = Math.hypot(x, y, z, w) || 1;
+    bodies.push({ index, position, quaternion: [x / length, y / length, z / length, w / length] });
+  }
+  return bodies;
+};
+
+/**
+ * @param session { world, cameraMode, rover: { x, z, yaw }, letters, rocks }; letters and
+ *                rocks are [{ index, position: [x, y, z], quaternion: [x, y, z, w] }]
+ * @returns       base64url text, safe in a URL hash
+ */
+export const encodeSession = ({ world, cameraMode, rover, letters, rocks }) => {
+  const bytes = [];
+  writeUnsigned(bytes, VERSION);
+  writeUnsigned(bytes, world);
+  writeUnsigned(bytes, Math.max(0, CAMERA_MODES.indexOf(cameraMode)));
+  writeSigned(bytes, Math.round(rover.x * POSITION_SCALE));
+  writeSigned(bytes, Math.round(rover.z * POSITION_SCALE));
+  writeSigned(bytes, Math.round(Math.atan2(Math.sin(rover.yaw), Math.cos(rover.yaw)) * ANGLE_SCALE));
+  writeBodies(bytes, letters);
+  writeBodies(bytes, rocks);
+  return toBase64Url(bytes);
+};
+
+// null for anything that isn't a session this version can read
+export const decodeSession = (text) => {
+  try {
+    const reader = createReader(fromBase64Url(text));
+    if (reader.unsigned() !== VERSION) return null;
+    const world = reader.unsigned();
+    const cameraMode = CAMERA_MODES[reader.unsigned()] || CAMERA_MODES[0];
+    const rover = { x: reader.signed() / POSITION_SCALE, z: reader.signed() / POSITION_SCALE, yaw: reader.signed() / ANGLE_SCALE };
+    const letters = readBodies(reader);
+    const rocks = readBodies(reader);
+    return reader.done ? { world, cameraMode, rover, letters, rocks } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Bodies away from their rest pose, in session form. `objects` are physics proxies whose
+ * userData holds { body, originalPosition, originalQuaternion }.
+ */
+export const movedBodies = (objects) => {
+  const moved = [];
+  objects.forEach((object, index) => {
+    const { body, originalPosition, originalQuaternion } = object.userData;
+    const { position, quaternion } = body;
+    const distance = Math.hypot(position.x - originalPosition.x, position.y - originalPosition.y, position.z - originalPosition.z);
+    if (distance < MOVED_DISTANCE && quaternion.angleTo(originalQuaternion) < MOVED_ANGLE) return;
+    moved.push({ index, position: position.toArray(), quaternion: quaternion.toArray() });
+  });
+  return moved;
+};
+
+// --- URL hash ---
+// { session } for #state=, { destinationId } for #at=, null for any other hash
+export const readSessionHash = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (params.has('state')) {
+    const session = decodeSession(params.get('state'));
+    return session ? { session } : null;
+  }
+  if (params.get('at')) return { destinationId: params.get('at') };
+  return null;
+};
+
+// Drops #state= / #at= from the address bar once the scene lives in localStorage
+export const clearSessionHash = () => {
+  if (!readSessionHash(window.location.hash)) return;
+  window.history.replaceState(window.history.state, '', window.location.pathname + window.location.search);
+};
+
+// Keeps the query string, so a ?seed= world is shared along with the scene
+export const buildShareUrl = (session) => `${window.location.origin}${window.location.pathname}${window.location.search}#state=${encodeSession(session)}`;
+
+// --- Storage ---
+export const loadSession = () => {
+  const stored = readStored(STORAGE_KEY);
+  return stored ? decodeSession(stored) : null;
+};
+
+export const saveSession = (session) => writeStored(STORAGE_KEY, encodeSession(session));
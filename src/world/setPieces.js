@@ -0,0 +1,79 @@
+import * as THREE from 'three';
+
+// === SET PIECES ===
+// Optional landmarks placed by worldGenerator.js. Each is a group with its base at y = 0,
+// ready for snapToTerrain(). They are scenery only: no physics bodies.
+
+const foilMaterial = () => new THREE.MeshStandardMaterial({ color: 0xc9a227, roughness: 0.35, metalness: 0.8 });
+const frameMaterial = () => new THREE.MeshStandardMaterial({ color: 0x9a9a9a, roughness: 0.5, metalness: 0.6 });
+
+const withShadows = (mesh) => {
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  return mesh;
+};
+
+// Descent stage on four splayed legs, a boxy ascent stage on top
+const createLander = () => {
+  const group = new THREE.Group();
+  const foil = foilMaterial();
+  const frame = frameMaterial();
+
+  const descentStage = withShadows(new THREE.Mesh(new THREE.CylinderGeometry(1.6, 1.6, 1.2, 8), foil));
+  descentStage.position.y = 1.8;
+  group.add(descentStage);
+
+  const ascentStage = withShadows(new THREE.Mesh(new THREE.BoxGeometry(2, 1.4, 2), frame));
+  ascentStage.position.y = 3.1;
+  ascentStage.rotation.y = Math.PI / 8;
+  group.add(ascentStage);
+
+  const legGeometry = new THREE.CylinderGeometry(0.08, 0.08, 2.6, 6);
+  const padGeometry = new THREE.CylinderGeometry(0.4, 0.4, 0.1, 12);
+  for (let i = 0; i < 4; i++) {
+    const angle = (i / 4) * Math.PI * 2 + Math.PI / 4;
+    const leg = withShadows(new THREE.Mesh(legGeometry, frame));
+    leg.position.set(Math.cos(angle) * 2.1, 1.1, Math.sin(angle) * 2.1);
+    // Lean the top of the leg in toward the descent stage
+    leg.rotation.set(Math.sin(angle) * -0.5, 0, Math.cos(angle) * 0.5);
+    group.add(leg);
+
+    const pad = withShadows(new THREE.Mesh(padGeometry, frame));
+    pad.position.set(Math.cos(angle) * 2.7, 0.05, Math.sin(angle) * 2.7);
+    group.add(pad);
+  }
+  return group;
+};
+
+// A pole with a stiff banner held out by a crossbar (there's no wind to hold it up)
+const createFlag = () => {
+  const group = new THREE.Group();
+  const frame = frameMaterial();
+
+  const pole = withShadows(new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 3, 6), frame));
+  pole.position.y = 1.5;
+  group.add(pole);
+
+  const crossbar = withShadows(new THREE.Mesh(new THREE.CylinderGeometry(0.025, 0.025, 1.6, 6), frame));
+  crossbar.rotation.z = Math.PI / 2;
+  crossbar.position.set(0.8, 2.95, 0);
+  group.add(crossbar);
+
+  const banner = withShadows(new THREE.Mesh(
+    new THREE.PlaneGeometry(1.6, 1),
+    new THREE.MeshStandardMaterial({ color: 0xdc2626, roughness: 0.8, side: THREE.DoubleSide }),
+  ));
+  banner.position.set(0.8, 2.45, 0);
+  group.add(banner);
+  return group;
+};
+
+const BUILDERS = { lander: createLander, flag: createFlag };
+
+export const createSetPiece = ({ type, x, z, yaw }) => {
+  const group = BUILDERS[type]();
+  group.position.set(x, 0, z);
+  group.rotation.y = yaw;
+  group.userData = { type: 'setPiece', setPiece: type };
+  return group;
+};
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+
+// === VOXEL FONT ===
+// 5-row block glyphs, written as rows from top to bottom ('#' = block).
+// Glyphs are proportional: narrow characters (I, 1, punctuation) have fewer columns.
+
+export const GLYPH_ROWS = 5;
+
+const GLYPH_ROWS_BY_CHAR = {
+  'A': ['..#..', '.#.#.', '#...#', '#####', '#...#'],
+  'B': ['####.', '#...#', '####.', '#...#', '####.'],
+  'C': ['.####', '#....', '#....', '#....', '.####'],
+  'D': ['####.', '#...#', '#...#', '#...#', '####.'],
+  'E': ['#####', '#....', '####.', '#....', '#####'],
+  'F': ['#####', '#....', '####.', '#....', '#....'],
+  'G': ['.####', '#....', '#..##', '#...#', '.###.'],
+  'H': ['#...#', '#...#', '#####', '#...#', '#...#'],
+  'I': ['###', '.#.', '.#.', '.#.', '###'],
+  'J': ['..###', '...#.', '...#.', '#..#.', '.##..'],
+  'K': ['#...#', '#..#.', '###..', '#..#.', '#...#'],
+  'L': ['#....', '#....', '#....', '#....', '#####'],
+  'M': ['#...#', '##.##', '#.#.#', '#...#', '#...#'],
+  'N': ['#...#', '##..#', '#.#.#', '#..##', '#...#'],
+  'O': ['.###.', '#...#', '#...#', '#...#', '.###.'],
+  'P': ['####.', '#...#', '####.', '#....', '#....'],
+  'Q': ['.###.', '#...#', '#.#.#', '#..#.', '.##.#'],
+  'R': ['####.', '#...#', '####.', '#..#.', '#...#'],
+  'S': ['.###.', '#....', '.###.', '....#', '.###.'],
+  'T': ['#####', '..#..', '..#..', '..#..', '..#..'],
+  'U': ['#...#', '#...#', '#...#', '#...#', '.###.'],
+  'V': ['#...#', '#...#', '#...#', '.#.#.', '..#..'],
+  'W': ['#...#', '#...#', '#.#.#', '##.##', '#...#'],
+  'X': ['#...#', '.#.#.', '..#..', '.#.#.', '#...#'],
+  'Y': ['#...#', '.#.#.', '..#..', '..#..', '..#..'],
+  'Z': ['#####', '...#.', '..#..', '.#...', '#####'],
+
+  '0': ['.###.', '#..##', '#.#.#', '##..#', '.###.'],
+  '1': ['.#.', '##.', '.#.', '.#.', '###'],
+  '2': ['.###.', '#...#', '..##.', '.#...', '#####'],
+  '3': ['####.', '....#', '.###.', '....#', '####.'],
+  '4': ['#..#.', '#..#.', '#####', '...#.', '...#.'],
+  '5': ['#####', '#....', '####.', '....#', '####.'],
+  '6': ['.###.', '#....', '####.', '#...#', '.###.'],
+  '7': ['#####', '...#.', '..#..', '.#...', '.#...'],
+  '8': ['.###.', '#...#', '.###.', '#...#', '.###.'],
+  '9': ['.###.', '#...#', '.####', '....#', '.###.'],
+
+  '.': ['.', '.', '.', '.', '#'],
+  ',': ['..', '..', '..', '.#', '#.'],
+  '!': ['#', '#', '#', '.', '#'],
+  '?': ['.###.', '#...#', '..##.', '.....', '..#..'],
+  ':': ['.', '#', '.', '#', '.'],
+  ';': ['..', '.#', '..', '.#', '#.'],
+  "'": ['#', '#', '.', '.', '.'],
+  '"': ['#.#', '#.#', '...', '...', '...'],
+  '-': ['...', '...', '###', '...', '...'],
+  '+': ['...', '.#.', '###', '.#.', '...'],
+  '=': ['...', '###', '...', '###', '...'],
+  '_': ['.....', '.....', '.....', '.....', '#####'],
+  '/': ['..#', '..#', '.#.', '#..', '#..'],
+  '(': ['.#', '#.', '#.', '#.', '.#'],
+  ')': ['#.', '.#', '.#', '.#', '#.'],
+  '<': ['..#', '.#.', '#..', '.#.', '..#'],
+  '>': ['#..', '.#.', '..#', '.#.', '#..'],
+  '*': ['#.#', '.#.', '#.#', '...', '...'],
+  '#': ['.#.#.', '#####', '.#.#.', '#####', '.#.#.'],
+  '&': ['.##..', '#..#.', '.##.#', '#..#.', '.##.#'],
+  '@': ['.###.', '#.###', '#.#.#', '#.##.', '.####'],
+};
+
+// Pairs whose shapes leave a visible hole when set at the normal spacing (in cells)
+const KERNING = {
+  'AV': -1, 'VA': -1, 'AW': -1, 'WA': -1, 'AY': -1, 'YA': -1,
+  'AT': -1, 'TA': -1, 'LT': -1, 'LV': -1, 'LY': -1, 'LW': -1,
+  'FA': -1, 'PA': -1, 'TJ': -1,
+};
+
+const FALLBACK_CHAR = '?';
+
+// Parse rows once into [column, row] cells, the same layout the original letter patterns used
+const GLYPHS = Object.fromEntries(Object.entries(GLYPH_ROWS_BY_CHAR).map(([char, rows]) => {
+  const cells = [];
+  rows.forEach((row, y) => {
+    [...row].forEach((cell, x) => { if (cell === '#') cells.push([x, y]); });
+  });
+  return [char, { width: rows[0].length, cells }];
+}));
+
+export const getGlyph = (char) => GLYPHS[char.toUpperCase()] || GLYPHS[FALLBACK_CHAR];
+
+export const getKerning = (left, right) => KERNING[(left + right).toUpperCase()] || 0;
+
+const measureWord = (word, letterSpacing) => {
+  let width = 0;
+  for (let i = 0; i < word.length; i++) {
+    width += getGlyph(word[i]).width;
+    if (i > 0) width += letterSpacing + getKerning(word[i - 1], word[i]);
+  }
+  return width;
+};
+
+// Split a word that can never fit on one line into pieces that do
+const breakWord = (word, maxWidth, letterSpacing) => {
+  const pieces = [];
+  let piece = '';
+  for (const char of word) {
+    if (piece && measureWord(piece + char, letterSpacing) > maxWidth) {
+      pieces.push(piece);
+      piece = '';
+    }
+    piece += char;
+  }
+  if (piece) pieces.push(piece);
+  return pieces;
+};
+
+/**
+ * Lays text out in glyph cells. Lines wrap on spaces at `maxWidth` (and on '\n'),
+ * each line is centered on x = 0, and line 0 is the first line of text.
+ * Returns { glyphs: [{ char, glyph, x, line }], lineCount, width } where `x` is the
+ * glyph's left column.
+ */
+export const layoutText = (text, { maxWidth = Infinity, letterSpacing = 1, spaceWidth = 3 } = {}) => {
+  const wordGap = spaceWidth + letterSpacing * 2;
+  const lines = [];
+
+  String(text).split('\n').forEach(paragraph => {
+    let line = [];
+    let lineWidth = 0;
+    paragraph.split(' ').filter(Boolean).forEach(rawWord => {
+      const wordWidth = measureWord(rawWord, letterSpacing);
+      const words = wordWidth > maxWidth ? breakWord(rawWord, maxWidth, letterSpacing) : [rawWord];
+      words.forEach(word => {
+        const width = measureWord(word, letterSpacing);
+        if (line.length > 0 && lineWidth + wordGap + width > maxWidth) {
+          lines.push({ words: line, width: lineWidth });
+          line = [];
+          lineWidth = 0;
+        }
+        lineWidth += (line.length > 0 ? wordGap : 0) + width;
+        line.push(word);
+      });
+    });
+    lines.push({ words: line, width: lineWidth });
+  });
+
+  const glyphs = [];
+  lines.forEach(({ words, width }, lineIndex) => {
+    let cursor = -width / 2;
+    words.forEach((word, w) => {
+      if (w > 0) cursor += wordGap;
+      for (let i = 0; i < word.length; i++) {
+        if (i > 0) cursor += letterSpacing + getKerning(word[i - 1], word[i]);
+        const glyph = getGlyph(word[i]);
+        glyphs.push({ char: word[i], glyph, x: cursor, line: lineIndex });
+        cursor += glyph.width;
+      }
+    });
+  });
+
+  return { glyphs, lineCount: lines.length, width: Math.max(0, ...lines.map(line => line.width)) };
+};
+
+/**
+ * Block centers for one glyph, centered on x/z with the base at y = 0 so it can be dropped
+ * straight onto the terrain.
+ */
+export const getGlyphBlockOffsets = (glyph, cellSize) => glyph.cells.map(([px, py]) => new THREE.Vector3(
+  (px - (glyph.width - 1) / 2) * cellSize,
+  (GLYPH_ROWS - 1 - py) * cellSize + cellSize / 2,
+  0
+));
+
+/** Builds one glyph out of block meshes, laid out as in getGlyphBlockOffsets. */
+export const createGlyphBlocks = (glyph, cellSize, geometry, material) => {
+  const group = new THREE.Group();
+  getGlyphBlockOffsets(glyph, cellSize).forEach(offset => {
+    const block = new THREE.Mesh(geometry, material);
+    block.position.copy(offset);
+    block.castShadow = true; block.receiveShadow = true;
+    group.add(block);
+  });
+  return group;
+};
@@ -0,0 +1,130 @@
+import { createRandom, hashSeed } from './random';
+import { ROCK_VARIANTS } from './rocks';
+
+// === WORLD GENERATOR ===
+// Lays out the scattered scenery from a seed and the terrain:
+//
+//   1. set pieces (lander, flag) on gentle ground not far from the spawn point,
+//   2. boulder fields: clusters of the bigger rocks in the deepest craters,
+//   3. loose rocks everywhere else, more of them on slopes, and pebbles.
+//
+// Nothing lands inside a clear zone (spawn, platforms, letters, exhibits) or on ground too
+// steep to hold a rock. Plain data in and out, no scene objects, so the same seed and
+// terrain always give the same layout.
+
+export const MAX_ROCK_SLOPE = 28 * Math.PI / 180; // Physics friction lets rocks slide past ~31°
+const MAX_SET_PIECE_SLOPE = 10 * Math.PI / 180;
+const CRATER_PROBE_RADIUS = 15; // A point is compared with the ring this far around it
+const CRATER_FULL_DEPTH = 3; // Depth below that ring that counts as the middle of a crater
+const FIELD_COUNT = 8;
+const FIELD_RADIUS = 12; // Spread (standard deviation) of a boulder field
+const FIELD_SHARE = 0.35; // Share of the rocks placed in boulder fields
+const EDGE_MARGIN = 4;
+const ATTEMPTS = 30; // Tries per item before giving up on it
+
+export const SET_PIECES = {
+  lander: { radius: 5, minDistance: 20, maxDistance: 50 },
+  flag: { radius: 1.5, minDistance: 10, maxDistance: 30 },
+};
+
+/**
+ * @param seed        number or string
+ * @param heightfield terrain { heightAt, normalAt, size }; use the overview so the result
+ *                    doesn't depend on which detail chunks happen to be loaded
+ * @param clearZones  [{ x, z, radius }] kept free of scenery
+ * @param setPieces   set piece types to place (keys of SET_PIECES)
+ * @returns { rocks, pebbles, setPieces }: rocks and pebbles are
+ *          { x, z, size, variant, stretch: [x, y, z], rotation: [x, y, z] };
+ *          set pieces are { type, x, z, yaw }
+ */
+export const generateWorld = ({ seed, heightfield, clearZones = [], setPieces = [], rockCount = 0, pebbleCount = 0 }) => {
+  const random = createRandom(hashSeed(seed));
+  const half = heightfield.size / 2 - EDGE_MARGIN;
+  const zones = [...clearZones];
+
+  const slopeAt = (x, z) => Math.acos(Math.min(1, heightfield.normalAt(x, z).y));
+
+  // How far a point sits below the ground around it, 0 outside craters
+  const craterDepthAt = (x, z) => {
+    let ring = 0;
+    for (let i = 0; i < 8; i++) {
+      const angle = (i / 8) * Math.PI * 2;
+      ring += heightfield.heightAt(x + Math.cos(angle) * CRATER_PROBE_RADIUS, z + Math.sin(angle) * CRATER_PROBE_RADIUS);
+    }
+    return Math.max(0, ring / 8 - heightfield.heightAt(x, z));
+  };
+
+  const isClear = (x, z, radius) => Math.abs(x) <= half && Math.abs(z) <= half
+    && zones.every(zone => (x - zone.x) ** 2 + (z - zone.z) ** 2 > (zone.radius + radius) ** 2);
+
+  // Keeps drawing candidates until `accept` takes one; null if none did
+  const findSpot = (candidate, accept) => {
+    for (let attempt = 0; attempt < ATTEMPTS; attempt++) {
+      const spot = candidate();
+      if (accept(spot)) return spot;
+    }
+    return null;
+  };
+
+  const anywhere = () => ({ x: random.range(-half, half), z: random.range(-half, half) });
+
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - random.next())) * Math.cos(2 * Math.PI * random.next());
+
+  const rockAt = ({ x, z }, size) => ({
+    x, z, size,
+    variant: Math.floor(random.next() * ROCK_VARIANTS),
+    stretch: [random.range(0.85, 1.15), random.range(0.6, 1), random.range(0.85, 1.15)],
+    rotation: [random.next() * Math.PI, random.next() * Math.PI, random.next() * Math.PI],
+  });
+
+  // 1. Set pieces, which then get clear zones of their own
+  const placedSetPieces = [];
+  setPieces.forEach(type => {
+    const { radius, minDistance, maxDistance } = SET_PIECES[type];
+    const spot = findSpot(
+      () => {
+        const angle = random.next() * Math.PI * 2;
+        const distance = random.range(minDistance, maxDistance);
+        return { x: Math.cos(angle) * distance, z: Math.sin(angle) * distance };
+      },
+      ({ x, z }) => isClear(x, z, radius) && slopeAt(x, z) < MAX_SET_PIECE_SLOPE,
+    );
+    if (!spot) return;
+    placedSetPieces.push({ type, x: spot.x, z: spot.z, yaw: random.next() * Math.PI * 2 });
+    zones.push({ x: spot.x, z: spot.z, radius });
+  });
+
+  // 2. Boulder fields, centered where the ground is deepest relative to its surroundings
+  const fields = [];
+  for (let i = 0; i < FIELD_COUNT; i++) {
+    const center = findSpot(anywhere, ({ x, z }) => random.next() < Math.min(1, craterDepthAt(x, z) / CRATER_FULL_DEPTH));
+    if (center) fields.push(center);
+  }
+
+  const rocks = [];
+  const canHoldRock = ({ x, z }, size) => isClear(x, z, size) && slopeAt(x, z) < MAX_ROCK_SLOPE;
+  const fieldRocks = fields.length > 0 ? Math.round(rockCount * FIELD_SHARE) : 0;
+  for (let i = 0; i < fieldRocks; i++) {
+    const field = fields[i % fields.length];
+    const size = 0.6 + 1.2 * random.next();
+    const spot = findSpot(() => ({ x: field.x + gaussian() * FIELD_RADIUS, z: field.z + gaussian() * FIELD_RADIUS }), point => canHoldRock(point, size));
+    if (spot) rocks.push(rockAt(spot, size));
+  }
+
+  // 3. Loose rocks, mostly small, thicker on slopes; then pebbles
+  for (let i = rocks.length; i < rockCount; i++) {
+    const size = 0.3 + 1.2 * random.next() ** 2;
+    const spot = findSpot(anywhere, point => canHoldRock(point, size)
+      && random.next() < 0.35 + 0.65 * slopeAt(point.x, point.z) / MAX_ROCK_SLOPE);
+    if (spot) rocks.push(rockAt(spot, size));
+  }
+
+  const pebbles = [];
+  for (let i = 0; i < pebbleCount; i++) {
+    const size = random.range(0.05, 0.25);
+    const spot = findSpot(anywhere, ({ x, z }) => isClear(x, z, size));
+    if (spot) pebbles.push(rockAt(spot, size));
+  }
+
+  return { rocks, pebbles, setPieces: placedSetPieces };
+};
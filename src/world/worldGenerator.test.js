@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { createHeightfield } from '../terrain/heightfield';
+import { MAX_ROCK_SLOPE, SET_PIECES, generateWorld } from './worldGenerator';
+
+// Rolling ground with a few steep-walled craters, so slopes range from flat to far too steep
+const CRATERS = [
+  { column: 40, row: 40, radius: 5 },
+  { column: 90, row: 70, radius: 7 },
+  { column: 60, row: 105, radius: 4 },
+];
+const createTestHeightfield = () => {
+  const size = 129;
+  const data = new Uint16Array(size * size);
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      let height = 40000 + 3000 * Math.sin(column / 9) * Math.cos(row / 11);
+      CRATERS.forEach(crater => {
+        const distance = Math.hypot(column - crater.column, row - crater.row) / crater.radius;
+        if (distance < 1) height -= 28000 * (1 - distance * distance);
+      });
+      data[row * size + column] = Math.round(height);
+    }
+  }
+  return createHeightfield(data, size, size);
+};
+
+const CLEAR_ZONES = [
+  { x: 0, z: 0, radius: 12 },
+  { x: 60, z: -40, radius: 8 },
+  { x: -90, z: 110, radius: 15 },
+];
+
+const generate = (seed) => generateWorld({
+  seed,
+  heightfield: createTestHeightfield(),
+  clearZones: CLEAR_ZONES,
+  setPieces: Object.keys(SET_PIECES),
+  rockCount: 400,
+  pebbleCount: 400,
+});
+
+describe('generateWorld', () => {
+  it('gives the same layout for the same seed', () => {
+    expect(generate(1969)).toEqual(generate(1969));
+    expect(generate('apollo')).toEqual(generate('apollo'));
+  });
+
+  it('gives a different layout for a different seed', () => {
+    const a = generate(1969);
+    const b = generate(1972);
+    expect(a.rocks.length).toBeGreaterThan(0);
+    expect(a.rocks).not.toEqual(b.rocks);
+    expect(a.pebbles).not.toEqual(b.pebbles);
+  });
+
+  it('keeps clear zones free of scenery', () => {
+    const { rocks, pebbles, setPieces } = generate(1969);
+    CLEAR_ZONES.forEach(zone => {
+      [...rocks, ...pebbles].forEach(({ x, z, size }) => {
+        expect(Math.hypot(x - zone.x, z - zone.z)).toBeGreaterThan(zone.radius + size);
+      });
+      setPieces.forEach(({ type, x, z }) => {
+        expect(Math.hypot(x - zone.x, z - zone.z)).toBeGreaterThan(zone.radius + SET_PIECES[type].radius);
+      });
+    });
+  });
+
+  it('puts no rock on ground steeper than MAX_ROCK_SLOPE', () => {
+    const heightfield = createTestHeightfield();
+    const { rocks } = generate(1969);
+    const slopes = [];
+    for (let x = -190; x <= 190; x += 5) {
+      for (let z = -190; z <= 190; z += 5) slopes.push(Math.acos(heightfield.normalAt(x, z).y));
+    }
+    // The test terrain does have ground too steep for rocks
+    expect(Math.max(...slopes)).toBeGreaterThan(MAX_ROCK_SLOPE);
+    rocks.forEach(({ x, z }) => {
+      expect(Math.acos(Math.min(1, heightfield.normalAt(x, z).y))).toBeLessThan(MAX_ROCK_SLOPE);
+    });
+  });
+});